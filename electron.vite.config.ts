@@ -59,6 +59,9 @@ export default defineConfig(({ mode }) => {
             update: resolve(__dirname, 'src/renderer/update.html'),
             console: resolve(__dirname, 'src/renderer/console.html'),
             settings: resolve(__dirname, 'src/renderer/settings.html'),
+            profiles: resolve(__dirname, 'src/renderer/profiles.html'),
+            gallery: resolve(__dirname, 'src/renderer/gallery.html'),
+            imageCodec: resolve(__dirname, 'src/renderer/imageCodec.html'),
           }
         }
       }
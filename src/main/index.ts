@@ -17,13 +17,17 @@ import { app, BrowserWindow, ipcMain } from 'electron';
 import { electronApp } from '@electron-toolkit/utils';
 import { createUpdateWindow } from './windows/updater';
 import { createConsoleWindow } from './windows/console';
-import { createClientWindow } from './windows/client';
+import { launchClientWindow } from './windows/profiles';
 import log from 'electron-log';
 import registerScreenshotIPC from './modules/screenshotManagement/index';
+import registerLogIPC, { configureSessionLog } from './modules/logManagement/index';
+import { beginLaunch } from './modules/launchGuard/index';
+import registerKeybindingIPC from './modules/keybindingManagement/index';
 
 log.initialize({ spyRendererConsole: true });
 log.transports.console.level = 'info';
 log.transports.file.level = 'debug';
+configureSessionLog();
 
 const gotTheLock = app.requestSingleInstanceLock();
 if (!gotTheLock) {
@@ -36,7 +40,12 @@ let consoleWindowRef: BrowserWindow | null = null;
 
 app.whenReady().then(async () => {
     electronApp.setAppUserModelId('com.highlite.desktop');
-    const updateWindow: BrowserWindow = await createUpdateWindow();
+    const launch = await beginLaunch();
+    if (launch.quit) {
+        app.quit();
+        return;
+    }
+    const updateWindow: BrowserWindow = await createUpdateWindow(launch.rollbackTo);
 
     consoleWindowRef = await createConsoleWindow();
     consoleWindowRef.on('closed', () => {
@@ -44,13 +53,16 @@ app.whenReady().then(async () => {
     });
 
     registerScreenshotIPC();
+    registerLogIPC();
+    registerKeybindingIPC();
+
     ipcMain.once('delay-update', async () => {
-        await createClientWindow();
+        await launchClientWindow();
         updateWindow.close();
     });
 
     ipcMain.on('no-update-available', async () => {
-        await createClientWindow();
+        await launchClientWindow();
         updateWindow.close();
     });
 
@@ -72,14 +84,14 @@ app.whenReady().then(async () => {
         // On macOS it's common to re-create a window in the app when the
         // dock icon is clicked and there are no other windows open.
         if (BrowserWindow.getAllWindows().length === 0) {
-            createClientWindow();
+            launchClientWindow();
         }
     });
 });
 
 app.on('second-instance', (_event, _argv, _workingDirectory) => {
-    // Someone tried to run a second instance, open a new window in response.
-    createClientWindow();
+    // Someone tried to run a second instance, let them pick a profile for the new window.
+    launchClientWindow(true);
 });
 
 app.on('window-all-closed', () => {
@@ -0,0 +1,490 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Keybinding registry.
+
+    Every rebindable action is registered here: HighLite's own actions, handled in the main
+    process, and the actions plugins register from a client window, which that window matches
+    and handles itself (see renderer/client/helpers/keybindings.ts). Bindings are Electron
+    accelerators stored in keybindings.json; only the ones that differ from the defaults are
+    saved. Actions that allow it can also be bound as OS-wide shortcuts, which fire while
+    HighLite isn't focused.
+*/
+
+import { app, BrowserWindow, globalShortcut, ipcMain } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import log from 'electron-log';
+import {
+    isValidAccelerator,
+    matchesAccelerator,
+    MODIFIER_KEYS,
+    normalizeAccelerator,
+} from '../../../preload/settings';
+import { profileService } from '../profileManagement';
+
+export interface KeybindingAction {
+    id: string;
+    label: string;
+    // Heading the action is listed under, HighLite or the plugin's name
+    group: string;
+    // Empty means unbound until the user picks a key
+    defaultAccelerator: string;
+    // Can be bound as an OS-wide shortcut
+    allowGlobal?: boolean;
+    // Handled while the key is held down, the binding may then be a lone modifier such as "Alt"
+    hold?: boolean;
+    // Keeps firing while the key is held, like zooming
+    repeat?: boolean;
+}
+
+export interface KeybindingInfo extends KeybindingAction {
+    accelerator: string;
+    global: boolean;
+    builtIn: boolean;
+    // Labels of other actions bound to the same keys
+    conflicts: string[];
+    // Why the global shortcut could not be registered
+    globalError?: string;
+}
+
+interface KeybindingStore {
+    // Accelerators that differ from the defaults, by action id
+    bindings: Record<string, string>;
+    // Ids of the actions bound as OS-wide shortcuts
+    global: string[];
+    // Plugin actions seen so far, so they can be rebound while no client window is open
+    pluginActions: Record<string, KeybindingAction>;
+}
+
+type ActionHandler = (window: BrowserWindow | null) => void;
+
+const HIGHLITE_GROUP = 'HighLite';
+const isDarwin = process.platform === 'darwin';
+
+const BUILT_IN_ACTIONS: KeybindingAction[] = [
+    {
+        id: 'screenshot',
+        label: 'Take Screenshot',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+Shift+S',
+        allowGlobal: true,
+    },
+    {
+        id: 'save-clip',
+        label: 'Save Clip',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+Shift+C',
+        allowGlobal: true,
+    },
+    {
+        id: 'hide-window',
+        label: 'Hide / Show HighLite',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: '',
+        allowGlobal: true,
+    },
+    {
+        id: 'toggle-always-on-top',
+        label: 'Toggle Always On Top',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: '',
+    },
+    {
+        id: 'toggle-overlay',
+        label: 'Toggle Overlay Mode',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+Shift+O',
+        allowGlobal: true,
+    },
+    {
+        id: 'open-settings',
+        label: 'Open Settings',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+,',
+    },
+    {
+        id: 'open-console',
+        label: 'Open Console',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+Shift+L',
+    },
+    {
+        id: 'toggle-devtools',
+        label: 'Toggle Developer Tools',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'F12',
+    },
+    {
+        id: 'zoom-in',
+        label: 'Zoom In',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+=',
+        repeat: true,
+    },
+    {
+        id: 'zoom-out',
+        label: 'Zoom Out',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+-',
+        repeat: true,
+    },
+    {
+        id: 'zoom-reset',
+        label: 'Reset Zoom',
+        group: HIGHLITE_GROUP,
+        defaultAccelerator: 'CommandOrControl+0',
+    },
+];
+
+export function isValidBinding(
+    action: KeybindingAction,
+    accelerator: string
+): boolean {
+    if (accelerator === '') return true;
+    if (typeof accelerator !== 'string') return false;
+    if (action.hold && MODIFIER_KEYS.includes(accelerator)) return true;
+    return isValidAccelerator(accelerator);
+}
+
+function isClientWindow(window: BrowserWindow | null): window is BrowserWindow {
+    return (
+        !!window &&
+        !window.isDestroyed() &&
+        !!profileService.profileForWebContents(window.webContents.id)
+    );
+}
+
+class KeybindingService {
+    private static instance: KeybindingService;
+    private storePath = path.join(app.getPath('userData'), 'keybindings.json');
+    private store: KeybindingStore | null = null;
+    private handlers = new Map<string, ActionHandler>();
+    private globalErrors = new Map<string, string>();
+    // Global shortcuts are off while a binding is being recorded in the settings window
+    private capturing = false;
+    private lastClientWindow: BrowserWindow | null = null;
+
+    static getInstance() {
+        if (!KeybindingService.instance) {
+            KeybindingService.instance = new KeybindingService();
+        }
+        return KeybindingService.instance;
+    }
+
+    private load(): KeybindingStore {
+        if (this.store) return this.store;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+            this.store = {
+                bindings: raw?.bindings ?? {},
+                global: Array.isArray(raw?.global) ? raw.global : [],
+                pluginActions: raw?.pluginActions ?? {},
+            };
+        } catch {
+            this.store = { bindings: {}, global: [], pluginActions: {} };
+        }
+        return this.store;
+    }
+
+    private save() {
+        try {
+            fs.writeFileSync(
+                this.storePath,
+                JSON.stringify(this.load(), null, 2),
+                'utf8'
+            );
+        } catch (err) {
+            log.error('Failed to save keybindings:', err);
+        }
+    }
+
+    private allActions(): KeybindingAction[] {
+        return [
+            ...BUILT_IN_ACTIONS,
+            ...Object.values(this.load().pluginActions),
+        ];
+    }
+
+    private findAction(id: string): KeybindingAction | undefined {
+        return this.allActions().find(action => action.id === id);
+    }
+
+    acceleratorFor(id: string): string {
+        const action = this.findAction(id);
+        if (!action) return '';
+        return this.load().bindings[id] ?? action.defaultAccelerator;
+    }
+
+    private isGlobal(action: KeybindingAction): boolean {
+        return !!action.allowGlobal && this.load().global.includes(action.id);
+    }
+
+    list(): KeybindingInfo[] {
+        const actions = this.allActions();
+        const bound = actions.map(action => ({
+            action,
+            key: normalizeAccelerator(this.acceleratorFor(action.id), isDarwin),
+        }));
+        return actions.map(action => {
+            const accelerator = this.acceleratorFor(action.id);
+            const key = normalizeAccelerator(accelerator, isDarwin);
+            return {
+                ...action,
+                accelerator,
+                global: this.isGlobal(action),
+                builtIn: BUILT_IN_ACTIONS.includes(action),
+                conflicts: accelerator
+                    ? bound
+                          .filter(
+                              other =>
+                                  other.action !== action && other.key === key
+                          )
+                          .map(other =>
+                              other.action.group === HIGHLITE_GROUP
+                                  ? other.action.label
+                                  : `${other.action.group}: ${other.action.label}`
+                          )
+                    : [],
+                globalError: this.globalErrors.get(action.id),
+            };
+        });
+    }
+
+    // Plugin actions of a client window, kept across restarts so they stay listed in the settings
+    registerPluginActions(actions: KeybindingAction[]) {
+        const store = this.load();
+        let changed = false;
+        for (const action of actions) {
+            if (
+                !action?.id ||
+                BUILT_IN_ACTIONS.some(builtIn => builtIn.id === action.id)
+            ) {
+                continue;
+            }
+            const entry: KeybindingAction = {
+                id: String(action.id),
+                label: String(action.label || action.id),
+                group: String(action.group || 'Plugins'),
+                defaultAccelerator: String(action.defaultAccelerator ?? ''),
+                hold: !!action.hold,
+            };
+            if (
+                JSON.stringify(store.pluginActions[entry.id]) !==
+                JSON.stringify(entry)
+            ) {
+                store.pluginActions[entry.id] = entry;
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.save();
+            this.notify();
+        }
+    }
+
+    set(id: string, accelerator: string): { ok: boolean; error?: string } {
+        const action = this.findAction(id);
+        if (!action) return { ok: false, error: `Unknown action ${id}` };
+        if (!isValidBinding(action, accelerator)) {
+            return {
+                ok: false,
+                error: `${accelerator} is not a valid key combination`,
+            };
+        }
+        const store = this.load();
+        if (accelerator === action.defaultAccelerator)
+            delete store.bindings[id];
+        else store.bindings[id] = accelerator;
+        this.save();
+        this.applyGlobalShortcuts();
+        this.notify();
+        return { ok: true };
+    }
+
+    setGlobal(id: string, enabled: boolean): { ok: boolean; error?: string } {
+        const action = this.findAction(id);
+        if (!action?.allowGlobal) {
+            return {
+                ok: false,
+                error: `${action?.label ?? id} can't be a global shortcut`,
+            };
+        }
+        const store = this.load();
+        store.global = store.global.filter(other => other !== id);
+        if (enabled) store.global.push(id);
+        this.save();
+        this.applyGlobalShortcuts();
+        this.notify();
+        return { ok: true };
+    }
+
+    // Back to the default binding, or every binding when no id is given
+    reset(id?: string) {
+        const store = this.load();
+        if (id) {
+            delete store.bindings[id];
+            store.global = store.global.filter(other => other !== id);
+        } else {
+            store.bindings = {};
+            store.global = [];
+        }
+        this.save();
+        this.applyGlobalShortcuts();
+        this.notify();
+    }
+
+    // Run a built-in action when it is triggered, with the client window it applies to
+    handle(id: string, handler: ActionHandler) {
+        this.handlers.set(id, handler);
+    }
+
+    private run(id: string, window: BrowserWindow | null) {
+        try {
+            this.handlers.get(id)?.(window);
+        } catch (err) {
+            log.error(`Keybinding ${id} failed:`, err);
+        }
+    }
+
+    // Handle a key press in a client window, true when it triggered a built-in action
+    handleInput(window: BrowserWindow, input: Electron.Input): boolean {
+        if (input.type !== 'keyDown') return false;
+        for (const action of BUILT_IN_ACTIONS) {
+            if (!this.handlers.has(action.id)) continue;
+            if (input.isAutoRepeat && !action.repeat) continue;
+            if (
+                matchesAccelerator(
+                    input,
+                    this.acceleratorFor(action.id),
+                    isDarwin
+                )
+            ) {
+                this.run(action.id, window);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Whether a key press in one of HighLite's other windows is bound to an action
+    matches(id: string, input: Electron.Input): boolean {
+        // Recording a binding in the settings window gets every key
+        if (this.capturing || input.type !== 'keyDown') return false;
+        return matchesAccelerator(input, this.acceleratorFor(id), isDarwin);
+    }
+
+    // The client window global shortcuts act on: the focused one, otherwise the last one focused
+    private targetWindow(): BrowserWindow | null {
+        const focused = BrowserWindow.getFocusedWindow();
+        if (isClientWindow(focused)) return focused;
+        if (isClientWindow(this.lastClientWindow)) return this.lastClientWindow;
+        return (
+            BrowserWindow.getAllWindows().find(window =>
+                isClientWindow(window)
+            ) ?? null
+        );
+    }
+
+    trackFocus(window: BrowserWindow) {
+        if (isClientWindow(window)) this.lastClientWindow = window;
+    }
+
+    applyGlobalShortcuts() {
+        globalShortcut.unregisterAll();
+        this.globalErrors.clear();
+        if (this.capturing) return;
+        for (const action of BUILT_IN_ACTIONS) {
+            const accelerator = this.acceleratorFor(action.id);
+            if (!this.isGlobal(action) || !accelerator) continue;
+            let registered = false;
+            try {
+                registered = globalShortcut.register(accelerator, () =>
+                    this.run(action.id, this.targetWindow())
+                );
+            } catch (err) {
+                log.warn(
+                    `Failed to register global shortcut ${accelerator}:`,
+                    err
+                );
+            }
+            if (!registered) {
+                this.globalErrors.set(
+                    action.id,
+                    'Another application already uses this shortcut'
+                );
+            }
+        }
+    }
+
+    setCapturing(capturing: boolean) {
+        if (this.capturing === capturing) return;
+        this.capturing = capturing;
+        this.applyGlobalShortcuts();
+    }
+
+    private notify() {
+        const bindings = this.list();
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) {
+                window.webContents.send('keybindings:changed', bindings);
+            }
+        });
+    }
+}
+
+export const keybindingService = KeybindingService.getInstance();
+
+export default function registerKeybindingIPC() {
+    keybindingService.applyGlobalShortcuts();
+    app.on('browser-window-focus', (_event, window) =>
+        keybindingService.trackFocus(window)
+    );
+    app.on('will-quit', () => globalShortcut.unregisterAll());
+
+    ipcMain.handle('keybindings:list', () => keybindingService.list());
+
+    ipcMain.handle(
+        'keybindings:register-plugin-actions',
+        (_event, actions: KeybindingAction[]) => {
+            if (Array.isArray(actions)) {
+                keybindingService.registerPluginActions(actions);
+            }
+            return keybindingService.list();
+        }
+    );
+
+    ipcMain.handle(
+        'keybindings:set',
+        (_event, id: string, accelerator: string) =>
+            keybindingService.set(id, accelerator)
+    );
+
+    ipcMain.handle(
+        'keybindings:set-global',
+        (_event, id: string, enabled: boolean) =>
+            keybindingService.setGlobal(id, Boolean(enabled))
+    );
+
+    ipcMain.handle('keybindings:reset', (_event, id?: string) => {
+        keybindingService.reset(id);
+        return { ok: true };
+    });
+
+    ipcMain.on('keybindings:capturing', (_event, capturing: boolean) => {
+        keybindingService.setCapturing(Boolean(capturing));
+    });
+}
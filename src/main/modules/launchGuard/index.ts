@@ -0,0 +1,207 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Crash-loop guard.
+
+    A launch counts as failed when the process dies before a client window sends ui-ready, the
+    renderer crashes first, or ui-ready doesn't arrive within UI_READY_TIMEOUT. After
+    FAILURE_THRESHOLD failed launches in a row the next start offers to disable plugins, reset
+    the settings or reinstall the last version that started fine.
+*/
+
+import { app, BrowserWindow, dialog, ipcMain } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import log from 'electron-log';
+import { settingsService } from '../settingsManagement';
+import { skipVersion } from '../../windows/updater';
+
+interface LaunchState {
+    // Set when a launch starts, cleared once it is known to have succeeded or failed
+    launching: boolean;
+    failures: number;
+    lastGoodVersion: string | null;
+}
+
+export interface LaunchDecision {
+    quit: boolean;
+    // Reinstall this version instead of checking for updates
+    rollbackTo?: string;
+}
+
+const FAILURE_THRESHOLD = 3;
+// Generous, the first start downloads the game client
+const UI_READY_TIMEOUT = 120 * 1000;
+const statePath = path.join(app.getPath('userData'), 'launch-state.json');
+
+let settled = false;
+let readyTimer: ReturnType<typeof setTimeout> | undefined;
+
+function readState(): LaunchState {
+    try {
+        return {
+            launching: false,
+            failures: 0,
+            lastGoodVersion: null,
+            ...JSON.parse(fs.readFileSync(statePath, 'utf8')),
+        };
+    } catch {
+        return { launching: false, failures: 0, lastGoodVersion: null };
+    }
+}
+
+// Written synchronously, the process may be about to go down
+function writeState(state: LaunchState) {
+    try {
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf8');
+    } catch (err) {
+        log.error('Failed to save launch state:', err);
+    }
+}
+
+function settle(healthy: boolean, reason?: string) {
+    if (settled) return;
+    settled = true;
+    clearTimeout(readyTimer);
+    const state = readState();
+    if (healthy) {
+        writeState({
+            launching: false,
+            failures: 0,
+            lastGoodVersion: app.getVersion(),
+        });
+        return;
+    }
+    log.warn(`Launch failed: ${reason}`);
+    writeState({ ...state, launching: false, failures: state.failures + 1 });
+}
+
+// A previous version can be reinstalled when it started fine and is on the selected release channel
+function rollbackTarget(lastGoodVersion: string | null): string | null {
+    if (!lastGoodVersion || lastGoodVersion === app.getVersion()) return null;
+    const isPrerelease = lastGoodVersion.includes('-');
+    if (
+        isPrerelease &&
+        settingsService.getByName('Release Channel') !== 'Beta'
+    ) {
+        return null;
+    }
+    return lastGoodVersion;
+}
+
+async function offerRecovery(state: LaunchState): Promise<LaunchDecision> {
+    const rollbackTo = rollbackTarget(state.lastGoodVersion);
+    const choices: Array<{
+        label: string;
+        run: () => Promise<LaunchDecision>;
+    }> = [
+        {
+            label: 'Start With Plugins Disabled',
+            run: async () => {
+                await settingsService.set('Plugins', 'Enable Plugins', false);
+                log.info('Recovery: plugins disabled');
+                return { quit: false };
+            },
+        },
+        {
+            label: 'Reset Settings',
+            run: async () => {
+                await settingsService.resetToDefaults();
+                log.info('Recovery: settings reset to defaults');
+                return { quit: false };
+            },
+        },
+    ];
+    if (rollbackTo) {
+        choices.push({
+            label: `Reinstall v${rollbackTo}`,
+            run: async () => {
+                log.info(`Recovery: reinstalling ${rollbackTo}`);
+                // Otherwise the next update check offers the broken version again
+                skipVersion(app.getVersion());
+                return { quit: false, rollbackTo };
+            },
+        });
+    }
+    choices.push(
+        { label: 'Start Normally', run: async () => ({ quit: false }) },
+        { label: 'Quit', run: async () => ({ quit: true }) }
+    );
+
+    const { response } = await dialog.showMessageBox({
+        type: 'warning',
+        title: 'HighLite Recovery',
+        message: `HighLite ${app.getVersion()} failed to start ${state.failures} times in a row.`,
+        detail:
+            'Starting with plugins disabled rules out a broken plugin, you can turn them back on in the settings. ' +
+            'Resetting keeps a backup of your current settings next to settings.json.' +
+            (rollbackTo
+                ? ` Reinstalling goes back to v${rollbackTo}, the last version that started on this computer.`
+                : ''),
+        buttons: choices.map(choice => choice.label),
+        defaultId: 0,
+        cancelId: choices.length - 1,
+        noLink: true,
+    });
+    return choices[response].run();
+}
+
+// Count the previous launch if it never finished starting, and offer recovery after a crash loop
+export async function beginLaunch(): Promise<LaunchDecision> {
+    const state = readState();
+    if (state.launching) {
+        state.failures += 1;
+        log.warn(
+            `The previous launch didn't finish starting (${state.failures} in a row)`
+        );
+    }
+    writeState({ ...state, launching: true });
+
+    ipcMain.on('ui-ready', () => settle(true));
+    // Quitting before any client window opened, e.g. from the profile picker or to install an update,
+    // is not a failed start
+    app.on('before-quit', () => {
+        if (settled || readyTimer) return;
+        settled = true;
+        writeState({ ...readState(), launching: false });
+    });
+
+    if (state.failures < FAILURE_THRESHOLD) return { quit: false };
+    await settingsService.load();
+    const decision = await offerRecovery(state);
+    // Quitting from the recovery prompt is not another failed start
+    if (decision.quit) writeState({ ...readState(), launching: false });
+    return decision;
+}
+
+// Give the first client window of a launch UI_READY_TIMEOUT to become ready
+export function watchClientStartup(window: BrowserWindow) {
+    if (settled || readyTimer) return;
+    readyTimer = setTimeout(
+        () => settle(false, `no ui-ready within ${UI_READY_TIMEOUT / 1000}s`),
+        UI_READY_TIMEOUT
+    );
+    window.webContents.once('render-process-gone', (_event, details) => {
+        settle(false, `renderer ${details.reason} before ui-ready`);
+    });
+    // Closing the window before it is ready is the user's choice, not a failed start
+    window.once('closed', () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(readyTimer);
+        writeState({ ...readState(), launching: false });
+    });
+}
@@ -0,0 +1,332 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Log files for the console window and for bug reports.
+
+    Every launch logs to a session file of its own next to electron-log's default file, and only
+    the most recent sessions are kept. The console window can read any of them or tail the current
+    one, and "Collect Diagnostics" zips the recent logs with the redacted settings, versions and
+    the plugins the client loaded.
+*/
+
+import { app, BrowserWindow, dialog, ipcMain, WebContents } from 'electron';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import log from 'electron-log';
+import { settingsService } from '../settingsManagement';
+import { createZip, ZipEntry } from './zip';
+
+export interface LogFileInfo {
+    name: string;
+    size: number;
+    modified: number;
+    current: boolean;
+}
+
+// Sent by the client window once its plugins are registered
+export interface PluginReport {
+    clientVersion: string | null;
+    plugins: Array<{ name: string; status: 'enabled' | 'disabled' | 'failed' }>;
+}
+
+const KEPT_SESSIONS = 10;
+const DIAGNOSTICS_LOGS = 5;
+// electron-log moves a file that grows past this to *.old.log and starts over
+const MAX_LOG_SIZE = 5 * 1024 * 1024;
+// Only the end of a larger file is sent to the console window
+const MAX_READ_BYTES = 2 * 1024 * 1024;
+const TAIL_INTERVAL = 1000;
+const SESSION_FILE = /^session-.+\.log$/;
+const REDACTED_KEY = /pass(word)?|secret|token|\bpin\b|api.?key|credential/i;
+
+const sessionName = `session-${new Date().toISOString().replace(/[:.]/g, '-')}.log`;
+const tails = new Map<number, () => void>();
+let pluginReport: (PluginReport & { reportedAt: number }) | null = null;
+
+// Called before anything is logged so the whole session lands in its file
+export function configureSessionLog() {
+    log.transports.file.maxSize = MAX_LOG_SIZE;
+    log.transports.file.resolvePathFn = variables =>
+        path.join(variables.libraryDefaultDir, sessionName);
+}
+
+function logDirectory(): string {
+    return path.dirname(log.transports.file.getFile().path);
+}
+
+function currentLogPath(): string {
+    return path.join(logDirectory(), sessionName);
+}
+
+// Newest first
+async function listLogFiles(): Promise<LogFileInfo[]> {
+    const dir = logDirectory();
+    const names = (await fs.promises.readdir(dir)).filter(name =>
+        name.endsWith('.log')
+    );
+    const files = await Promise.all(
+        names.map(async name => {
+            try {
+                const stat = await fs.promises.stat(path.join(dir, name));
+                return {
+                    name,
+                    size: stat.size,
+                    modified: stat.mtimeMs,
+                    current: name === sessionName,
+                };
+            } catch {
+                return null;
+            }
+        })
+    );
+    return files
+        .filter((file): file is LogFileInfo => file !== null)
+        .sort(
+            (a, b) =>
+                Number(b.current) - Number(a.current) || b.modified - a.modified
+        );
+}
+
+async function pruneSessionLogs() {
+    const sessions = (await listLogFiles()).filter(
+        file => SESSION_FILE.test(file.name) && !file.current
+    );
+    // The current session counts towards the kept ones
+    for (const file of sessions.slice(KEPT_SESSIONS - 1)) {
+        await fs.promises
+            .rm(path.join(logDirectory(), file.name), { force: true })
+            .catch(err =>
+                log.warn(`Failed to delete old log ${file.name}:`, err)
+            );
+    }
+}
+
+// A file name from the renderer, only plain .log files in the log directory
+function resolveLogPath(name: string): string {
+    if (
+        typeof name !== 'string' ||
+        path.basename(name) !== name ||
+        !name.endsWith('.log')
+    ) {
+        throw new Error('Not a log file');
+    }
+    return path.join(logDirectory(), name);
+}
+
+async function readRange(
+    filePath: string,
+    start: number,
+    end: number
+): Promise<string> {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        const { bytesRead } = await handle.read(
+            buffer,
+            0,
+            buffer.length,
+            start
+        );
+        return buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+// The end of a log file, cut at a line break when it doesn't fit
+async function readLogTail(
+    filePath: string
+): Promise<{ content: string; size: number; truncated: boolean }> {
+    const { size } = await fs.promises.stat(filePath);
+    const start = Math.max(0, size - MAX_READ_BYTES);
+    let content = await readRange(filePath, start, size);
+    if (start > 0) content = content.slice(content.indexOf('\n') + 1);
+    return { content, size, truncated: start > 0 };
+}
+
+function stopTail(id: number) {
+    tails.get(id)?.();
+    tails.delete(id);
+}
+
+// Send what gets appended to the file from `position` on, until the window stops or closes
+function startTail(contents: WebContents, filePath: string, position: number) {
+    const isNew = !tails.has(contents.id);
+    stopTail(contents.id);
+    let reading = false;
+    const listener = async (current: fs.Stats) => {
+        if (reading || contents.isDestroyed()) return;
+        // The file was rotated past MAX_LOG_SIZE, start over in the new one
+        if (current.size < position) position = 0;
+        if (current.size === position) return;
+        reading = true;
+        try {
+            const end = current.size;
+            const chunk = await readRange(filePath, position, end);
+            position = end;
+            contents.send('logs:appended', chunk);
+        } catch (err) {
+            log.warn('Failed to tail the log file:', err);
+        } finally {
+            reading = false;
+        }
+    };
+    fs.watchFile(filePath, { interval: TAIL_INTERVAL }, listener);
+    tails.set(contents.id, () => fs.unwatchFile(filePath, listener));
+    if (isNew) {
+        const id = contents.id;
+        contents.once('destroyed', () => stopTail(id));
+    }
+}
+
+// Passwords and the like never leave the machine, and the home directory is shortened to ~
+function redact(value: any, key = ''): any {
+    if (REDACTED_KEY.test(key) && value !== '' && value != null)
+        return '[redacted]';
+    if (typeof value === 'string') return value.split(os.homedir()).join('~');
+    if (Array.isArray(value)) return value.map(item => redact(item));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([k, v]) => [k, redact(v, k)])
+        );
+    }
+    return value;
+}
+
+async function collectDiagnostics(): Promise<ZipEntry[]> {
+    const entries: ZipEntry[] = [
+        {
+            name: 'info.json',
+            data: JSON.stringify(
+                {
+                    collectedAt: new Date().toISOString(),
+                    appVersion: app.getVersion(),
+                    packaged: app.isPackaged,
+                    versions: {
+                        electron: process.versions.electron,
+                        chrome: process.versions.chrome,
+                        node: process.versions.node,
+                    },
+                    platform: process.platform,
+                    arch: process.arch,
+                    osRelease: os.release(),
+                    locale: app.getLocale(),
+                    client: pluginReport,
+                },
+                null,
+                2
+            ),
+        },
+        {
+            name: 'settings.json',
+            data: JSON.stringify(redact(settingsService.getAll()), null, 2),
+        },
+    ];
+
+    for (const file of (await listLogFiles()).slice(0, DIAGNOSTICS_LOGS)) {
+        try {
+            const { content } = await readLogTail(
+                path.join(logDirectory(), file.name)
+            );
+            entries.push({
+                name: `logs/${file.name}`,
+                data: redact(content),
+                modified: new Date(file.modified),
+            });
+        } catch (err) {
+            log.warn(`Failed to add ${file.name} to diagnostics:`, err);
+        }
+    }
+    return entries;
+}
+
+export default function registerLogIPC() {
+    pruneSessionLogs().catch(err => log.warn('Failed to prune old logs:', err));
+    log.info(
+        `HighLite ${app.getVersion()} on ${process.platform} ${os.release()}, logging to ${currentLogPath()}`
+    );
+
+    ipcMain.on('diagnostics:plugins', (_event, report: PluginReport) => {
+        pluginReport = { ...report, reportedAt: Date.now() };
+    });
+
+    ipcMain.handle('logs:list', async () => {
+        try {
+            return {
+                ok: true,
+                directory: logDirectory(),
+                files: await listLogFiles(),
+            };
+        } catch (err: any) {
+            return { ok: false, error: err?.message || String(err) };
+        }
+    });
+
+    ipcMain.handle('logs:read', async (_event, name: string) => {
+        try {
+            return {
+                ok: true,
+                name,
+                ...(await readLogTail(resolveLogPath(name))),
+            };
+        } catch (err: any) {
+            return { ok: false, error: err?.message || String(err) };
+        }
+    });
+
+    // The current file so far, followed by logs:appended events with what is written after it
+    ipcMain.handle('logs:tail', async event => {
+        try {
+            const filePath = currentLogPath();
+            const result = await readLogTail(filePath);
+            startTail(event.sender, filePath, result.size);
+            return { ok: true, name: sessionName, ...result };
+        } catch (err: any) {
+            return { ok: false, error: err?.message || String(err) };
+        }
+    });
+
+    ipcMain.on('logs:untail', event => {
+        stopTail(event.sender.id);
+    });
+
+    ipcMain.handle('logs:collect-diagnostics', async event => {
+        try {
+            const parent = BrowserWindow.fromWebContents(event.sender);
+            const options = {
+                title: 'Save Diagnostics',
+                defaultPath: `highlite-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.zip`,
+                filters: [{ name: 'ZIP Archive', extensions: ['zip'] }],
+            };
+            const result = parent
+                ? await dialog.showSaveDialog(parent, options)
+                : await dialog.showSaveDialog(options);
+            if (result.canceled || !result.filePath)
+                return { ok: false, canceled: true };
+
+            await fs.promises.writeFile(
+                result.filePath,
+                createZip(await collectDiagnostics())
+            );
+            log.info(`Diagnostics saved to ${result.filePath}`);
+            return { ok: true, path: result.filePath };
+        } catch (err: any) {
+            log.error('Failed to collect diagnostics:', err);
+            return { ok: false, error: err?.message || String(err) };
+        }
+    });
+}
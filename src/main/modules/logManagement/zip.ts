@@ -0,0 +1,100 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Minimal ZIP writer for diagnostics bundles: deflated entries, no zip64, so keep it well below 4 GiB.
+
+import zlib from 'zlib';
+
+export interface ZipEntry {
+    name: string;
+    data: Buffer | string;
+    modified?: Date;
+}
+
+// Language encoding flag, names are UTF-8
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+const VERSION = 20;
+
+function dosDateTime(date: Date): { time: number; date: number } {
+    return {
+        time:
+            (date.getHours() << 11) |
+            (date.getMinutes() << 5) |
+            Math.floor(date.getSeconds() / 2),
+        date:
+            ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+            ((date.getMonth() + 1) << 5) |
+            date.getDate(),
+    };
+}
+
+export function createZip(entries: ZipEntry[]): Buffer {
+    const files: Buffer[] = [];
+    const directory: Buffer[] = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name.replace(/\\/g, '/'), 'utf8');
+        const data = Buffer.isBuffer(entry.data)
+            ? entry.data
+            : Buffer.from(entry.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+        const { time, date } = dosDateTime(entry.modified ?? new Date());
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(DEFLATE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        // Extra field, comment, disk number, internal and external attributes stay zero
+        central.writeUInt32LE(offset, 42);
+
+        files.push(local, name, compressed);
+        directory.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directorySize = directory.reduce((size, b) => size + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...files, ...directory, end]);
+}
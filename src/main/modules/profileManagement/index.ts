@@ -0,0 +1,228 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Client profiles: every profile runs its client windows in an isolated, persisted session so
+// that alts played side by side don't share IndexedDB, localStorage or cookies.
+
+import { app, BrowserWindow, ipcMain, session } from 'electron';
+import log from 'electron-log';
+import fs from 'fs';
+import path from 'path';
+
+export interface ClientProfile {
+    id: string;
+    name: string;
+    createdAt: number;
+    lastUsed: number;
+}
+
+interface ProfileStore {
+    profiles: ClientProfile[];
+    lastProfileId: string;
+}
+
+// The default profile keeps using the default session, so data from before profiles existed stays put
+export const DEFAULT_PROFILE_ID = 'default';
+
+class ProfileService {
+    private static instance: ProfileService;
+    private storePath: string;
+    private store: ProfileStore | null = null;
+    private windowProfiles = new Map<number, string>();
+
+    private constructor() {
+        this.storePath = path.join(app.getPath('userData'), 'profiles.json');
+    }
+
+    static getInstance() {
+        if (!ProfileService.instance) {
+            ProfileService.instance = new ProfileService();
+        }
+        return ProfileService.instance;
+    }
+
+    private defaultStore(): ProfileStore {
+        const now = Date.now();
+        return {
+            profiles: [
+                {
+                    id: DEFAULT_PROFILE_ID,
+                    name: 'Default',
+                    createdAt: now,
+                    lastUsed: now,
+                },
+            ],
+            lastProfileId: DEFAULT_PROFILE_ID,
+        };
+    }
+
+    private load(): ProfileStore {
+        if (this.store) return this.store;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+            if (Array.isArray(raw?.profiles) && raw.profiles.length > 0) {
+                this.store = raw as ProfileStore;
+            }
+        } catch {
+            // Missing or unreadable, start with the default profile
+        }
+        if (!this.store) this.store = this.defaultStore();
+        if (!this.store.profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            this.store.profiles.unshift(this.defaultStore().profiles[0]);
+        }
+        return this.store;
+    }
+
+    private save() {
+        try {
+            fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+            fs.writeFileSync(
+                this.storePath,
+                JSON.stringify(this.load(), null, 2),
+                'utf-8'
+            );
+        } catch (e) {
+            log.error('Failed to save profiles:', e);
+        }
+    }
+
+    list(): ClientProfile[] {
+        return [...this.load().profiles].sort(
+            (a, b) => b.lastUsed - a.lastUsed
+        );
+    }
+
+    get(id: string): ClientProfile | undefined {
+        return this.load().profiles.find(p => p.id === id);
+    }
+
+    last(): ClientProfile {
+        return (
+            this.get(this.load().lastProfileId) ?? this.get(DEFAULT_PROFILE_ID)!
+        );
+    }
+
+    create(name: string): ClientProfile {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) throw new Error('Profile name is required');
+        if (
+            this.load().profiles.some(
+                p => p.name.toLowerCase() === trimmed.toLowerCase()
+            )
+        ) {
+            throw new Error(`A profile named "${trimmed}" already exists`);
+        }
+        const slug =
+            trimmed
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '') || 'profile';
+        const now = Date.now();
+        const profile: ClientProfile = {
+            id: `${slug}-${now.toString(36)}`,
+            name: trimmed,
+            createdAt: now,
+            lastUsed: now,
+        };
+        this.load().profiles.push(profile);
+        this.save();
+        log.info(`Created profile ${profile.name} (${profile.id})`);
+        return profile;
+    }
+
+    async remove(id: string): Promise<void> {
+        if (id === DEFAULT_PROFILE_ID) {
+            throw new Error('The default profile cannot be deleted');
+        }
+        if (this.windowsFor(id).length > 0) {
+            throw new Error('Close the windows using this profile first');
+        }
+        const profile = this.get(id);
+        if (!profile) return;
+        await session
+            .fromPartition(this.partitionFor(profile)!)
+            .clearStorageData();
+        const store = this.load();
+        store.profiles = store.profiles.filter(p => p.id !== id);
+        if (store.lastProfileId === id)
+            store.lastProfileId = DEFAULT_PROFILE_ID;
+        this.save();
+        log.info(`Deleted profile ${profile.name} (${profile.id})`);
+    }
+
+    touch(id: string) {
+        const profile = this.get(id);
+        if (!profile) return;
+        profile.lastUsed = Date.now();
+        this.load().lastProfileId = id;
+        this.save();
+    }
+
+    // Session partition for a profile, undefined means the default session
+    partitionFor(profile: ClientProfile): string | undefined {
+        return profile.id === DEFAULT_PROFILE_ID
+            ? undefined
+            : `persist:profile-${profile.id}`;
+    }
+
+    attachWindow(window: BrowserWindow, profile: ClientProfile) {
+        const webContentsId = window.webContents.id;
+        this.windowProfiles.set(webContentsId, profile.id);
+        window.on('closed', () => this.windowProfiles.delete(webContentsId));
+    }
+
+    profileForWebContents(webContentsId: number): ClientProfile | undefined {
+        const id = this.windowProfiles.get(webContentsId);
+        return id ? this.get(id) : undefined;
+    }
+
+    windowsFor(id: string): BrowserWindow[] {
+        return BrowserWindow.getAllWindows().filter(
+            w =>
+                !w.isDestroyed() &&
+                this.windowProfiles.get(w.webContents.id) === id
+        );
+    }
+}
+
+export const profileService = ProfileService.getInstance();
+
+ipcMain.handle('profiles:list', async () => {
+    return profileService.list().map(profile => ({
+        ...profile,
+        openWindows: profileService.windowsFor(profile.id).length,
+    }));
+});
+
+ipcMain.handle('profiles:create', async (_event, name: string) => {
+    try {
+        return { ok: true, profile: profileService.create(name) };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('profiles:delete', async (_event, id: string) => {
+    try {
+        await profileService.remove(id);
+        return { ok: true };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('profiles:current', async event => {
+    return profileService.profileForWebContents(event.sender.id) ?? null;
+});
@@ -1,13 +1,60 @@
 // Copyright (C) 2025  HighLite
 
-import { app, BrowserWindow, ipcMain } from 'electron';
+import { app, BrowserWindow, clipboard, ipcMain, nativeImage, NativeImage, shell } from 'electron';
 import path from 'path';
 import fs from 'fs';
 import { settingsService } from '../settingsManagement';
+import { profileService } from '../profileManagement';
+import { getGalleryWindow, openGalleryWindow } from '../../windows/gallery';
+import { convertImage } from '../../windows/imageCodec';
+
+export type ScreenshotFormat = 'png' | 'jpeg' | 'webp';
+
+export interface CaptureOptions {
+    // Area to capture in CSS pixels of the page, the whole window when omitted
+    rect?: { x: number; y: number; width: number; height: number };
+    // What triggered the capture, e.g. "manual" or "level-up", available as {event} in filename templates
+    event?: string;
+    character?: string | null;
+    world?: string | null;
+}
+
+export interface CaptureResult {
+    ok: boolean;
+    path?: string;
+    copied?: boolean;
+    // Small preview of the capture as a data URL, for the client's capture toast
+    thumbnail?: string;
+    error?: string;
+}
+
+// What we know about a capture beyond its file, recorded when it is taken
+interface ScreenshotMetadata {
+    event?: string;
+    character?: string | null;
+    world?: string | null;
+    takenAt: number;
+}
+
+export interface GalleryEntry extends ScreenshotMetadata {
+    path: string;
+    name: string;
+    folder: string;
+    size: number;
+}
+
+const DEFAULT_TEMPLATE = 'Highlite_Screenshot_{date}_{time}';
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const TOAST_THUMBNAIL_WIDTH = 240;
+const GALLERY_THUMBNAIL_WIDTH = 320;
+const indexPath = path.join(app.getPath('userData'), 'screenshot-index.json');
+
+function pad(n: number) {
+    return String(n).padStart(2, '0');
+}
 
 function timestamp() {
     const d = new Date();
-    const pad = (n: number) => String(n).padStart(2, '0');
     return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
 }
 
@@ -17,29 +64,389 @@ async function ensureDir(dir: string): Promise<string> {
     return target;
 }
 
-async function captureFocusedWindow(): Promise<{ buffer: Buffer; format: 'png' } | null> {
-    const win = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
-    if (!win) return null;
+// Keep template values and folder names safe on every platform
+function sanitize(value: string): string {
+    return value.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+}
+
+// Fill {character}, {world}, {event}, {profile}, {date}, {time} and {timestamp} into a filename template
+export function renderFilenameTemplate(template: string, tokens: Record<string, string | null | undefined>): string {
+    const [date, time] = timestamp().split('_');
+    const values: Record<string, string> = { date, time, timestamp: String(Date.now()) };
+    Object.entries(tokens).forEach(([key, value]) => {
+        values[key] = sanitize(String(value ?? ''));
+    });
+
+    const name = (template || DEFAULT_TEMPLATE)
+        .replace(/\{(\w+)\}/g, (match, token) => (token in values ? values[token] : match))
+        // Missing tokens leave doubled or dangling separators behind
+        .replace(/([_\- ])[_\- ]+/g, '$1')
+        .replace(/^[_\- ]+|[_\- ]+$/g, '');
+    return sanitize(name) || `Highlite_Screenshot_${timestamp()}`;
+}
+
+// Index updates and file name reservations look before they write, so they run one at a time
+let fileQueue: Promise<unknown> = Promise.resolve();
+
+function serialized<T>(task: () => Promise<T>): Promise<T> {
+    const result = fileQueue.then(task);
+    fileQueue = result.catch(() => undefined);
+    return result;
+}
+
+// Create an empty file under the first free name, two captures in the same second each get their own
+function reservePath(dir: string, name: string, extension: string): Promise<string> {
+    return serialized(async () => {
+        for (let i = 1; ; i++) {
+            const candidate = path.join(dir, i === 1 ? `${name}.${extension}` : `${name}_${i}.${extension}`);
+            try {
+                await (await fs.promises.open(candidate, 'wx')).close();
+                return candidate;
+            } catch (e: any) {
+                if (e?.code !== 'EEXIST') throw e;
+            }
+        }
+    });
+}
+
+// Fill a reserved file, removing it again when that fails
+async function writeReserved(filePath: string, data: Buffer) {
+    try {
+        await fs.promises.writeFile(filePath, data);
+    } catch (e) {
+        await fs.promises.unlink(filePath).catch(() => undefined);
+        throw e;
+    }
+}
+
+async function encode(image: NativeImage, format: ScreenshotFormat, quality: number): Promise<Buffer> {
+    switch (format) {
+        case 'jpeg':
+            return image.toJPEG(quality);
+        case 'webp':
+            // WebP has no native encoder in the main process
+            return convertImage(image.toPNG(), { type: 'image/webp', quality });
+        default:
+            return image.toPNG();
+    }
+}
+
+async function readIndex(): Promise<Record<string, ScreenshotMetadata>> {
+    try {
+        return JSON.parse(await fs.promises.readFile(indexPath, 'utf-8')) ?? {};
+    } catch {
+        return {};
+    }
+}
+
+async function writeIndex(index: Record<string, ScreenshotMetadata>) {
+    await fs.promises.writeFile(indexPath, JSON.stringify(index, null, 2), 'utf-8');
+}
+
+function updateIndex(mutate: (index: Record<string, ScreenshotMetadata>) => void): Promise<void> {
+    return serialized(async () => {
+        const index = await readIndex();
+        mutate(index);
+        await writeIndex(index);
+    });
+}
+
+// Let an open gallery know the list of captures changed
+function notifyGallery() {
+    getGalleryWindow()?.webContents.send('gallery:changed');
+}
+
+async function captureWindow(win: BrowserWindow, rect?: CaptureOptions['rect']): Promise<NativeImage> {
+    if (!rect) return win.webContents.capturePage();
+    // The page reports CSS pixels, capturePage expects window coordinates, which differ once zoomed
+    const zoom = win.webContents.getZoomFactor();
+    return win.webContents.capturePage({
+        x: Math.round(rect.x * zoom),
+        y: Math.round(rect.y * zoom),
+        width: Math.max(1, Math.round(rect.width * zoom)),
+        height: Math.max(1, Math.round(rect.height * zoom)),
+    });
+}
+
+// Reserve the file a capture from this window goes to, following the directory, per-character folder and filename template settings
+async function destinationPath(win: BrowserWindow, options: CaptureOptions, extension: string): Promise<string> {
+    const dirSetting = settingsService.get('Screenshots', 'Screenshot Directory') as string | undefined;
+    let dir = dirSetting || app.getPath('pictures');
+    if (settingsService.get('Screenshots', 'Per-Character Folders') && options.character) {
+        dir = path.join(dir, sanitize(options.character));
+    }
+    dir = await ensureDir(dir);
+
+    const name = renderFilenameTemplate(String(settingsService.get('Screenshots', 'Filename Template') ?? ''), {
+        character: options.character,
+        world: options.world,
+        event: options.event ?? 'manual',
+        profile: profileService.profileForWebContents(win.webContents.id)?.name,
+    });
+    return reservePath(dir, name, extension);
+}
+
+// Capture a window (the focused one by default) and save and/or copy it according to the screenshot settings
+export async function captureScreenshot(win?: BrowserWindow | null, options: CaptureOptions = {}): Promise<CaptureResult> {
+    try {
+        win ??= BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+        if (!win) return { ok: false, error: 'No window' };
+
+        const image = await captureWindow(win, options.rect);
+        if (image.isEmpty()) return { ok: false, error: 'Captured image is empty' };
+
+        const destination = String(settingsService.get('Screenshots', 'Screenshot Destination') ?? 'file');
+        const result: CaptureResult = { ok: true };
+
+        if (destination === 'clipboard' || destination === 'both') {
+            clipboard.writeImage(image);
+            result.copied = true;
+        }
+
+        if (destination === 'file' || destination === 'both') {
+            const format = (settingsService.get('Screenshots', 'Screenshot Format') ?? 'png') as ScreenshotFormat;
+            const quality = Number(settingsService.get('Screenshots', 'Screenshot Quality')) || 90;
+            const data = await encode(image, format, quality);
+            const filePath = await destinationPath(win, options, format === 'jpeg' ? 'jpg' : format);
+            await writeReserved(filePath, data);
+            result.path = filePath;
+
+            await updateIndex(index => {
+                index[filePath] = {
+                    event: options.event ?? 'manual',
+                    character: options.character ?? null,
+                    world: options.world ?? null,
+                    takenAt: Date.now(),
+                };
+            });
+            notifyGallery();
+        }
+        result.thumbnail = image.resize({ width: Math.min(TOAST_THUMBNAIL_WIDTH, image.getSize().width) }).toDataURL();
+        return result;
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+}
+
+// Write a WebM clip recorded by the page next to the screenshots
+export async function saveClip(win: BrowserWindow | null, data: Uint8Array, options: CaptureOptions = {}): Promise<CaptureResult> {
+    try {
+        if (!win) return { ok: false, error: 'No window' };
+        if (!data || data.byteLength === 0) return { ok: false, error: 'Clip is empty' };
+        const filePath = await destinationPath(win, { ...options, event: options.event ?? 'clip' }, 'webm');
+        await writeReserved(filePath, Buffer.from(data));
+        return { ok: true, path: filePath };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+}
 
-    const img = await win.webContents.capturePage();
-    const buffer = img.toPNG();
-    return { buffer, format: 'png' };
+function screenshotRoot(): { dir: string; explicit: boolean } {
+    const dirSetting = settingsService.get('Screenshots', 'Screenshot Directory') as string | undefined;
+    return dirSetting ? { dir: dirSetting, explicit: true } : { dir: app.getPath('pictures'), explicit: false };
+}
+
+function isImageFile(filePath: string) {
+    return IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Images in the screenshot directory and its per-character subfolders, newest first
+export async function listScreenshots(): Promise<GalleryEntry[]> {
+    const { dir, explicit } = screenshotRoot();
+    const index = await readIndex();
+    const files: string[] = [];
+
+    const readDir = async (folder: string) => {
+        try {
+            return await fs.promises.readdir(folder, { withFileTypes: true });
+        } catch {
+            return [];
+        }
+    };
+    for (const entry of await readDir(dir)) {
+        const full = path.join(dir, entry.name);
+        if (entry.isFile()) {
+            files.push(full);
+        } else if (entry.isDirectory()) {
+            for (const child of await readDir(full)) {
+                if (child.isFile()) files.push(path.join(full, child.name));
+            }
+        }
+    }
+
+    const entries: GalleryEntry[] = [];
+    for (const file of files) {
+        if (!isImageFile(file)) continue;
+        // Without a configured directory we look at the user's Pictures folder, which holds more than our captures
+        if (!explicit && !index[file] && !/^highlite/i.test(path.basename(file))) continue;
+        try {
+            const stat = await fs.promises.stat(file);
+            const metadata = index[file];
+            entries.push({
+                path: file,
+                name: path.basename(file),
+                folder: path.relative(dir, path.dirname(file)),
+                size: stat.size,
+                event: metadata?.event,
+                character: metadata?.character ?? null,
+                world: metadata?.world ?? null,
+                takenAt: metadata?.takenAt ?? stat.mtimeMs,
+            });
+        } catch {
+            // Removed while we were listing
+        }
+    }
+
+    // Forget captures that were deleted or moved outside the loader
+    const stale = Object.keys(index).filter(file => !fs.existsSync(file));
+    if (stale.length > 0) {
+        await updateIndex(current => stale.forEach(file => delete current[file]));
+    }
+    return entries.sort((a, b) => b.takenAt - a.takenAt);
+}
+
+// Only act on images inside the screenshot directory, whatever path the renderer sends
+function resolveScreenshotPath(filePath: unknown): string {
+    if (typeof filePath !== 'string' || !isImageFile(filePath)) {
+        throw new Error('Not a screenshot');
+    }
+    const resolved = path.resolve(filePath);
+    const relative = path.relative(path.resolve(screenshotRoot().dir), resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error('Screenshot is outside the screenshot directory');
+    }
+    if (!fs.existsSync(resolved)) throw new Error('Screenshot no longer exists');
+    return resolved;
+}
+
+// nativeImage can't decode WebP, the codec window decodes it to PNG, scaled down when maxWidth is given
+async function loadImage(filePath: string, maxWidth?: number): Promise<NativeImage> {
+    const image = nativeImage.createFromPath(filePath);
+    if (!image.isEmpty()) return image;
+    const png = await convertImage(await fs.promises.readFile(filePath), { type: 'image/png', maxWidth });
+    return nativeImage.createFromBuffer(png);
+}
+
+// Thumbnails by file path, dropped when the file's modification time changes
+const thumbnailCache = new Map<string, { mtimeMs: number; thumbnail: string }>();
+const THUMBNAIL_CACHE_SIZE = 500;
+
+async function galleryThumbnail(filePath: string): Promise<string | null> {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    const cached = thumbnailCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.thumbnail;
+
+    const image = await loadImage(filePath, GALLERY_THUMBNAIL_WIDTH);
+    if (image.isEmpty()) return null;
+    const width = Math.min(GALLERY_THUMBNAIL_WIDTH, image.getSize().width);
+    const thumbnail = image.resize({ width, quality: 'good' }).toDataURL();
+
+    // Map keeps insertion order, so the first key is the oldest
+    thumbnailCache.delete(filePath);
+    thumbnailCache.set(filePath, { mtimeMs, thumbnail });
+    if (thumbnailCache.size > THUMBNAIL_CACHE_SIZE) {
+        thumbnailCache.delete(thumbnailCache.keys().next().value!);
+    }
+    return thumbnail;
+}
+
+function errorResult(e: any) {
+    return { ok: false, error: e?.message || String(e) };
 }
 
 export default function registerScreenshotIPC() {
-    ipcMain.handle('screenshot:capture', async () => {
+    ipcMain.handle('screenshot:capture', async (event, options?: CaptureOptions) => {
+        return captureScreenshot(BrowserWindow.fromWebContents(event.sender), options ?? {});
+    });
+
+    ipcMain.handle('clip:save', async (event, data: Uint8Array, options?: CaptureOptions) => {
+        return saveClip(BrowserWindow.fromWebContents(event.sender), data, options ?? {});
+    });
+
+    ipcMain.on('gallery:open', () => {
+        openGalleryWindow();
+    });
+
+    ipcMain.handle('gallery:list', async () => {
+        try {
+            return { ok: true, directory: screenshotRoot().dir, entries: await listScreenshots() };
+        } catch (e: any) {
+            return errorResult(e);
+        }
+    });
+
+    ipcMain.handle('gallery:thumbnail', async (_event, filePath: string) => {
         try {
-            const dirSetting = settingsService.get('Screenshots', 'Screenshot Directory') as string | undefined;
-            const dir = await ensureDir(dirSetting || app.getPath('pictures'));
-            const result = await captureFocusedWindow();
-            if (!result) return { ok: false, error: 'No window' };
+            const thumbnail = await galleryThumbnail(resolveScreenshotPath(filePath));
+            if (!thumbnail) return { ok: false, error: 'Unsupported image' };
+            return { ok: true, thumbnail };
+        } catch (e: any) {
+            return errorResult(e);
+        }
+    });
 
-            const name = `Highlite_Screenshot_${timestamp()}.png`;
-            const filePath = path.join(dir, name);
-            await fs.promises.writeFile(filePath, result.buffer);
-            return { ok: true, path: filePath };
+    ipcMain.handle('gallery:delete', async (_event, filePath: string) => {
+        try {
+            const target = resolveScreenshotPath(filePath);
+            // Recycle bin rather than unlink, a misclick shouldn't lose a screenshot for good
+            await shell.trashItem(target);
+            thumbnailCache.delete(target);
+            await updateIndex(index => {
+                delete index[target];
+            });
+            notifyGallery();
+            return { ok: true };
+        } catch (e: any) {
+            return errorResult(e);
+        }
+    });
+
+    ipcMain.handle('gallery:rename', async (_event, filePath: string, newName: string) => {
+        try {
+            const source = resolveScreenshotPath(filePath);
+            const base = sanitize(String(newName ?? '').replace(/\.(png|jpe?g|webp)$/i, ''));
+            if (!base) return { ok: false, error: 'Enter a file name' };
+            const target = path.join(path.dirname(source), `${base}${path.extname(source)}`);
+            if (target === source) return { ok: true, path: source };
+            if (fs.existsSync(target)) return { ok: false, error: `${path.basename(target)} already exists` };
+
+            await fs.promises.rename(source, target);
+            thumbnailCache.delete(source);
+            await updateIndex(index => {
+                if (index[source]) {
+                    index[target] = index[source];
+                    delete index[source];
+                }
+            });
+            notifyGallery();
+            return { ok: true, path: target };
+        } catch (e: any) {
+            return errorResult(e);
+        }
+    });
+
+    ipcMain.handle('gallery:reveal', async (_event, filePath?: string) => {
+        try {
+            if (filePath) {
+                shell.showItemInFolder(resolveScreenshotPath(filePath));
+            } else {
+                const error = await shell.openPath(await ensureDir(screenshotRoot().dir));
+                if (error) return { ok: false, error };
+            }
+            return { ok: true };
+        } catch (e: any) {
+            return errorResult(e);
+        }
+    });
+
+    ipcMain.handle('gallery:copy', async (_event, filePath: string) => {
+        try {
+            const image = await loadImage(resolveScreenshotPath(filePath));
+            if (image.isEmpty()) return { ok: false, error: 'Unsupported image' };
+            clipboard.writeImage(image);
+            return { ok: true };
         } catch (e: any) {
-            return { ok: false, error: e?.message || String(e) };
+            return errorResult(e);
         }
     });
 }
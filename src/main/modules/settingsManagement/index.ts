@@ -19,19 +19,67 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.
 // TODO: Centralize settings syncing and ensurement here to clean up access requirements across main process
 
 
-import { settingsSchema } from "../../../preload/settings";
+import { checkFieldType, settingsSchema } from "../../../preload/settings";
 import { createSettingsModal } from "../../windows/settings/index";
 import { BrowserWindow, ipcMain, dialog, app } from "electron";
 import fs from 'fs';
 import path from 'path';
+import { randomUUID } from 'crypto';
+import log from 'electron-log';
+import {
+    CURRENT_SETTINGS_SCHEMA_VERSION,
+    migrateSettingsFile,
+    SettingsFile,
+    SettingsValues,
+    settingsFileVersion,
+} from './migrations';
+
+// Plugin settings and data as collected from a client window (see renderer/client/helpers/pluginState.ts)
+export type PluginState = {
+    indexedDB: Record<string, Record<string, Array<[any, any]>>>;
+    localStorage: Record<string, string>;
+    // Game client entries that were left out, as "database/store/key"
+    skipped?: string[];
+};
+
+export const SETTINGS_BUNDLE_FORMAT = 'highlite-settings-bundle';
+export const SETTINGS_BUNDLE_VERSION = 1;
+
+export interface SettingsBundle {
+    format: typeof SETTINGS_BUNDLE_FORMAT;
+    version: number;
+    createdAt: number;
+    appVersion: string;
+    settings: Record<string, Record<string, any>>;
+    plugins: PluginState | null;
+}
+
+export interface SettingChange {
+    section: string;
+    key: string;
+    value: any;
+    previous: any;
+    requiresRestart: boolean;
+}
+
+interface SettingsProfileStore {
+    active: string | null;
+    profiles: Record<string, SettingsBundle>;
+}
 
 // Centralized Settings Service
 class SettingsService {
     private static instance: SettingsService;
     private settingsPath: string;
+    private profilesPath: string;
+    private quarantine: SettingsValues = {};
+    private changeListeners = new Set<(changes: SettingChange[]) => void>();
+    // Tail of the pending commits, see commit
+    private commitQueue: Promise<void> = Promise.resolve();
 
     private constructor() {
         this.settingsPath = path.join(app.getPath('userData'), 'settings.json');
+        this.profilesPath = path.join(app.getPath('userData'), 'settings-profiles.json');
     }
 
     private ensureDynamicDefaults() {
@@ -58,31 +106,116 @@ class SettingsService {
     }
 
     async load(): Promise<any> {
+        this.ensureDynamicDefaults();
+        let contents: string;
         try {
-            this.ensureDynamicDefaults();
-            const data = await fs.promises.readFile(this.settingsPath, 'utf-8');
-            // Load the full schema JSON to preserve structure/validation bindings
-            settingsSchema.loadFromJSON(data);
-            return JSON.parse(data);
+            contents = await fs.promises.readFile(this.settingsPath, 'utf-8');
         } catch {
-            // If file doesn't exist, return defaults
-            this.ensureDynamicDefaults();
+            // If file doesn't exist or is unreadable, return defaults
             return this.getAll();
         }
+        let raw: any;
+        try {
+            raw = JSON.parse(contents);
+        } catch (e) {
+            // The next save replaces it with defaults, keep the broken file for recovery
+            const corruptPath = `${this.settingsPath}.corrupt-${Date.now()}.bak`;
+            await fs.promises.copyFile(this.settingsPath, corruptPath);
+            log.error(`settings.json could not be parsed, copied it to ${corruptPath}:`, e);
+            return this.getAll();
+        }
+
+        const fromVersion = settingsFileVersion(raw);
+        if (fromVersion > CURRENT_SETTINGS_SCHEMA_VERSION) {
+            // Any save writes the file back at our version, keep the newer one for when it is upgraded again
+            await this.backup(fromVersion);
+            log.warn(`settings.json has schema version ${fromVersion}, newer than ${CURRENT_SETTINGS_SCHEMA_VERSION}. Unknown values are kept in quarantine.`);
+        }
+        const { file, applied } = migrateSettingsFile(raw);
+        if (applied.length > 0) {
+            await this.backup(fromVersion);
+            log.info(`Migrated settings.json from schema version ${fromVersion}:\n  ${applied.join('\n  ')}`);
+        }
+
+        // Values that no longer match a field join the quarantine instead of being dropped
+        this.quarantine = file.quarantine;
+        const unmatched = settingsSchema.applyValues(file.settings);
+        for (const [section, values] of Object.entries(unmatched)) {
+            this.quarantine[section] = { ...this.quarantine[section], ...values };
+            log.warn(`Quarantined unknown settings in ${section}: ${Object.keys(values).join(', ')}`);
+        }
+
+        if (applied.length > 0 || Object.keys(unmatched).length > 0) {
+            await this.saveCurrent();
+        }
+        return this.getAll();
+    }
+
+    // Copy settings.json aside before a migration or a downgrade rewrites it
+    private async backup(fromVersion: number): Promise<void> {
+        const backupPath = `${this.settingsPath}.v${fromVersion}-${Date.now()}.bak`;
+        await fs.promises.copyFile(this.settingsPath, backupPath);
+        log.info(`Backed up settings.json to ${backupPath}`);
     }
 
     // Persist the current in-memory schema to disk
     async saveCurrent(): Promise<void> {
-        const schemaJson = JSON.stringify((settingsSchema as any).settings, null, 2);
+        const file: SettingsFile = {
+            schemaVersion: CURRENT_SETTINGS_SCHEMA_VERSION,
+            settings: settingsSchema.values(),
+            quarantine: this.quarantine,
+        };
         await fs.promises.mkdir(path.dirname(this.settingsPath), { recursive: true });
-        await fs.promises.writeFile(this.settingsPath, schemaJson, 'utf-8');
+        await fs.promises.writeFile(this.settingsPath, JSON.stringify(file, null, 2), 'utf-8');
     }
 
     // Save from a full schema JSON string (compat path)
     async saveFromSchemaJSON(schemaJSONString: string): Promise<void> {
-        settingsSchema.loadFromJSON(schemaJSONString);
-        await fs.promises.mkdir(path.dirname(this.settingsPath), { recursive: true });
-        await fs.promises.writeFile(this.settingsPath, schemaJSONString, 'utf-8');
+        await this.commit(() => settingsSchema.loadFromJSON(schemaJSONString));
+    }
+
+    // Apply a mutation to the schema, persist it and tell every window and listener what changed.
+    // Commits run one at a time so parallel callers don't interleave their writes to settings.json
+    private commit(mutate: () => void): Promise<void> {
+        const result = this.commitQueue.then(() => this.commitNow(mutate));
+        this.commitQueue = result.catch(() => undefined);
+        return result;
+    }
+
+    private async commitNow(mutate: () => void): Promise<void> {
+        const before = this.getAll();
+        mutate();
+        await this.saveCurrent();
+        const after = this.getAll();
+
+        const changes: SettingChange[] = [];
+        for (const [section, values] of Object.entries<Record<string, any>>(after)) {
+            for (const [key, value] of Object.entries(values)) {
+                const previous = before[section]?.[key];
+                if (JSON.stringify(previous) === JSON.stringify(value)) continue;
+                const field: any = settingsSchema.findField(section, key);
+                changes.push({ section, key, value, previous, requiresRestart: Boolean(field?.requiresRestart) });
+            }
+        }
+        if (changes.length === 0) return;
+
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) window.webContents.send('settings:changed', changes);
+        });
+        this.changeListeners.forEach(listener => listener(changes));
+    }
+
+    // Main process counterpart of the preload onChange, '*' matches any section or key
+    onChange(section: string, key: string, callback: (value: any, previous: any) => void): () => void {
+        const listener = (changes: SettingChange[]) => {
+            changes.forEach(change => {
+                if ((section === '*' || change.section === section) && (key === '*' || change.key === key)) {
+                    callback(change.value, change.previous);
+                }
+            });
+        };
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
     }
 
     getAll(): any {
@@ -109,9 +242,14 @@ class SettingsService {
         const sec = (settingsSchema.settings as any)?.[section];
         if (!sec || !Array.isArray(sec.fields)) return;
         const field = sec.fields.find((f: any) => f && f.label === key);
+        if (field && !checkFieldType(field, value)) {
+            log.warn(`Ignoring invalid value for ${section} > ${key}:`, value);
+            return;
+        }
         if (field) {
-            field.value = value;
-            await this.saveCurrent();
+            await this.commit(() => {
+                field.value = value;
+            });
         }
     }
 
@@ -124,6 +262,110 @@ class SettingsService {
         }
         return undefined;
     }
+
+    // Back to the defaults, with a backup of settings.json in case the user wants something back
+    async resetToDefaults(): Promise<void> {
+        try {
+            const backupPath = `${this.settingsPath}.reset-${Date.now()}.bak`;
+            await fs.promises.copyFile(this.settingsPath, backupPath);
+            log.info(`Backed up settings.json to ${backupPath}`);
+        } catch {
+            // Nothing saved yet
+        }
+        this.quarantine = {};
+        await this.commit(() => {
+            Object.values<any>(settingsSchema.settings).forEach(section => {
+                (section.fields || []).forEach((field: any) => {
+                    delete field.value;
+                });
+            });
+        });
+    }
+
+    // Apply flattened { section: { label: value } } values, unknown sections and labels are ignored
+    async applyValues(values: Record<string, Record<string, any>>): Promise<void> {
+        await this.commit(() => settingsSchema.loadFromJSON(JSON.stringify(values ?? {})));
+    }
+
+    createBundle(plugins: PluginState | null): SettingsBundle {
+        return {
+            format: SETTINGS_BUNDLE_FORMAT,
+            version: SETTINGS_BUNDLE_VERSION,
+            createdAt: Date.now(),
+            appVersion: app.getVersion(),
+            settings: this.getAll(),
+            plugins,
+        };
+    }
+
+    parseBundle(json: string): SettingsBundle {
+        let bundle: any;
+        try {
+            bundle = JSON.parse(json);
+        } catch {
+            throw new Error('The file is not a valid settings bundle');
+        }
+        if (bundle?.format !== SETTINGS_BUNDLE_FORMAT || typeof bundle.settings !== 'object') {
+            throw new Error('The file is not a HighLite settings bundle');
+        }
+        if (typeof bundle.version !== 'number' || bundle.version > SETTINGS_BUNDLE_VERSION) {
+            throw new Error(`Settings bundle version ${bundle.version} is newer than this version of HighLite supports`);
+        }
+        return bundle as SettingsBundle;
+    }
+
+    private async loadProfiles(): Promise<SettingsProfileStore> {
+        try {
+            const store = JSON.parse(await fs.promises.readFile(this.profilesPath, 'utf-8'));
+            if (store && typeof store.profiles === 'object') return store;
+        } catch {
+            // No profiles saved yet
+        }
+        return { active: null, profiles: {} };
+    }
+
+    private async saveProfiles(store: SettingsProfileStore): Promise<void> {
+        await fs.promises.mkdir(path.dirname(this.profilesPath), { recursive: true });
+        await fs.promises.writeFile(this.profilesPath, JSON.stringify(store, null, 2), 'utf-8');
+    }
+
+    async listProfiles(): Promise<{ active: string | null; profiles: Array<{ name: string; savedAt: number }> }> {
+        const store = await this.loadProfiles();
+        return {
+            active: store.active,
+            profiles: Object.entries(store.profiles)
+                .map(([name, bundle]) => ({ name, savedAt: bundle.createdAt }))
+                .sort((a, b) => a.name.localeCompare(b.name)),
+        };
+    }
+
+    // Save the current settings (and plugin state, if available) under a name, overwriting any existing profile
+    async saveProfile(name: string, plugins: PluginState | null): Promise<void> {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) throw new Error('Profile name is required');
+        const store = await this.loadProfiles();
+        store.profiles[trimmed] = this.createBundle(plugins);
+        store.active = trimmed;
+        await this.saveProfiles(store);
+    }
+
+    // Apply a saved profile's settings and return its plugin state for the client to restore
+    async switchProfile(name: string): Promise<PluginState | null> {
+        const store = await this.loadProfiles();
+        const bundle = store.profiles[name];
+        if (!bundle) throw new Error(`No settings profile named "${name}"`);
+        await this.applyValues(bundle.settings);
+        store.active = name;
+        await this.saveProfiles(store);
+        return bundle.plugins;
+    }
+
+    async deleteProfile(name: string): Promise<void> {
+        const store = await this.loadProfiles();
+        delete store.profiles[name];
+        if (store.active === name) store.active = null;
+        await this.saveProfiles(store);
+    }
 }
 
 
@@ -134,13 +376,19 @@ export const settingsService = SettingsService.getInstance();
 
 // IPC Handlers for settings API
 let settingsWindowRef : BrowserWindow | null = null;
+
+// Open the settings window on top of a client window, unless it is already open
+export async function openSettingsWindow(parent: BrowserWindow): Promise<void> {
+    if (settingsWindowRef?.isDestroyed() || !settingsWindowRef) {
+        settingsWindowRef = await createSettingsModal(parent);
+    }
+}
+
 ipcMain.on('settings:open', async (event) => {
     console.warn("Here");
     const parent = BrowserWindow.fromWebContents(event.sender) || BrowserWindow.getFocusedWindow();
     if (!parent) return;
-    if (settingsWindowRef?.isDestroyed() || !settingsWindowRef) {
-        settingsWindowRef = await createSettingsModal(parent);
-    }
+    await openSettingsWindow(parent);
 });
 
 ipcMain.handle('settings:close', async () => {
@@ -197,6 +445,133 @@ ipcMain.handle('settings:select-directory', async (event, options?: { title?: st
     return result.filePaths[0];
 });
 
+// Ask a client window for its plugin state, or restore one into it, and wait for its reply
+const pendingPluginState = new Map<string, (reply: any) => void>();
+ipcMain.on('plugin-state:reply', (_event, requestId: string, reply: any) => {
+    pendingPluginState.get(requestId)?.(reply);
+});
+
+function pluginStateRequest(target: BrowserWindow, channel: string, ...args: any[]): Promise<any> {
+    const requestId = randomUUID();
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            pendingPluginState.delete(requestId);
+            reject(new Error('The client window did not respond'));
+        }, 15000);
+        pendingPluginState.set(requestId, reply => {
+            clearTimeout(timeout);
+            pendingPluginState.delete(requestId);
+            if (reply?.ok) resolve(reply.state);
+            else reject(new Error(reply?.error || 'Plugin state request failed'));
+        });
+        target.webContents.send(channel, requestId, ...args);
+    });
+}
+
+// The client window a settings window belongs to, plugin state lives there
+function clientWindowFor(sender: Electron.WebContents): BrowserWindow | null {
+    const window = BrowserWindow.fromWebContents(sender);
+    return window?.getParentWindow() ?? null;
+}
+
+async function collectPluginState(sender: Electron.WebContents): Promise<PluginState | null> {
+    const client = clientWindowFor(sender);
+    if (!client || client.isDestroyed()) return null;
+    return pluginStateRequest(client, 'plugin-state:collect');
+}
+
+async function restorePluginState(sender: Electron.WebContents, plugins: PluginState | null): Promise<void> {
+    const client = clientWindowFor(sender);
+    if (!plugins || !client || client.isDestroyed()) return;
+    await pluginStateRequest(client, 'plugin-state:restore', plugins);
+}
+
+ipcMain.handle('settings:export-bundle', async event => {
+    try {
+        const parent = BrowserWindow.fromWebContents(event.sender);
+        const options = {
+            title: 'Export Settings',
+            defaultPath: `highlite-settings-${new Date().toISOString().slice(0, 10)}.json`,
+            filters: [{ name: 'HighLite Settings', extensions: ['json'] }],
+        };
+        const result = parent ? await dialog.showSaveDialog(parent, options) : await dialog.showSaveDialog(options);
+        if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+
+        const bundle = settingsService.createBundle(await collectPluginState(event.sender));
+        await fs.promises.writeFile(result.filePath, JSON.stringify(bundle, null, 2), 'utf-8');
+        return { ok: true, path: result.filePath, skipped: bundle.plugins?.skipped?.length ?? 0 };
+    } catch (e: any) {
+        console.error('Failed to export settings:', e);
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('settings:import-bundle', async event => {
+    try {
+        const parent = BrowserWindow.fromWebContents(event.sender);
+        const options: Electron.OpenDialogOptions = {
+            title: 'Import Settings',
+            properties: ['openFile'],
+            filters: [{ name: 'HighLite Settings', extensions: ['json'] }],
+        };
+        const result = parent ? await dialog.showOpenDialog(parent, options) : await dialog.showOpenDialog(options);
+        if (result.canceled || result.filePaths.length === 0) return { ok: false, canceled: true };
+
+        const bundle = settingsService.parseBundle(await fs.promises.readFile(result.filePaths[0], 'utf-8'));
+        await settingsService.applyValues(bundle.settings);
+        await restorePluginState(event.sender, bundle.plugins);
+        return { ok: true, path: result.filePaths[0] };
+    } catch (e: any) {
+        console.error('Failed to import settings:', e);
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('settings:profiles:list', async () => {
+    return settingsService.listProfiles();
+});
+
+ipcMain.handle('settings:profiles:save', async (event, name: string) => {
+    try {
+        await settingsService.saveProfile(name, await collectPluginState(event.sender));
+        return { ok: true };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('settings:profiles:switch', async (event, name: string) => {
+    try {
+        const plugins = await settingsService.switchProfile(name);
+        await restorePluginState(event.sender, plugins);
+        return { ok: true };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('settings:profiles:delete', async (_event, name: string) => {
+    try {
+        await settingsService.deleteProfile(name);
+        return { ok: true };
+    } catch (e: any) {
+        return { ok: false, error: e?.message || String(e) };
+    }
+});
+
+ipcMain.handle('settings:select-file', async (event, options?: { title?: string; defaultPath?: string; extensions?: string[] }) => {
+    const parent = BrowserWindow.fromWebContents(event.sender);
+    const dialogOptions: Electron.OpenDialogOptions = {
+        properties: ['openFile'],
+        title: options?.title ?? 'Select File',
+        defaultPath: options?.defaultPath || undefined,
+        filters: options?.extensions?.length ? [{ name: 'Allowed Files', extensions: options.extensions }] : undefined,
+    };
+    const result = parent ? await dialog.showOpenDialog(parent, dialogOptions) : await dialog.showOpenDialog(dialogOptions);
+    if (result.canceled || result.filePaths.length === 0) return null;
+    return result.filePaths[0];
+});
+
 ipcMain.handle('settings:validate-directory', async (_event, dirPath: string) => {
     try {
         await fs.promises.access(dirPath, fs.constants.F_OK);
@@ -0,0 +1,131 @@
+/*!
+Copyright (C) 2025  HighLite
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+*/
+
+// settings.json migrations. Every migration takes the file one schema version up; bump
+// CURRENT_SETTINGS_SCHEMA_VERSION and append a migration whenever a field is renamed, moved or
+// removed. Values are keyed by section and field id (or label when a field has no id).
+
+export type SettingsValues = Record<string, Record<string, any>>;
+
+export interface SettingsFile {
+    schemaVersion: number;
+    settings: SettingsValues;
+    // Values that no longer match a field, kept so a later version or a downgrade can pick them up
+    quarantine: SettingsValues;
+}
+
+interface SettingsMigration {
+    version: number;
+    description: string;
+    migrate: (file: SettingsFile, raw: any) => SettingsFile;
+}
+
+export const CURRENT_SETTINGS_SCHEMA_VERSION = 1;
+
+// Move a value to the quarantine, e.g. for a removed field
+export function quarantineValue(
+    file: SettingsFile,
+    section: string,
+    key: string
+) {
+    const values = file.settings[section];
+    if (!values || !Object.prototype.hasOwnProperty.call(values, key)) return;
+    file.quarantine[section] ??= {};
+    file.quarantine[section][key] = values[key];
+    delete values[key];
+}
+
+// Rename or move a value, e.g. when a field label changes
+export function renameValue(
+    file: SettingsFile,
+    from: [string, string],
+    to: [string, string]
+) {
+    const values = file.settings[from[0]];
+    if (!values || !Object.prototype.hasOwnProperty.call(values, from[1]))
+        return;
+    file.settings[to[0]] ??= {};
+    file.settings[to[0]][to[1]] = values[from[1]];
+    delete values[from[1]];
+}
+
+const migrations: SettingsMigration[] = [
+    {
+        version: 1,
+        description:
+            'Store values by field label instead of the serialized schema',
+        migrate: (file, raw) => {
+            // Unversioned files are the serialized schema ({ section: { heading, fields: [...] } }), or the flattened
+            // { section: { label: value } } shape. Fields are matched by their label, never their position.
+            for (const [sectionKey, section] of Object.entries<any>(
+                raw ?? {}
+            )) {
+                if (section && Array.isArray(section.fields)) {
+                    file.settings[sectionKey] ??= {};
+                    section.fields.forEach((field: any) => {
+                        if (!field || typeof field.label !== 'string') return;
+                        if (
+                            Object.prototype.hasOwnProperty.call(field, 'value')
+                        ) {
+                            file.settings[sectionKey][field.id ?? field.label] =
+                                field.value;
+                        }
+                    });
+                } else if (section && typeof section === 'object') {
+                    file.settings[sectionKey] = {
+                        ...file.settings[sectionKey],
+                        ...section,
+                    };
+                } else {
+                    file.quarantine['(root)'] ??= {};
+                    file.quarantine['(root)'][sectionKey] = section;
+                }
+            }
+            return file;
+        },
+    },
+];
+
+export function settingsFileVersion(raw: any): number {
+    return typeof raw?.schemaVersion === 'number' ? raw.schemaVersion : 0;
+}
+
+// Bring a parsed settings.json up to the current schema version
+export function migrateSettingsFile(raw: any): {
+    file: SettingsFile;
+    applied: string[];
+} {
+    const fromVersion = settingsFileVersion(raw);
+    let file: SettingsFile =
+        fromVersion === 0
+            ? { schemaVersion: 0, settings: {}, quarantine: {} }
+            : {
+                  schemaVersion: fromVersion,
+                  settings: raw.settings ?? {},
+                  quarantine: raw.quarantine ?? {},
+              };
+
+    const applied: string[] = [];
+    for (const migration of migrations) {
+        if (migration.version <= file.schemaVersion) continue;
+        file = migration.migrate(file, raw);
+        file.schemaVersion = migration.version;
+        applied.push(`v${migration.version}: ${migration.description}`);
+    }
+    return { file, applied };
+}
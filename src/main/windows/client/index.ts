@@ -17,17 +17,59 @@ import { app, BrowserWindow, ipcMain, shell } from 'electron';
 import path from 'path';
 import { format } from 'url';
 
+import {
+    ClientProfile,
+    profileService,
+} from '../../modules/profileManagement';
+import { openSettingsWindow } from '../../modules/settingsManagement';
+import { keybindingService } from '../../modules/keybindingManagement';
+import { watchClientStartup } from '../../modules/launchGuard';
+import { changeZoom, restoredBounds, setZoomLevel, trackWindowState, ZOOM_STEP } from './modules/windowState';
 import './modules/userPasswordManagement'; // Import user password management module
-import './modules/windowEventManagement'; // Import window event management module
+import { applyWindowSettings, toggleAlwaysOnTop, toggleOverlayMode } from './modules/windowEventManagement';
 
 app.commandLine.appendSwitch('disable-background-timer-throttling');
 app.commandLine.appendSwitch('disable-renderer-backgrounding');
 app.commandLine.appendSwitch('disable-backgrounding-occluded-windows');
 
-export async function createClientWindow() {
+// Built-in keybinding actions, for the client window the key was pressed in
+keybindingService.handle('screenshot', (window) => {
+    // The page knows the capture area, character and world, let it drive the capture
+    window?.webContents.send('screenshot:request', { event: 'manual' });
+});
+keybindingService.handle('save-clip', (window) => {
+    // The replay buffer lives in the page
+    window?.webContents.send('clip:request', { event: 'clip' });
+});
+keybindingService.handle('toggle-devtools', (window) => window?.webContents.toggleDevTools());
+keybindingService.handle('open-console', () => ipcMain.emit('show-console'));
+keybindingService.handle('open-settings', (window) => {
+    if (window) openSettingsWindow(window);
+});
+keybindingService.handle('zoom-in', (window) => window && changeZoom(window, ZOOM_STEP));
+keybindingService.handle('zoom-out', (window) => window && changeZoom(window, -ZOOM_STEP));
+keybindingService.handle('zoom-reset', (window) => window && setZoomLevel(window, 0));
+keybindingService.handle('toggle-always-on-top', (window) => window && toggleAlwaysOnTop(window));
+keybindingService.handle('toggle-overlay', (window) => window && toggleOverlayMode(window));
+// Hide every client window, or bring them back when they are all hidden
+keybindingService.handle('hide-window', () => {
+    const windows = BrowserWindow.getAllWindows().filter(
+        (w) => !w.isDestroyed() && profileService.profileForWebContents(w.webContents.id)
+    );
+    if (windows.some((w) => w.isVisible())) {
+        windows.forEach((w) => w.hide());
+    } else {
+        windows.forEach((w) => w.show());
+    }
+});
+
+export async function createClientWindow(profile: ClientProfile = profileService.last()) {
     const mainWindow = new BrowserWindow({
+        title: `HighLite - ${profile.name}`,
+        ...restoredBounds(profile.id, profileService.windowsFor(profile.id)),
         webPreferences: {
             preload: path.join(__dirname, '../preload/index.js'),
+            partition: profileService.partitionFor(profile), // Isolate storage per profile
             sandbox: false, // Disable sandboxing for compatibility with some libraries
             contextIsolation: true,
             nodeIntegration: false,
@@ -44,8 +86,14 @@ export async function createClientWindow() {
     });
 
     mainWindow.setMenu(null);
+    watchClientStartup(mainWindow);
+    trackWindowState(mainWindow, profile.id);
+    applyWindowSettings(mainWindow);
+
+    profileService.attachWindow(mainWindow, profile);
+    profileService.touch(profile.id);
     if (!app.isPackaged && process.env['ELECTRON_RENDERER_URL']) {
-        const devUrl = `${process.env['ELECTRON_RENDERER_URL']}/client.html`;
+        const devUrl = `${process.env['ELECTRON_RENDERER_URL']}/client.html?profile=${encodeURIComponent(profile.id)}`;
         console.log('Loading dev URL:', devUrl);
         mainWindow.loadURL(devUrl);
     } else {
@@ -53,7 +101,7 @@ export async function createClientWindow() {
             protocol: 'file',
             slashes: true,
             pathname: path.join(__dirname, '../renderer/client.html'),
-            query: { windowId: mainWindow.id },
+            query: { windowId: mainWindow.id, profile: profile.id },
         });
 
         mainWindow.loadURL(fileUrl);
@@ -65,11 +113,10 @@ export async function createClientWindow() {
         return { action: 'deny' };
     });
 
-    // Allow pressing F12 to open dev tools
+    // Screenshots, zoom, dev tools and the other built-in keybindings
     mainWindow.webContents.on('before-input-event', (event, input) => {
-        if (input.key === 'F12' && input.type === 'keyDown') {
+        if (keybindingService.handleInput(mainWindow, input)) {
             event.preventDefault();
-            mainWindow.webContents.toggleDevTools();
         }
     });
 
@@ -77,14 +124,10 @@ export async function createClientWindow() {
     mainWindow.webContents.on('zoom-changed', (event, zoomDirection) => {
         if (zoomDirection === 'in') {
             // Increase zoom factor by 0.1 and dispatch a resize event to adjust the layout
-            mainWindow.webContents.setZoomLevel(
-                mainWindow.webContents.getZoomLevel() + 0.1
-            );
+            changeZoom(mainWindow, ZOOM_STEP);
         } else if (zoomDirection === 'out') {
             // Decrease zoom factor by 0.1 and dispatch a resize event to adjust the layout
-            mainWindow.webContents.setZoomLevel(
-                mainWindow.webContents.getZoomLevel() - 0.1
-            );
+            changeZoom(mainWindow, -ZOOM_STEP);
         }
     });
 
@@ -118,11 +161,6 @@ export async function createClientWindow() {
         );
     }
 
-    mainWindow.on('ready-to-show', () => {
-        // Always start with zoom reset to 0.0
-        mainWindow.webContents.setZoomLevel(0);
-    });
-
     
 
     return mainWindow;
@@ -13,28 +13,118 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
-import { app, ipcMain, safeStorage } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain, safeStorage } from 'electron';
 import log from 'electron-log';
 import fs from 'fs';
 import path from 'path';
+import {
+    createMasterKey,
+    isSupportedKeyConfig,
+    MasterKeyConfig,
+    MIN_MASTER_PASSWORD_LENGTH,
+    MIN_PIN_LENGTH,
+    open,
+    seal,
+    unlockMasterKey,
+} from './masterPassword';
+import { settingsService } from '../../../../modules/settingsManagement';
+
+// Everything we keep about a saved account besides its username
+export interface SavedAccount {
+    // Encrypted password, base64
+    password: string;
+    // How the password is encrypted, safeStorage when missing
+    encryption?: 'safeStorage' | 'master';
+    nickname?: string;
+    // serverId of the world to preselect when the account is chosen
+    preferredWorld?: string;
+    lastLogin?: number;
+    autoLogin?: boolean;
+}
+
+interface CredentialStore {
+    version: 2;
+    accounts: Record<string, SavedAccount>;
+    // Set once the user chose a master password
+    master?: MasterKeyConfig;
+    // Wrong master passwords in a row, kept across restarts so they can't reset the wait
+    unlockFailures?: { count: number; lockedUntil: number };
+}
+
+// Portable export of the store, sealed with a password of its own instead of this machine's keys
+interface CredentialExport {
+    format: 'highlite-credentials';
+    version: 1;
+    exportedAt: string;
+    key: MasterKeyConfig;
+    // JSON of ExportedAccount[], sealed with the key derived from the file password
+    data: string;
+}
+
+type ExportedAccount = AccountInfo & { password: string };
+
+const EXPORT_FORMAT = 'highlite-credentials';
+
+// What the login screen gets to see, never the password
+export type AccountInfo = Omit<SavedAccount, 'password' | 'encryption'> & {
+    username: string;
+};
+
+// keychain: safeStorage backed by the OS keychain, DPAPI, libsecret or KWallet
+// basic: safeStorage with Chromium's hardcoded key on Linux without a keyring, obfuscation at best
+// master: our own encryption with the user's master password
+// unavailable: nothing to encrypt with until a master password is set
+export type ProtectionLevel = 'keychain' | 'basic' | 'master' | 'unavailable';
+
+export interface CredentialStatus {
+    level: ProtectionLevel;
+    backend: string;
+    masterConfigured: boolean;
+    unlocked: boolean;
+    // A master password or PIN is set and hasn't been entered yet, saved passwords can't be read
+    locked: boolean;
+}
 
 const getStorePath = () => {
     return path.join(app.getPath('userData'), 'user-passwords.json');
 };
 
-function loadStore(): Record<string, string> {
+// Version 1 of the store was a plain username -> encrypted password map
+function migrateStore(raw: any): CredentialStore {
+    if (
+        raw?.version === 2 &&
+        raw.accounts &&
+        typeof raw.accounts === 'object'
+    ) {
+        return raw;
+    }
+    const store: CredentialStore = { version: 2, accounts: {} };
+    for (const [username, password] of Object.entries(raw ?? {})) {
+        if (typeof password === 'string') {
+            store.accounts[username] = { password };
+        }
+    }
+    return store;
+}
+
+function loadStore(): CredentialStore {
     const storePath = getStorePath();
-    if (!fs.existsSync(storePath)) return {};
+    if (!fs.existsSync(storePath)) return { version: 2, accounts: {} };
     try {
-        const raw = fs.readFileSync(storePath, 'utf8');
-        return JSON.parse(raw);
+        const raw = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        const store = migrateStore(raw);
+        if (store !== raw) {
+            log.info('Migrated password store to version 2');
+            saveStore(store);
+        }
+        return store;
     } catch (e) {
         log.error('Failed to load password store:', e);
-        return {};
+        return { version: 2, accounts: {} };
     }
 }
 
-function saveStore(store: Record<string, string>) {
+function saveStore(store: CredentialStore) {
     const storePath = getStorePath();
     try {
         fs.writeFileSync(storePath, JSON.stringify(store, null, 2), {
@@ -46,52 +136,536 @@ function saveStore(store: Record<string, string>) {
     }
 }
 
-function encode(str: string): Buffer {
-    return safeStorage.encryptString(str);
+// The key unlocked with the master password, kept in memory until the store locks again
+let masterKey: Buffer | null = null;
+let autoLockTimer: ReturnType<typeof setTimeout> | undefined;
+
+function isLocked(): boolean {
+    return Boolean(credentialStore.master) && masterKey === null;
+}
+
+export function lockCredentialStore(reason: string) {
+    clearTimeout(autoLockTimer);
+    if (!masterKey) return;
+    masterKey = null;
+    log.info(`Credential store locked (${reason})`);
+    BrowserWindow.getAllWindows().forEach(window => {
+        if (!window.isDestroyed())
+            window.webContents.send('credentials:locked');
+    });
+}
+
+// Wrong master passwords allowed before every further attempt has to wait, the wait doubles each time
+const FREE_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_DELAY_MS = 30 * 1000;
+const MAX_UNLOCK_DELAY_MS = 60 * 60 * 1000;
+let unlockInProgress = false;
+
+function formatWait(ms: number): string {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds < 120
+        ? `${seconds} seconds`
+        : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+// Check a master password or PIN, throttled so a PIN can't be found by trying every one
+async function verifyMasterPassword(
+    password: string
+): Promise<{ ok: true; key: Buffer } | { ok: false; error: string }> {
+    const failures = credentialStore.unlockFailures;
+    const wait = (failures?.lockedUntil ?? 0) - Date.now();
+    if (wait > 0) {
+        return {
+            ok: false,
+            error: `Too many wrong attempts, try again in ${formatWait(wait)}`,
+        };
+    }
+    if (unlockInProgress) {
+        return { ok: false, error: 'Another unlock attempt is in progress' };
+    }
+    unlockInProgress = true;
+    let key: Buffer | null;
+    try {
+        key = await unlockMasterKey(password, credentialStore.master!);
+    } finally {
+        unlockInProgress = false;
+    }
+    if (key) {
+        if (failures) {
+            delete credentialStore.unlockFailures;
+            saveStore(credentialStore);
+        }
+        return { ok: true, key };
+    }
+
+    const count = (failures?.count ?? 0) + 1;
+    const delay =
+        count < FREE_UNLOCK_ATTEMPTS
+            ? 0
+            : Math.min(
+                  UNLOCK_DELAY_MS * 2 ** (count - FREE_UNLOCK_ATTEMPTS),
+                  MAX_UNLOCK_DELAY_MS
+              );
+    credentialStore.unlockFailures = { count, lockedUntil: Date.now() + delay };
+    saveStore(credentialStore);
+    log.warn(`Wrong master password, ${count} in a row`);
+    return {
+        ok: false,
+        error: delay
+            ? `Wrong master password, try again in ${formatWait(delay)}`
+            : 'Wrong master password',
+    };
+}
+
+// Restart the "Auto-Lock After" countdown, every use of the unlocked store counts as activity
+function touchAutoLock() {
+    clearTimeout(autoLockTimer);
+    const minutes = Number(settingsService.get('Accounts', 'Auto-Lock After'));
+    if (!masterKey || !minutes) return;
+    autoLockTimer = setTimeout(
+        () => lockCredentialStore('auto-lock'),
+        minutes * 60 * 1000
+    );
 }
 
-function decode(buf: Buffer): string {
-    return safeStorage.decryptString(buf);
+settingsService.onChange('Accounts', 'Auto-Lock After', () => touchAutoLock());
+
+function osEncryption(): { available: boolean; backend: string } {
+    const available = safeStorage.isEncryptionAvailable();
+    switch (process.platform) {
+        case 'linux':
+            return {
+                available,
+                backend: safeStorage.getSelectedStorageBackend(),
+            };
+        case 'darwin':
+            return { available, backend: 'keychain' };
+        case 'win32':
+            return { available, backend: 'dpapi' };
+        default:
+            return { available, backend: 'unknown' };
+    }
+}
+
+export function getCredentialStatus(): CredentialStatus {
+    const { available, backend } = osEncryption();
+    const masterConfigured = Boolean(credentialStore.master);
+    let level: ProtectionLevel;
+    if (available && backend !== 'basic_text' && backend !== 'unknown') {
+        level = 'keychain';
+    } else if (masterConfigured) {
+        level = 'master';
+    } else {
+        level = available ? 'basic' : 'unavailable';
+    }
+    return {
+        level,
+        backend,
+        masterConfigured,
+        unlocked: masterKey !== null,
+        locked: isLocked(),
+    };
+}
+
+function encode(str: string): Pick<SavedAccount, 'password' | 'encryption'> {
+    const { level } = getCredentialStatus();
+    if (level === 'master') {
+        if (!masterKey)
+            throw new Error('Unlock your master password to save passwords');
+        return { password: seal(masterKey, str), encryption: 'master' };
+    }
+    if (level === 'unavailable') {
+        throw new Error(
+            'Password encryption is unavailable, set a master password to save passwords'
+        );
+    }
+    return {
+        password: safeStorage.encryptString(str).toString('base64'),
+        encryption: 'safeStorage',
+    };
+}
+
+function decode(account: SavedAccount): string {
+    if (account.encryption === 'master') {
+        if (!masterKey) throw new Error('Master password is locked');
+        return open(masterKey, account.password);
+    }
+    return safeStorage.decryptString(Buffer.from(account.password, 'base64'));
+}
+
+// Most recently used accounts first, accounts never logged in with keep their saved order at the end
+function listAccounts(): AccountInfo[] {
+    return Object.entries(credentialStore.accounts)
+        .map(
+            ([
+                username,
+                { password: _password, encryption: _encryption, ...metadata },
+            ]) => ({
+                username,
+                ...metadata,
+            })
+        )
+        .sort((a, b) => (b.lastLogin ?? 0) - (a.lastLogin ?? 0));
 }
 
 // In-memory store as safeStorage is not a credential manager, just encryption
 let credentialStore = loadStore();
 
 ipcMain.handle('save-username-password', async (_event, username, password) => {
+    if (isLocked()) {
+        return { ok: false, error: 'Unlock saved accounts to save passwords' };
+    }
     try {
-        const encrypted = encode(password);
-        credentialStore[username] = encrypted.toString('base64');
+        credentialStore.accounts[username] = {
+            ...credentialStore.accounts[username],
+            ...encode(password),
+        };
         saveStore(credentialStore);
+        touchAutoLock();
         log.info(`Saved credential for ${username}`);
-    } catch (err) {
+        return { ok: true };
+    } catch (err: any) {
         log.error('Failed to save credential:', err);
+        return { ok: false, error: err?.message || String(err) };
     }
 });
 
 ipcMain.handle('get-saved-usernames', async () => {
     try {
-        return Object.keys(credentialStore);
+        return listAccounts().map(account => account.username);
     } catch (err) {
         log.error('Failed to list usernames:', err);
         return [];
     }
 });
 
+ipcMain.handle('get-saved-accounts', async () => {
+    try {
+        return listAccounts();
+    } catch (err) {
+        log.error('Failed to list accounts:', err);
+        return [];
+    }
+});
+
+ipcMain.handle(
+    'update-account-metadata',
+    async (_event, username: string, changes: Partial<AccountInfo>) => {
+        const account = credentialStore.accounts[username];
+        if (!account)
+            return { ok: false, error: `No saved account named ${username}` };
+
+        if (changes.nickname !== undefined) {
+            const nickname = String(changes.nickname).trim();
+            if (nickname) account.nickname = nickname.slice(0, 32);
+            else delete account.nickname;
+        }
+        if (changes.preferredWorld !== undefined) {
+            if (changes.preferredWorld)
+                account.preferredWorld = String(changes.preferredWorld);
+            else delete account.preferredWorld;
+        }
+        if (changes.autoLogin !== undefined) {
+            // Only one account can log in by itself
+            if (changes.autoLogin) {
+                Object.values(credentialStore.accounts).forEach(
+                    other => delete other.autoLogin
+                );
+                account.autoLogin = true;
+            } else {
+                delete account.autoLogin;
+            }
+        }
+        saveStore(credentialStore);
+        return { ok: true };
+    }
+);
+
+ipcMain.handle('record-account-login', async (_event, username: string) => {
+    const account = credentialStore.accounts[username];
+    if (!account) return;
+    account.lastLogin = Date.now();
+    saveStore(credentialStore);
+});
+
 ipcMain.handle('get-saved-password', async (_event, username) => {
     try {
-        const base64 = credentialStore[username];
-        if (!base64) return '';
-        const buf = Buffer.from(base64, 'base64');
-        return decode(buf);
+        const account = credentialStore.accounts[username];
+        if (!account?.password) return '';
+        // The login screen asks for the master password when this comes back empty
+        if (isLocked()) {
+            log.warn(
+                `Refused to read the password for ${username}, saved accounts are locked`
+            );
+            return '';
+        }
+        const password = decode(account);
+        touchAutoLock();
+        return password;
     } catch (err) {
         log.error(`Failed to get password for ${username}:`, err);
         return '';
     }
 });
 
+ipcMain.handle('credentials:status', async () => getCredentialStatus());
+
+ipcMain.handle(
+    'credentials:set-master-password',
+    async (_event, password: string) => {
+        if (credentialStore.master) {
+            return { ok: false, error: 'A master password is already set' };
+        }
+        if (typeof password !== 'string') {
+            return { ok: false, error: 'Enter a master password' };
+        }
+        // Without a keyring the master password is the encryption key, so a PIN won't do
+        const weak = getCredentialStatus().level !== 'keychain';
+        const isPin = /^\d+$/.test(password);
+        if (weak && password.length < MIN_MASTER_PASSWORD_LENGTH) {
+            return {
+                ok: false,
+                error: `Use at least ${MIN_MASTER_PASSWORD_LENGTH} characters`,
+            };
+        }
+        if (
+            !weak &&
+            password.length <
+                (isPin ? MIN_PIN_LENGTH : MIN_MASTER_PASSWORD_LENGTH)
+        ) {
+            return {
+                ok: false,
+                error: `Use a PIN of at least ${MIN_PIN_LENGTH} digits or a password of at least ${MIN_MASTER_PASSWORD_LENGTH} characters`,
+            };
+        }
+        try {
+            const { config, key } = await createMasterKey(password);
+            // Passwords only obfuscated by the basic backend move under the master password
+            if (weak) {
+                for (const [username, account] of Object.entries(
+                    credentialStore.accounts
+                )) {
+                    if (account.encryption === 'master') continue;
+                    try {
+                        account.password = seal(key, decode(account));
+                        account.encryption = 'master';
+                    } catch (err) {
+                        log.warn(
+                            `Could not move ${username} under the master password:`,
+                            err
+                        );
+                    }
+                }
+            }
+            credentialStore.master = config;
+            masterKey = key;
+            saveStore(credentialStore);
+            touchAutoLock();
+            log.info('Master password set');
+            return { ok: true };
+        } catch (err: any) {
+            log.error('Failed to set master password:', err);
+            return { ok: false, error: err?.message || String(err) };
+        }
+    }
+);
+
+ipcMain.handle('credentials:unlock', async (_event, password: string) => {
+    if (!credentialStore.master)
+        return { ok: false, error: 'No master password is set' };
+    try {
+        const result = await verifyMasterPassword(String(password ?? ''));
+        if (!result.ok) return result;
+        masterKey = result.key;
+        touchAutoLock();
+        return { ok: true };
+    } catch (err: any) {
+        log.error('Failed to unlock master password:', err);
+        return { ok: false, error: err?.message || String(err) };
+    }
+});
+
+ipcMain.handle('credentials:lock', async () => {
+    lockCredentialStore('locked by the user');
+    return { ok: true };
+});
+
+// Drop the master password, passwords sealed with it go back to safeStorage
+ipcMain.handle(
+    'credentials:remove-master-password',
+    async (_event, password: string) => {
+        if (!credentialStore.master) {
+            return { ok: false, error: 'No master password is set' };
+        }
+        if (!safeStorage.isEncryptionAvailable()) {
+            return {
+                ok: false,
+                error: 'Password encryption is unavailable, the master password is needed to keep passwords encrypted',
+            };
+        }
+        try {
+            const result = await verifyMasterPassword(String(password ?? ''));
+            if (!result.ok) return result;
+            masterKey = result.key;
+            for (const account of Object.values(credentialStore.accounts)) {
+                if (account.encryption !== 'master') continue;
+                account.password = safeStorage
+                    .encryptString(decode(account))
+                    .toString('base64');
+                account.encryption = 'safeStorage';
+            }
+            delete credentialStore.master;
+            masterKey = null;
+            clearTimeout(autoLockTimer);
+            saveStore(credentialStore);
+            log.info('Master password removed');
+            return { ok: true };
+        } catch (err: any) {
+            log.error('Failed to remove master password:', err);
+            return { ok: false, error: err?.message || String(err) };
+        }
+    }
+);
+
+ipcMain.handle('credentials:export', async (event, filePassword: string) => {
+    if (isLocked()) {
+        return {
+            ok: false,
+            error: 'Unlock saved accounts on the login screen first',
+        };
+    }
+    if (
+        typeof filePassword !== 'string' ||
+        filePassword.length < MIN_MASTER_PASSWORD_LENGTH
+    ) {
+        return {
+            ok: false,
+            error: `Use a file password of at least ${MIN_MASTER_PASSWORD_LENGTH} characters`,
+        };
+    }
+    try {
+        const accounts: ExportedAccount[] = listAccounts().map(account => ({
+            ...account,
+            password: decode(credentialStore.accounts[account.username]),
+        }));
+        if (accounts.length === 0)
+            return {
+                ok: false,
+                error: 'There are no saved accounts to export',
+            };
+
+        const parent = BrowserWindow.fromWebContents(event.sender);
+        const options = {
+            title: 'Export Saved Accounts',
+            defaultPath: `highlite-accounts-${new Date().toISOString().slice(0, 10)}.json`,
+            filters: [{ name: 'HighLite Accounts', extensions: ['json'] }],
+        };
+        const result = parent
+            ? await dialog.showSaveDialog(parent, options)
+            : await dialog.showSaveDialog(options);
+        if (result.canceled || !result.filePath)
+            return { ok: false, canceled: true };
+
+        const { config, key } = await createMasterKey(filePassword);
+        const file: CredentialExport = {
+            format: EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            key: config,
+            data: seal(key, JSON.stringify(accounts)),
+        };
+        await fs.promises.writeFile(
+            result.filePath,
+            JSON.stringify(file, null, 2),
+            { encoding: 'utf8', mode: 0o600 }
+        );
+        touchAutoLock();
+        log.info(`Exported ${accounts.length} saved accounts`);
+        return { ok: true, path: result.filePath, count: accounts.length };
+    } catch (err: any) {
+        log.error('Failed to export saved accounts:', err);
+        return { ok: false, error: err?.message || String(err) };
+    }
+});
+
+// Imported passwords are encrypted again with this machine's safeStorage, or the master password without a keyring
+ipcMain.handle('credentials:import', async (event, filePassword: string) => {
+    if (isLocked()) {
+        return {
+            ok: false,
+            error: 'Unlock saved accounts on the login screen first',
+        };
+    }
+    try {
+        const parent = BrowserWindow.fromWebContents(event.sender);
+        const options = {
+            title: 'Import Saved Accounts',
+            filters: [{ name: 'HighLite Accounts', extensions: ['json'] }],
+            properties: ['openFile' as const],
+        };
+        const result = parent
+            ? await dialog.showOpenDialog(parent, options)
+            : await dialog.showOpenDialog(options);
+        if (result.canceled || result.filePaths.length === 0)
+            return { ok: false, canceled: true };
+
+        const file: CredentialExport = JSON.parse(
+            await fs.promises.readFile(result.filePaths[0], 'utf8')
+        );
+        if (
+            file?.format !== EXPORT_FORMAT ||
+            file.version !== 1 ||
+            !isSupportedKeyConfig(file.key) ||
+            typeof file.data !== 'string'
+        ) {
+            return {
+                ok: false,
+                error: 'This is not a HighLite accounts export',
+            };
+        }
+        const key = await unlockMasterKey(String(filePassword ?? ''), file.key);
+        if (!key) return { ok: false, error: 'Wrong file password' };
+        const accounts: ExportedAccount[] = JSON.parse(open(key, file.data));
+
+        // The auto-login account of this machine wins over an imported one
+        let hasAutoLogin = Object.values(credentialStore.accounts).some(
+            account => account.autoLogin
+        );
+        let count = 0;
+        for (const { username, password, ...metadata } of accounts) {
+            if (!username || typeof password !== 'string') continue;
+            const existing = credentialStore.accounts[username];
+            const imported: SavedAccount = {
+                ...metadata,
+                ...existing,
+                ...encode(password),
+            };
+            if (metadata.autoLogin && !hasAutoLogin) {
+                imported.autoLogin = true;
+                hasAutoLogin = true;
+            } else if (!existing?.autoLogin) {
+                delete imported.autoLogin;
+            }
+            credentialStore.accounts[username] = imported;
+            count++;
+        }
+        saveStore(credentialStore);
+        touchAutoLock();
+        log.info(`Imported ${count} of ${accounts.length} saved accounts`);
+        return { ok: true, path: result.filePaths[0], count };
+    } catch (err: any) {
+        log.error('Failed to import saved accounts:', err);
+        return { ok: false, error: err?.message || String(err) };
+    }
+});
+
 ipcMain.handle('delete-username-password', async (_event, username) => {
+    if (isLocked()) {
+        log.warn(`Refused to delete ${username}, saved accounts are locked`);
+        return;
+    }
     try {
-        delete credentialStore[username];
+        delete credentialStore.accounts[username];
         saveStore(credentialStore);
         log.info(`Deleted credential for ${username}`);
     } catch (err) {
@@ -0,0 +1,134 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Master password encryption for saved passwords, used when safeStorage has no OS keyring to
+// protect them. The key is derived with scrypt and every password is sealed with AES-256-GCM.
+// With a keyring the same master password (or a PIN) only locks the store.
+
+import crypto from 'crypto';
+
+export interface MasterKeyConfig {
+    kdf: 'scrypt';
+    salt: string;
+    N: number;
+    r: number;
+    p: number;
+    // A known value sealed with the key, opening it proves the master password is right
+    check: string;
+}
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const CHECK_VALUE = 'highlite-master-password';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+export const MIN_MASTER_PASSWORD_LENGTH = 8;
+// A PIN only locks passwords the OS keyring already encrypts, it is too short to encrypt with
+export const MIN_PIN_LENGTH = 4;
+
+function deriveKey(
+    password: string,
+    salt: Buffer,
+    params: { N: number; r: number; p: number }
+): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(
+            password.normalize('NFKC'),
+            salt,
+            KEY_LENGTH,
+            // scrypt needs 128 * N * r bytes, leave headroom above Node's 32 MiB default
+            { ...params, maxmem: 256 * params.N * params.r },
+            (err, key) => (err ? reject(err) : resolve(key))
+        );
+    });
+}
+
+// base64 of iv + auth tag + ciphertext
+export function seal(key: Buffer, plaintext: string): string {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([
+        cipher.update(plaintext, 'utf8'),
+        cipher.final(),
+    ]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+        'base64'
+    );
+}
+
+// Throws when the key is wrong or the value was tampered with
+export function open(key: Buffer, sealed: string): string {
+    const data = Buffer.from(sealed, 'base64');
+    const iv = data.subarray(0, IV_LENGTH);
+    const tag = data.subarray(IV_LENGTH, IV_LENGTH + 16);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+        decipher.update(data.subarray(IV_LENGTH + 16)),
+        decipher.final(),
+    ]).toString('utf8');
+}
+
+export async function createMasterKey(
+    password: string
+): Promise<{ config: MasterKeyConfig; key: Buffer }> {
+    const salt = crypto.randomBytes(16);
+    const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+    return {
+        config: {
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            ...SCRYPT_PARAMS,
+            check: seal(key, CHECK_VALUE),
+        },
+        key,
+    };
+}
+
+// Configs come from files too, scrypt costs above ours would let one allocate gigabytes
+export function isSupportedKeyConfig(config: MasterKeyConfig): boolean {
+    const isCost = (value: unknown, max: number) =>
+        Number.isInteger(value) &&
+        (value as number) >= 1 &&
+        (value as number) <= max;
+    return (
+        config?.kdf === 'scrypt' &&
+        typeof config.salt === 'string' &&
+        typeof config.check === 'string' &&
+        isCost(config.N, SCRYPT_PARAMS.N) &&
+        isCost(config.r, SCRYPT_PARAMS.r) &&
+        isCost(config.p, SCRYPT_PARAMS.p)
+    );
+}
+
+// The key for a master password, or null when the password doesn't match the config
+export async function unlockMasterKey(
+    password: string,
+    config: MasterKeyConfig
+): Promise<Buffer | null> {
+    if (!isSupportedKeyConfig(config)) {
+        throw new Error('Unsupported master password parameters');
+    }
+    const key = await deriveKey(
+        password,
+        Buffer.from(config.salt, 'base64'),
+        config
+    );
+    try {
+        return open(key, config.check) === CHECK_VALUE ? key : null;
+    } catch {
+        return null;
+    }
+}
@@ -14,6 +14,194 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 import { ipcMain, BrowserWindow } from 'electron';
+import { profileService } from '../../../../modules/profileManagement';
+import { settingsService } from '../../../../modules/settingsManagement';
+
+/*
+    Always-on-top, opacity, aspect ratio lock and overlay mode of client windows.
+
+    The "Client Window" settings apply to every client window; the title bar buttons change a
+    single window until the settings change again. Overlay mode is the compact version for
+    keeping a window in a corner: no title bar, on top, see-through and optionally click-through,
+    except for the thin bar at its top that shows on hover.
+*/
+
+interface WindowMode {
+    aspectLocked: boolean;
+    clickThrough: boolean;
+    // What overlay mode changed, restored when it ends; null outside overlay mode
+    overlay: {
+        alwaysOnTop: boolean;
+        opacity: number;
+        minimumSize: number[];
+    } | null;
+}
+
+export interface WindowDisplayState {
+    alwaysOnTop: boolean;
+    // Percent
+    opacity: number;
+    aspectLocked: boolean;
+    overlay: boolean;
+    clickThrough: boolean;
+}
+
+const MIN_OPACITY = 20;
+// Electron can't forward mouse moves of a click-through window on Linux, the overlay bar could never take clicks again
+const CLICK_THROUGH_SUPPORTED = process.platform !== 'linux';
+// Overlay windows may be smaller than the usual 500x500 minimum
+const OVERLAY_MIN_SIZE = [200, 150];
+const modes = new Map<number, WindowMode>();
+
+function modeOf(window: BrowserWindow): WindowMode {
+    let mode = modes.get(window.id);
+    if (!mode) {
+        mode = { aspectLocked: false, clickThrough: false, overlay: null };
+        modes.set(window.id, mode);
+        const id = window.id;
+        window.once('closed', () => modes.delete(id));
+    }
+    return mode;
+}
+
+function clampOpacity(percent: number): number {
+    return Math.min(
+        100,
+        Math.max(MIN_OPACITY, Math.round(Number(percent) || 100))
+    );
+}
+
+export function windowDisplayState(window: BrowserWindow): WindowDisplayState {
+    const mode = modeOf(window);
+    return {
+        alwaysOnTop: window.isAlwaysOnTop(),
+        opacity: Math.round(window.getOpacity() * 100),
+        aspectLocked: mode.aspectLocked,
+        overlay: mode.overlay !== null,
+        clickThrough: mode.clickThrough,
+    };
+}
+
+function sendDisplayState(window: BrowserWindow) {
+    if (!window.isDestroyed())
+        window.webContents.send('window:state', windowDisplayState(window));
+}
+
+export function setAlwaysOnTop(window: BrowserWindow, enabled: boolean) {
+    const overlay = modeOf(window).overlay;
+    // An overlay stays on top, the choice applies once it ends
+    if (overlay) overlay.alwaysOnTop = enabled;
+    else window.setAlwaysOnTop(enabled);
+    sendDisplayState(window);
+}
+
+export function toggleAlwaysOnTop(window: BrowserWindow) {
+    const overlay = modeOf(window).overlay;
+    setAlwaysOnTop(
+        window,
+        !(overlay ? overlay.alwaysOnTop : window.isAlwaysOnTop())
+    );
+}
+
+// Opacity in percent; Electron ignores it on Linux
+export function setWindowOpacity(window: BrowserWindow, percent: number) {
+    window.setOpacity(clampOpacity(percent) / 100);
+    sendDisplayState(window);
+}
+
+// Keep the current proportions of the page while resizing
+export function setAspectRatioLock(window: BrowserWindow, locked: boolean) {
+    const [width, height] = window.getContentSize();
+    window.setAspectRatio(locked && height > 0 ? width / height : 0);
+    modeOf(window).aspectLocked = locked;
+    sendDisplayState(window);
+}
+
+function setClickThrough(window: BrowserWindow, enabled: boolean) {
+    const clickThrough = enabled && CLICK_THROUGH_SUPPORTED;
+    modeOf(window).clickThrough = clickThrough;
+    // Mouse moves are still forwarded so the page can tell when the pointer is over the overlay bar
+    window.setIgnoreMouseEvents(
+        clickThrough,
+        clickThrough ? { forward: true } : undefined
+    );
+}
+
+export function setOverlayMode(window: BrowserWindow, enabled: boolean) {
+    const mode = modeOf(window);
+    if (enabled === (mode.overlay !== null)) return;
+    if (enabled) {
+        mode.overlay = {
+            alwaysOnTop: window.isAlwaysOnTop(),
+            opacity: window.getOpacity(),
+            minimumSize: window.getMinimumSize(),
+        };
+        if (window.isMaximized()) window.unmaximize();
+        // The traffic lights would stay over the page without the title bar
+        if (process.platform === 'darwin')
+            window.setWindowButtonVisibility(false);
+        window.setMinimumSize(OVERLAY_MIN_SIZE[0], OVERLAY_MIN_SIZE[1]);
+        window.setAlwaysOnTop(true, 'floating');
+        window.setOpacity(
+            clampOpacity(settingsService.get('Window', 'Overlay Opacity')) / 100
+        );
+        setClickThrough(
+            window,
+            Boolean(settingsService.get('Window', 'Click-Through Overlay'))
+        );
+    } else {
+        const overlay = mode.overlay!;
+        mode.overlay = null;
+        setClickThrough(window, false);
+        window.setAlwaysOnTop(overlay.alwaysOnTop);
+        window.setOpacity(overlay.opacity);
+        window.setMinimumSize(overlay.minimumSize[0], overlay.minimumSize[1]);
+        if (process.platform === 'darwin')
+            window.setWindowButtonVisibility(true);
+    }
+    sendDisplayState(window);
+}
+
+export function toggleOverlayMode(window: BrowserWindow) {
+    setOverlayMode(window, modeOf(window).overlay === null);
+}
+
+// Apply the "Client Window" settings, to a new window or after they changed
+export function applyWindowSettings(window: BrowserWindow) {
+    if (window.isDestroyed()) return;
+    const alwaysOnTop = Boolean(settingsService.get('Window', 'Always On Top'));
+    const opacity =
+        clampOpacity(settingsService.get('Window', 'Window Opacity')) / 100;
+    const overlay = modeOf(window).overlay;
+    if (overlay) {
+        overlay.alwaysOnTop = alwaysOnTop;
+        overlay.opacity = opacity;
+        window.setOpacity(
+            clampOpacity(settingsService.get('Window', 'Overlay Opacity')) / 100
+        );
+        setClickThrough(
+            window,
+            Boolean(settingsService.get('Window', 'Click-Through Overlay'))
+        );
+    } else {
+        window.setAlwaysOnTop(alwaysOnTop);
+        window.setOpacity(opacity);
+    }
+    setAspectRatioLock(
+        window,
+        Boolean(settingsService.get('Window', 'Lock Aspect Ratio'))
+    );
+}
+
+settingsService.onChange('Window', '*', () => {
+    BrowserWindow.getAllWindows()
+        .filter(
+            window =>
+                !window.isDestroyed() &&
+                profileService.profileForWebContents(window.webContents.id)
+        )
+        .forEach(applyWindowSettings);
+});
 
 // Window Controls Handling
 ipcMain.on('minimize-window', event => {
@@ -36,6 +224,51 @@ ipcMain.on('toggle-maximize-window', event => {
     }
 });
 
+ipcMain.on('toggle-always-on-top', event => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+        toggleAlwaysOnTop(window);
+    }
+});
+
+ipcMain.on('set-window-opacity', (event, percent: number) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+        setWindowOpacity(window, percent);
+    }
+});
+
+ipcMain.on('toggle-aspect-ratio-lock', event => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+        setAspectRatioLock(window, !modeOf(window).aspectLocked);
+    }
+});
+
+ipcMain.on('toggle-overlay-mode', event => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+        toggleOverlayMode(window);
+    }
+});
+
+// The pointer is over the overlay bar of a click-through window, which has to take clicks
+ipcMain.on('set-overlay-interactive', (event, interactive: boolean) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const mode = window && modes.get(window.id);
+    if (window && mode?.overlay && mode.clickThrough) {
+        window.setIgnoreMouseEvents(
+            !interactive,
+            interactive ? undefined : { forward: true }
+        );
+    }
+});
+
+ipcMain.handle('window:get-state', event => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    return window ? windowDisplayState(window) : null;
+});
+
 ipcMain.on('close-window', event => {
     // Get the BrowserWindow instance from the event
     const window = BrowserWindow.fromWebContents(event.sender);
@@ -0,0 +1,202 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Client window size, position, maximized state and zoom level, remembered per profile.
+
+    The last window of a profile to move, resize or zoom wins. A restored window is kept on
+    a display that still exists: when its monitor is gone it moves to the primary display,
+    shrunk to fit if needed.
+*/
+
+import { app, BrowserWindow, ipcMain, Rectangle, screen } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import log from 'electron-log';
+
+interface WindowState {
+    bounds: Rectangle;
+    maximized: boolean;
+    displayId: number;
+    zoomLevel: number;
+}
+
+// Same 0.1 steps as Ctrl + mouse wheel
+export const ZOOM_STEP = 0.1;
+const MIN_ZOOM_LEVEL = -3;
+const MAX_ZOOM_LEVEL = 5;
+// Offset of a second window of a profile, so it doesn't open exactly on top of the first
+const CASCADE_OFFSET = 30;
+// How much of the title bar has to be on a display for the window to count as on it
+const MIN_VISIBLE = 100;
+const SAVE_DELAY = 500;
+const statePath = path.join(app.getPath('userData'), 'window-state.json');
+
+let states: Record<string, WindowState> | null = null;
+let saveTimer: ReturnType<typeof setTimeout> | undefined;
+// Saves the state of a tracked window, by window id
+const recorders = new Map<number, () => void>();
+
+function loadStates(): Record<string, WindowState> {
+    if (states) return states;
+    try {
+        states = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch {
+        states = {};
+    }
+    return states!;
+}
+
+function writeStates() {
+    clearTimeout(saveTimer);
+    try {
+        fs.writeFileSync(
+            statePath,
+            JSON.stringify(loadStates(), null, 2),
+            'utf8'
+        );
+    } catch (err) {
+        log.error('Failed to save window state:', err);
+    }
+}
+
+// Moving and resizing fire many events, write once they settle
+function saveStates() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(writeStates, SAVE_DELAY);
+}
+
+function isVisibleOn(bounds: Rectangle, area: Rectangle): boolean {
+    const overlapWidth =
+        Math.min(bounds.x + bounds.width, area.x + area.width) -
+        Math.max(bounds.x, area.x);
+    const titleBarOnScreen =
+        bounds.y >= area.y && bounds.y < area.y + area.height;
+    return overlapWidth >= MIN_VISIBLE && titleBarOnScreen;
+}
+
+// Keep saved bounds on a display that exists, fitting them into its work area
+function clampToDisplay(bounds: Rectangle, displayId: number): Rectangle {
+    const displays = screen.getAllDisplays();
+    const display =
+        displays.find(
+            d => d.id === displayId && isVisibleOn(bounds, d.workArea)
+        ) ??
+        displays.find(d => isVisibleOn(bounds, d.workArea)) ??
+        screen.getPrimaryDisplay();
+    const area = display.workArea;
+    const width = Math.min(bounds.width, area.width);
+    const height = Math.min(bounds.height, area.height);
+    if (isVisibleOn(bounds, area)) {
+        return {
+            width,
+            height,
+            x: Math.min(
+                Math.max(bounds.x, area.x),
+                area.x + area.width - width
+            ),
+            y: Math.min(
+                Math.max(bounds.y, area.y),
+                area.y + area.height - height
+            ),
+        };
+    }
+    // The monitor it was on is gone, center it on the primary display
+    return {
+        width,
+        height,
+        x: Math.round(area.x + (area.width - width) / 2),
+        y: Math.round(area.y + (area.height - height) / 2),
+    };
+}
+
+// Size and position for a new client window of a profile
+export function restoredBounds(
+    profileId: string,
+    openWindows: BrowserWindow[]
+): Partial<Rectangle> {
+    const state = loadStates()[profileId];
+    if (!state) return {};
+    let bounds = state.bounds;
+    if (openWindows.length > 0) {
+        bounds = {
+            ...bounds,
+            x: bounds.x + CASCADE_OFFSET * openWindows.length,
+            y: bounds.y + CASCADE_OFFSET * openWindows.length,
+        };
+    }
+    return clampToDisplay(bounds, state.displayId);
+}
+
+function notifyZoom(window: BrowserWindow) {
+    window.webContents.send('zoom:changed', {
+        level: window.webContents.getZoomLevel(),
+        percent: Math.round(window.webContents.getZoomFactor() * 100),
+    });
+}
+
+export function setZoomLevel(window: BrowserWindow, level: number) {
+    if (window.isDestroyed()) return;
+    const clamped = Math.min(MAX_ZOOM_LEVEL, Math.max(MIN_ZOOM_LEVEL, level));
+    // Round away floating point drift from repeated 0.1 steps
+    window.webContents.setZoomLevel(Math.round(clamped * 100) / 100);
+    notifyZoom(window);
+    recorders.get(window.id)?.();
+}
+
+export function changeZoom(window: BrowserWindow, delta: number) {
+    setZoomLevel(window, window.webContents.getZoomLevel() + delta);
+}
+
+// Restore maximized state and zoom for a window created with restoredBounds, and save them as they change
+export function trackWindowState(window: BrowserWindow, profileId: string) {
+    const saved = loadStates()[profileId];
+    if (saved?.maximized) window.maximize();
+
+    const record = () => {
+        if (window.isDestroyed() || window.isMinimized()) return;
+        loadStates()[profileId] = {
+            // The size from before maximizing, to go back to when it is restored
+            bounds: window.getNormalBounds(),
+            maximized: window.isMaximized(),
+            displayId: screen.getDisplayMatching(window.getBounds()).id,
+            zoomLevel: window.webContents.getZoomLevel(),
+        };
+        saveStates();
+    };
+
+    window.on('resize', record);
+    window.on('move', record);
+    window.on('maximize', record);
+    window.on('unmaximize', record);
+    // The app may quit right after the last window closes, don't wait for the timer
+    window.on('close', () => {
+        record();
+        writeStates();
+    });
+    const id = window.id;
+    recorders.set(id, record);
+    window.on('closed', () => recorders.delete(id));
+
+    // Page loads start at the zoom level of the profile, not Chromium's per-site default
+    window.webContents.on('did-finish-load', () => {
+        setZoomLevel(window, loadStates()[profileId]?.zoomLevel ?? 0);
+    });
+}
+
+ipcMain.on('zoom:reset', event => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) setZoomLevel(window, 0);
+});
@@ -13,9 +13,49 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
-import { app, BrowserWindow } from 'electron';
+import { app, BrowserWindow, dialog } from 'electron';
+import fs from 'fs';
 import path from 'path';
 import { ipcMain } from 'electron';
+
+interface ExportedConsoleMessage {
+    type: string;
+    message: string;
+    source: string;
+    plugin: string;
+    timestamp: string;
+}
+
+function formatLog(messages: ExportedConsoleMessage[]): string {
+    return messages.map(msg =>
+        `[${msg.timestamp}] ${msg.type.toUpperCase()} [${msg.plugin}] ${msg.message} (${msg.source})`
+    ).join('\n') + '\n';
+}
+
+// The console window exports what it currently shows, as plain text or JSON
+ipcMain.handle('console:export', async (event, messages: ExportedConsoleMessage[], format: 'log' | 'json') => {
+    try {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return { ok: false, error: 'There are no messages to export' };
+        }
+        const extension = format === 'json' ? 'json' : 'log';
+        const parent = BrowserWindow.fromWebContents(event.sender);
+        const options = {
+            title: 'Export Console',
+            defaultPath: `highlite-console-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`,
+            filters: [extension === 'json' ? { name: 'JSON', extensions: ['json'] } : { name: 'Log Files', extensions: ['log', 'txt'] }]
+        };
+        const result = parent ? await dialog.showSaveDialog(parent, options) : await dialog.showSaveDialog(options);
+        if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+
+        const content = extension === 'json' ? JSON.stringify(messages, null, 2) : formatLog(messages);
+        await fs.promises.writeFile(result.filePath, content, 'utf8');
+        return { ok: true, path: result.filePath, count: messages.length };
+    } catch (err: any) {
+        return { ok: false, error: err?.message || String(err) };
+    }
+});
+
 export async function createConsoleWindow() {
     const consoleWindow = new BrowserWindow({
         width: 800,
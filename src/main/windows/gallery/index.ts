@@ -0,0 +1,72 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import { app, BrowserWindow } from 'electron';
+import path from 'path';
+import { keybindingService } from '../../modules/keybindingManagement';
+
+let galleryWindowRef: BrowserWindow | null = null;
+
+export function getGalleryWindow(): BrowserWindow | null {
+    return galleryWindowRef && !galleryWindowRef.isDestroyed()
+        ? galleryWindowRef
+        : null;
+}
+
+// Open the screenshot gallery, or focus it when it is already open
+export function openGalleryWindow(): BrowserWindow {
+    const existing = getGalleryWindow();
+    if (existing) {
+        if (existing.isMinimized()) existing.restore();
+        existing.focus();
+        return existing;
+    }
+
+    const gallery = new BrowserWindow({
+        title: 'Screenshots',
+        width: 960,
+        height: 680,
+        minWidth: 520,
+        minHeight: 360,
+        webPreferences: {
+            preload: path.join(__dirname, '../preload/index.js'),
+            sandbox: false, // Disable sandboxing for compatibility with some libraries
+        },
+        icon: path.join(__dirname, 'icons/icon.png'),
+        titleBarStyle: 'hidden',
+        show: true,
+    });
+    galleryWindowRef = gallery;
+    gallery.setMenu(null);
+
+    // Allow pressing F12 (or whatever it is rebound to) to open dev tools
+    gallery.webContents.on('before-input-event', (event, input) => {
+        if (keybindingService.matches('toggle-devtools', input)) {
+            event.preventDefault();
+            gallery.webContents.toggleDevTools();
+        }
+    });
+
+    if (!app.isPackaged && process.env['ELECTRON_RENDERER_URL']) {
+        gallery.loadURL(`${process.env['ELECTRON_RENDERER_URL']}/gallery.html`);
+    } else {
+        gallery.loadFile(path.join(__dirname, '../renderer/gallery.html'));
+    }
+
+    gallery.on('closed', () => {
+        galleryWindowRef = null;
+    });
+    return gallery;
+}
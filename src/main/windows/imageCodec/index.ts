@@ -0,0 +1,126 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import { app, BrowserWindow, ipcMain } from 'electron';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export interface ConvertOptions {
+    // Output MIME type, e.g. "image/webp" or "image/png"
+    type: string;
+    // 0 to 100, for lossy formats
+    quality?: number;
+    // Scale down to at most this width, keeping the aspect ratio
+    maxWidth?: number;
+}
+
+// Closed again after a while without work, so it doesn't keep HighLite running
+const IDLE_TIMEOUT = 30 * 1000;
+const REQUEST_TIMEOUT = 30 * 1000;
+
+let codecWindow: BrowserWindow | null = null;
+let codecReady: Promise<BrowserWindow> | null = null;
+let idleTimer: NodeJS.Timeout | null = null;
+const pendingRequests = new Map<string, (reply: any) => void>();
+
+ipcMain.on('image-codec:reply', (event, requestId: string, reply: any) => {
+    if (event.sender !== codecWindow?.webContents) return;
+    pendingRequests.get(requestId)?.(reply);
+});
+
+// The hidden window that does the converting, created on first use
+function getCodecWindow(): Promise<BrowserWindow> {
+    if (codecReady && codecWindow && !codecWindow.isDestroyed()) {
+        return codecReady;
+    }
+
+    const window = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            preload: path.join(__dirname, '../preload/index.js'),
+            sandbox: false, // Disable sandboxing for compatibility with some libraries
+        },
+    });
+    codecWindow = window;
+    codecReady = new Promise((resolve, reject) => {
+        window.webContents.once('did-finish-load', () => resolve(window));
+        window.webContents.once('did-fail-load', (_event, _code, description) =>
+            reject(new Error(`Image codec failed to load: ${description}`))
+        );
+    });
+    window.on('closed', () => {
+        codecWindow = null;
+        codecReady = null;
+    });
+
+    if (!app.isPackaged && process.env['ELECTRON_RENDERER_URL']) {
+        window.loadURL(
+            `${process.env['ELECTRON_RENDERER_URL']}/imageCodec.html`
+        );
+    } else {
+        window.loadFile(path.join(__dirname, '../renderer/imageCodec.html'));
+    }
+    return codecReady;
+}
+
+function scheduleIdleClose() {
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        idleTimer = null;
+        if (
+            pendingRequests.size === 0 &&
+            codecWindow &&
+            !codecWindow.isDestroyed()
+        ) {
+            codecWindow.close();
+        }
+    }, IDLE_TIMEOUT);
+}
+
+// Convert an image to a format nativeImage can't produce, e.g. WebP, or decode one it can't read
+export async function convertImage(
+    data: Buffer,
+    options: ConvertOptions
+): Promise<Buffer> {
+    const window = await getCodecWindow();
+    const requestId = randomUUID();
+    try {
+        const reply = await new Promise<any>((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                pendingRequests.delete(requestId);
+                reject(new Error('The image codec did not respond'));
+            }, REQUEST_TIMEOUT);
+            pendingRequests.set(requestId, reply => {
+                clearTimeout(timeout);
+                pendingRequests.delete(requestId);
+                resolve(reply);
+            });
+            window.webContents.send('image-codec:convert', requestId, {
+                data,
+                type: options.type,
+                quality:
+                    options.quality === undefined
+                        ? undefined
+                        : options.quality / 100,
+                maxWidth: options.maxWidth,
+            });
+        });
+        if (!reply?.ok)
+            throw new Error(reply?.error || 'Image conversion failed');
+        return Buffer.from(reply.data);
+    } finally {
+        scheduleIdleClose();
+    }
+}
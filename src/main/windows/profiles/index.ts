@@ -0,0 +1,95 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import { app, BrowserWindow, ipcMain } from 'electron';
+import path from 'path';
+import { ClientProfile, profileService } from '../../modules/profileManagement';
+import { settingsService } from '../../modules/settingsManagement';
+import { createClientWindow } from '../client';
+
+let pickerWindowRef: BrowserWindow | null = null;
+let pendingPick: Promise<ClientProfile | null> | null = null;
+
+// Show the profile picker and resolve with the chosen profile, or null if it was closed
+export function pickClientProfile(): Promise<ClientProfile | null> {
+    if (pendingPick && pickerWindowRef && !pickerWindowRef.isDestroyed()) {
+        pickerWindowRef.focus();
+        return pendingPick;
+    }
+
+    const picker = new BrowserWindow({
+        title: 'Choose Profile',
+        width: 420,
+        height: 520,
+        resizable: false,
+        webPreferences: {
+            preload: path.join(__dirname, '../preload/index.js'),
+            sandbox: false, // Disable sandboxing for compatibility with some libraries
+        },
+        icon: path.join(__dirname, 'icons/icon.png'),
+        titleBarStyle: 'hidden',
+        show: true,
+    });
+    pickerWindowRef = picker;
+    picker.setMenu(null);
+
+    if (!app.isPackaged && process.env['ELECTRON_RENDERER_URL']) {
+        picker.loadURL(`${process.env['ELECTRON_RENDERER_URL']}/profiles.html`);
+    } else {
+        picker.loadFile(path.join(__dirname, '../renderer/profiles.html'));
+    }
+
+    pendingPick = new Promise(resolve => {
+        let chosen: ClientProfile | null = null;
+        const onChoose = (event: Electron.IpcMainEvent, id: string) => {
+            if (event.sender !== picker.webContents) return;
+            chosen = profileService.get(id) ?? null;
+            picker.close();
+        };
+        ipcMain.on('profiles:choose', onChoose);
+        picker.on('closed', () => {
+            ipcMain.removeListener('profiles:choose', onChoose);
+            pickerWindowRef = null;
+            pendingPick = null;
+            resolve(chosen);
+        });
+    });
+    return pendingPick;
+}
+
+// Decide which profile a new client window uses, asking the user when there is a choice to make
+export async function resolveLaunchProfile(
+    forcePicker = false
+): Promise<ClientProfile | null> {
+    const alwaysAsk = settingsService.get(
+        'Profiles',
+        'Always Show Profile Picker'
+    );
+    if (forcePicker || alwaysAsk || profileService.list().length > 1) {
+        return pickClientProfile();
+    }
+    return profileService.last();
+}
+
+// Open a client window for the profile the user picks, returns null if they cancelled
+export async function launchClientWindow(forcePicker = false) {
+    const profile = await resolveLaunchProfile(forcePicker);
+    if (!profile) return null;
+    return createClientWindow(profile);
+}
+
+ipcMain.on('profiles:open-picker', () => {
+    launchClientWindow(true);
+});
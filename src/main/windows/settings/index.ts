@@ -1,5 +1,6 @@
 import { BrowserWindow, app } from 'electron';
 import path from 'path';
+import { keybindingService } from '../../modules/keybindingManagement';
 
 export async function createSettingsModal(parent : BrowserWindow) : Promise<BrowserWindow> {
     const modal = new BrowserWindow({
@@ -18,9 +19,9 @@ export async function createSettingsModal(parent : BrowserWindow) : Promise<Brow
     });
 
     modal.setMenu(null);
-    // Allow pressing F12 to open dev tools
+    // Allow pressing F12 (or whatever it is rebound to) to open dev tools
     modal.webContents.on('before-input-event', (event, input) => {
-        if (input.key === 'F12' && input.type === 'keyDown') {
+        if (keybindingService.matches('toggle-devtools', input)) {
             event.preventDefault();
             modal.webContents.toggleDevTools();
         }
@@ -13,16 +13,76 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
-import { ipcMain, BrowserWindow, app, shell } from 'electron';
-import { autoUpdater } from 'electron-updater';
+import { ipcMain, BrowserWindow, app, dialog, shell } from 'electron';
+import { autoUpdater, UpdateInfo } from 'electron-updater';
 import log from 'electron-log';
+import fs from 'fs';
 import path from 'path';
 import { settingsService } from '../../modules/settingsManagement';
 
-async function configureAutoUpdater() {
-    autoUpdater.autoDownload = false; // Disable auto download to control it manually
-    await settingsService.load();
+// Decisions in the updater window that outlive the launch
+interface UpdaterState {
+    skippedVersion: string | null;
+}
+
+export interface ReleaseNote {
+    version: string;
+    note: string;
+}
+
+const statePath = path.join(app.getPath('userData'), 'updater.json');
+// Release assets of the publish config in package.json, each release has its own update feed
+const RELEASES_URL = 'https://github.com/Highl1te/HighliteDesktop/releases/download';
+// Version downloaded and waiting to install, shown as a badge in client windows
+let readyVersion: string | null = null;
+let backgroundDownload = false;
+
+function readState(): UpdaterState {
+    try {
+        return { skippedVersion: null, ...JSON.parse(fs.readFileSync(statePath, 'utf8')) };
+    } catch {
+        return { skippedVersion: null };
+    }
+}
+
+function writeState(state: UpdaterState) {
+    try {
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2), 'utf8');
+    } catch (err) {
+        log.error('Failed to save updater state:', err);
+    }
+}
+
+// Stop offering a version, until a newer one is released
+export function skipVersion(version: string) {
+    log.info(`Skipping update ${version}`);
+    writeState({ ...readState(), skippedVersion: version });
+}
+
+// With fullChangelog the notes of every version since the running one, newest first
+function releaseNotes(info: UpdateInfo): ReleaseNote[] {
+    if (Array.isArray(info.releaseNotes)) {
+        return info.releaseNotes.map(entry => ({ version: entry.version, note: entry.note ?? '' }));
+    }
+    return info.releaseNotes ? [{ version: info.version, note: info.releaseNotes }] : [];
+}
+
+function startBackgroundDownload(version: string) {
+    log.info(`Downloading ${version} in the background, it installs when HighLite quits`);
+    backgroundDownload = true;
+    autoUpdater.autoInstallOnAppQuit = true;
+    autoUpdater.downloadUpdate().catch(err => log.error('Background update download failed:', err));
+}
+
+ipcMain.handle('update:status', () => ({ ready: readyVersion !== null, version: readyVersion }));
+
+ipcMain.on('update:install-now', () => {
+    if (!readyVersion) return;
+    log.info(`Installing ${readyVersion} now`);
+    autoUpdater.quitAndInstall();
+});
 
+function applyReleaseChannel() {
     if (settingsService.getByName('Release Channel') == 'Beta') {
         log.info('Using Beta channel for updates');
         autoUpdater.allowDowngrade = false;
@@ -34,13 +94,31 @@ async function configureAutoUpdater() {
         autoUpdater.allowDowngrade = true;
         autoUpdater.allowPrerelease = false;
     }
+}
+
+async function configureAutoUpdater() {
+    autoUpdater.autoDownload = false; // Disable auto download to control it manually
+    autoUpdater.fullChangelog = true;
+    await settingsService.load();
+    applyReleaseChannel();
 
     return Promise.resolve();
 }
 
+// Switching channels in the settings window applies to the next update check without a restart
+settingsService.onChange('Application', 'Release Channel', applyReleaseChannel);
 
-export async function createUpdateWindow() {
+
+// Point the updater at one release, used to reinstall a version that started fine after a crash loop
+function pinRelease(version: string) {
+    log.info(`Reinstalling ${version}`);
+    autoUpdater.allowDowngrade = true;
+    autoUpdater.setFeedURL({ provider: 'generic', url: `${RELEASES_URL}/v${version}` });
+}
+
+export async function createUpdateWindow(rollbackTo?: string) {
     await configureAutoUpdater();
+    if (rollbackTo) pinRelease(rollbackTo);
     const updateWindow = new BrowserWindow({
         title: 'Updating HighLite...',
         webPreferences: {
@@ -52,7 +130,7 @@ export async function createUpdateWindow() {
         icon: path.join(__dirname, 'icons/icon.png'),
         titleBarStyle: 'hidden',
         width: 600,
-        height: 400,
+        height: 480,
     });
 
     if (!app.isPackaged && process.env['ELECTRON_RENDERER_URL']) {
@@ -71,21 +149,61 @@ export async function createUpdateWindow() {
         }
     });
 
+    // The window is gone once the client opens, background downloads keep going without it
+    const sendToWindow = (channel: string, ...args: any[]) => {
+        if (!updateWindow.isDestroyed()) updateWindow.webContents.send(channel, ...args);
+    };
+
     autoUpdater.on('download-progress', progressObj => {
         log.info('Download progress:', progressObj.percent);
-        updateWindow.webContents.send('download-progress', progressObj.percent);
+        sendToWindow('download-progress', progressObj.percent);
     });
 
-    autoUpdater.on('update-downloaded', async () => {
+    autoUpdater.on('update-downloaded', async updateInfo => {
         log.info('Update downloaded');
-        updateWindow.webContents.send('update-downloaded');
+        readyVersion = updateInfo.version;
+        sendToWindow('update-downloaded');
+        if (backgroundDownload) {
+            BrowserWindow.getAllWindows().forEach(window => {
+                window.webContents.send('update:ready', { version: updateInfo.version });
+            });
+        }
     });
 
     autoUpdater.on('update-available', async updateInfo => {
         log.info('Update available:', updateInfo.releaseName);
-        updateWindow.webContents.send('update-available', updateInfo);
+        if (rollbackTo) {
+            // Not offered as an update, there is nothing to choose
+            sendToWindow('rollback-started', { version: updateInfo.version });
+            autoUpdater.downloadUpdate();
+            return;
+        }
+        if (readState().skippedVersion === updateInfo.version) {
+            log.info(`Skipping ${updateInfo.version} as requested`);
+            ipcMain.emit('no-update-available');
+            return;
+        }
+        if (settingsService.get('Application', 'Update Mode') === 'background') {
+            startBackgroundDownload(updateInfo.version);
+            ipcMain.emit('delay-update');
+            return;
+        }
+        sendToWindow('update-available', {
+            ...updateInfo,
+            currentVersion: app.getVersion(),
+            releaseNotes: releaseNotes(updateInfo),
+        });
     });
 
+    if (rollbackTo) {
+        // Start the installed version after all rather than leaving the window waiting
+        autoUpdater.once('error', err => {
+            log.error(`Reinstalling ${rollbackTo} failed:`, err);
+            dialog.showErrorBox('HighLite Recovery', `v${rollbackTo} could not be downloaded: ${err.message}`);
+            ipcMain.emit('no-update-available');
+        });
+    }
+
     autoUpdater.on('update-not-available', async () => {
         log.info('Update not available');
         ipcMain.emit('no-update-available');
@@ -105,6 +223,16 @@ export async function createUpdateWindow() {
         log.info('Update delayed');
     });
 
+    ipcMain.once('background-update', async (_event, version: string) => {
+        startBackgroundDownload(version);
+        ipcMain.emit('delay-update');
+    });
+
+    ipcMain.once('skip-update', async (_event, version: string) => {
+        skipVersion(version);
+        ipcMain.emit('delay-update');
+    });
+
     // Open Links in External Browser
     updateWindow.webContents.setWindowOpenHandler(({ url }) => {
         shell.openExternal(url);
@@ -14,6 +14,27 @@
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
 import { ElectronAPI } from '@electron-toolkit/preload';
+
+interface GalleryEntry {
+    path: string;
+    name: string;
+    // Subfolder of the screenshot directory, e.g. a per-character folder, empty at the top level
+    folder: string;
+    size: number;
+    event?: string;
+    character?: string | null;
+    world?: string | null;
+    takenAt: number;
+}
+
+interface SettingChange {
+    section: string;
+    key: string;
+    value: any;
+    previous: any;
+    requiresRestart: boolean;
+}
+
 declare global {
     interface Window {
         electron: ElectronAPI;
@@ -24,9 +45,41 @@ declare global {
             getByName: (label: string) => Promise<any>;
             selectDirectory: (options?: { title?: string; defaultPath?: string }) => Promise<string | null>;
             validateDirectory: (dirPath: string) => Promise<boolean>;
+            selectFile: (options?: { title?: string; defaultPath?: string; extensions?: string[] }) => Promise<string | null>;
+            exportBundle: () => Promise<{ ok: boolean; canceled?: boolean; path?: string; skipped?: number; error?: string }>;
+            importBundle: () => Promise<{ ok: boolean; canceled?: boolean; path?: string; error?: string }>;
+            listProfiles: () => Promise<{ active: string | null; profiles: Array<{ name: string; savedAt: number }> }>;
+            saveProfile: (name: string) => Promise<{ ok: boolean; error?: string }>;
+            switchProfile: (name: string) => Promise<{ ok: boolean; error?: string }>;
+            deleteProfile: (name: string) => Promise<{ ok: boolean; error?: string }>;
+            onChange: (
+                section: string,
+                key: string,
+                callback: (value: any, previous: any, change: SettingChange) => void
+            ) => () => void;
         };
         screenshot: {
-            capture: () => Promise<{ ok: boolean; path?: string; error?: string }>;
-        }
+            capture: (options?: {
+                rect?: { x: number; y: number; width: number; height: number };
+                event?: string;
+                character?: string | null;
+                world?: string | null;
+            }) => Promise<{ ok: boolean; path?: string; copied?: boolean; thumbnail?: string; error?: string }>;
+            // Write a recorded WebM clip to the screenshot directory
+            saveClip: (
+                data: Uint8Array,
+                options?: { event?: string; character?: string | null; world?: string | null }
+            ) => Promise<{ ok: boolean; path?: string; error?: string }>;
+        };
+        gallery: {
+            open: () => void;
+            list: () => Promise<{ ok: boolean; directory?: string; entries?: GalleryEntry[]; error?: string }>;
+            thumbnail: (filePath: string) => Promise<{ ok: boolean; thumbnail?: string; error?: string }>;
+            delete: (filePath: string) => Promise<{ ok: boolean; error?: string }>;
+            rename: (filePath: string, newName: string) => Promise<{ ok: boolean; path?: string; error?: string }>;
+            reveal: (filePath?: string) => Promise<{ ok: boolean; error?: string }>;
+            copy: (filePath: string) => Promise<{ ok: boolean; error?: string }>;
+            onChanged: (callback: () => void) => () => void;
+        };
     }
 }
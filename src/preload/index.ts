@@ -24,10 +24,50 @@ const settingsAPI = {
     getByName: async (label) => ipcRenderer.invoke('settings:getByName', label),
     selectDirectory: async (options) => ipcRenderer.invoke('settings:select-directory', options),
     validateDirectory: async (dirPath) => ipcRenderer.invoke('settings:validate-directory', dirPath),
+    selectFile: async (options) => ipcRenderer.invoke('settings:select-file', options),
+    exportBundle: async () => ipcRenderer.invoke('settings:export-bundle'),
+    importBundle: async () => ipcRenderer.invoke('settings:import-bundle'),
+    listProfiles: async () => ipcRenderer.invoke('settings:profiles:list'),
+    saveProfile: async (name) => ipcRenderer.invoke('settings:profiles:save', name),
+    switchProfile: async (name) => ipcRenderer.invoke('settings:profiles:switch', name),
+    deleteProfile: async (name) => ipcRenderer.invoke('settings:profiles:delete', name),
+    // Subscribe to changes of a setting, '*' matches any section or key. Returns an unsubscribe function.
+    onChange: (section, key, callback) => {
+        const listener = (_event, changes) => {
+            changes.forEach(change => {
+                if ((section === '*' || change.section === section) && (key === '*' || change.key === key)) {
+                    callback(change.value, change.previous, change);
+                }
+            });
+        };
+        ipcRenderer.on('settings:changed', listener);
+        return () => {
+            ipcRenderer.removeListener('settings:changed', listener);
+        };
+    },
 };
 
 const screenshotAPI = {
-    capture: async () => ipcRenderer.invoke('screenshot:capture') as Promise<{ ok: boolean; path?: string; error?: string }>,
+    capture: async (options?) => ipcRenderer.invoke('screenshot:capture', options) as Promise<{ ok: boolean; path?: string; copied?: boolean; thumbnail?: string; error?: string }>,
+    saveClip: async (data: Uint8Array, options?) => ipcRenderer.invoke('clip:save', data, options) as Promise<{ ok: boolean; path?: string; error?: string }>,
+};
+
+const galleryAPI = {
+    open: () => ipcRenderer.send('gallery:open'),
+    list: async () => ipcRenderer.invoke('gallery:list'),
+    thumbnail: async (filePath) => ipcRenderer.invoke('gallery:thumbnail', filePath),
+    delete: async (filePath) => ipcRenderer.invoke('gallery:delete', filePath),
+    rename: async (filePath, newName) => ipcRenderer.invoke('gallery:rename', filePath, newName),
+    // Show a screenshot in its folder, or open the screenshot directory when no path is given
+    reveal: async (filePath?) => ipcRenderer.invoke('gallery:reveal', filePath),
+    copy: async (filePath) => ipcRenderer.invoke('gallery:copy', filePath),
+    onChanged: (callback) => {
+        const listener = () => callback();
+        ipcRenderer.on('gallery:changed', listener);
+        return () => {
+            ipcRenderer.removeListener('gallery:changed', listener);
+        };
+    },
 };
 
 if (process.contextIsolated) {
@@ -35,6 +75,7 @@ if (process.contextIsolated) {
         contextBridge.exposeInMainWorld('electron', electronAPI);
         contextBridge.exposeInMainWorld('settings', settingsAPI);
         contextBridge.exposeInMainWorld('screenshot', screenshotAPI);
+        contextBridge.exposeInMainWorld('gallery', galleryAPI);
     } catch (error) {
         console.error(error);
     }
@@ -45,4 +86,6 @@ if (process.contextIsolated) {
     window.settings = settingsAPI;
     // @ts-ignore
     window.screenshot = screenshotAPI;
+    // @ts-ignore
+    window.gallery = galleryAPI;
 }
@@ -6,6 +6,48 @@ abstract class SettingsSchema {
         return JSON.stringify(this.settings ?? {});
     }
 
+    // Fields are identified by their stable id when they have one, otherwise by their label
+    static fieldKey(field: Field): string {
+        return field.id ?? field.label;
+    }
+
+    static findField(sectionKey: string, key: string): Field | undefined {
+        const section = this.settings?.[sectionKey];
+        if (!section || !Array.isArray(section.fields)) return undefined;
+        return section.fields.find(f => f && (f.id === key || f.label === key));
+    }
+
+    // Apply flattened { section: { key: value } } values, returns the ones that match no field
+    static applyValues(values: Record<string, Record<string, any>>): Record<string, Record<string, any>> {
+        const unmatched: Record<string, Record<string, any>> = {};
+        for (const [sectionKey, sectionValues] of Object.entries(values ?? {})) {
+            if (!sectionValues || typeof sectionValues !== 'object') continue;
+            for (const [key, value] of Object.entries(sectionValues)) {
+                const field = this.findField(sectionKey, key);
+                if (field) {
+                    field.value = value;
+                } else {
+                    unmatched[sectionKey] ??= {};
+                    unmatched[sectionKey][key] = value;
+                }
+            }
+        }
+        return unmatched;
+    }
+
+    // Explicitly set values keyed by section and field key, defaults are left out
+    static values(): Record<string, Record<string, any>> {
+        const out: Record<string, Record<string, any>> = {};
+        for (const [sectionKey, section] of Object.entries(this.settings ?? {})) {
+            section.fields.forEach(field => {
+                if (field.value === undefined) return;
+                out[sectionKey] ??= {};
+                out[sectionKey][this.fieldKey(field)] = field.value;
+            });
+        }
+        return out;
+    }
+
     static loadFromJSON(json: string): void {
         const data = JSON.parse(json);
         // Merge values into existing schema; support both full schema shape and flattened { section: { label: value } }
@@ -14,15 +56,13 @@ abstract class SettingsSchema {
             const existingSection = this.settings?.[sectionKey];
             if (!existingSection || !Array.isArray(existingSection.fields)) continue;
 
-            // Case 1: full schema-like shape with fields array
+            // Case 1: full schema-like shape with fields array, matched by id or label so reordering fields is safe
             if (incomingSection && Array.isArray(incomingSection.fields)) {
-                incomingSection.fields.forEach((incomingField: any, index: number) => {
-                    const existingField = existingSection.fields[index];
+                incomingSection.fields.forEach((incomingField: any) => {
+                    if (!incomingField) return;
+                    const existingField =
+                        this.findField(sectionKey, incomingField.id ?? incomingField.label);
                     if (!existingField) return;
-                    // Preserve existing validation if present
-                    if (existingField.validation) {
-                        incomingField.validation = existingField.validation;
-                    }
                     // Apply value if provided
                     if (Object.prototype.hasOwnProperty.call(incomingField, 'value')) {
                         existingField.value = incomingField.value;
@@ -31,20 +71,14 @@ abstract class SettingsSchema {
                 continue;
             }
 
-            // Case 2: flattened shape { label: value }
+            // Case 2: flattened shape { key: value }
             if (incomingSection && typeof incomingSection === 'object') {
-                existingSection.fields.forEach((existingField: any) => {
-                    if (!existingField) return;
-                    const label = existingField.label;
-                    if (Object.prototype.hasOwnProperty.call(incomingSection, label)) {
-                        existingField.value = incomingSection[label];
-                    }
-                });
+                this.applyValues({ [sectionKey]: incomingSection });
             }
         }
     }
 
-    static getSettingValueByName(name: string): string | number | boolean | undefined {
+    static getSettingValueByName(name: string): SettingValue | undefined {
         for (const sectionKey in this.settings) {
             const section = this.settings[sectionKey];
             const field = section.fields.find(f => f.label === name);
@@ -56,16 +90,21 @@ abstract class SettingsSchema {
 
 interface Section {
     heading: string;
-    fields: Array<Field | DropdownField | DirectoryField>;
+    fields: Array<Field | DropdownField | DirectoryField | RangeField | ColorField | HotkeyField | FileField | ListField>;
 }
 
+type SettingValue = string | number | boolean | string[];
+
 interface Field {
+    id?: string;
     label: string;
     type: SettingTypes;
     description?: string;
-    default?: string | number | boolean;
-    value?: string | number | boolean;
-    validation: (value: string | number | boolean) => boolean | Promise<boolean>;
+    default?: SettingValue;
+    value?: SettingValue;
+    validation: (value: SettingValue) => boolean | Promise<boolean>;
+    // Changes only take effect once the client window is reloaded
+    requiresRestart?: boolean;
 }
 interface DropdownField extends Field {
     type: SettingTypes.DROPDOWN;
@@ -76,15 +115,167 @@ interface DirectoryField extends Field {
     type: SettingTypes.DIRECTORY;
 }
 
+interface RangeField extends Field {
+    type: SettingTypes.RANGE;
+    min: number;
+    max: number;
+    step?: number;
+}
+
+// Colors are stored as #rrggbb
+interface ColorField extends Field {
+    type: SettingTypes.COLOR;
+}
+
+// Hotkeys are stored as Electron accelerators, e.g. "CommandOrControl+Shift+S"; empty means unbound
+interface HotkeyField extends Field {
+    type: SettingTypes.HOTKEY;
+}
+
+interface FileField extends Field {
+    type: SettingTypes.FILE;
+    // Allowed extensions without the dot, empty allows any file
+    extensions?: string[];
+}
+
+interface ListField extends Field {
+    type: SettingTypes.LIST;
+    // Validates each entry, on top of the field validation for the whole list
+    itemValidation?: (item: string) => boolean;
+}
+
 enum SettingTypes {
     STRING = 'string',
     NUMBER = 'number',
     BOOLEAN = 'boolean',
     DROPDOWN = 'dropdown',
-    DIRECTORY = 'directory'
+    DIRECTORY = 'directory',
+    RANGE = 'range',
+    COLOR = 'color',
+    HOTKEY = 'hotkey',
+    FILE = 'file',
+    LIST = 'list'
+}
+
+const ACCELERATOR_MODIFIERS = ['Command', 'Cmd', 'Control', 'Ctrl', 'CommandOrControl', 'CmdOrCtrl', 'Alt', 'Option', 'AltGr', 'Shift', 'Super', 'Meta'];
+const ACCELERATOR_KEY = /^([A-Z0-9]|F([1-9]|1[0-9]|2[0-4])|Plus|Space|Tab|Backspace|Delete|Insert|Return|Enter|Up|Down|Left|Right|Home|End|PageUp|PageDown|Escape|Esc|PrintScreen|num[0-9]|[)!@#$%^&*(:;<=>?`~|{}"'\[\],./\\_-])$/;
+
+export function isValidAccelerator(accelerator: string): boolean {
+    const parts = accelerator.split('+');
+    const key = parts.pop();
+    return !!key && ACCELERATOR_KEY.test(key) && parts.every(part => ACCELERATOR_MODIFIERS.includes(part));
+}
+
+// Bindings held down on their own, e.g. for showing something while the key is held
+export const MODIFIER_KEYS = ['Alt', 'Control', 'Shift', 'Meta'];
+
+// Accelerator key names that differ from KeyboardEvent.key
+const ACCELERATOR_KEY_ALIASES: Record<string, string> = {
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    return: 'enter',
+    esc: 'escape',
+    space: ' ',
+    plus: '+',
+};
+
+// A key press as Electron's before-input-event describes it; DOM keyboard events map onto it
+export interface KeyPress {
+    key: string;
+    code: string;
+    control: boolean;
+    meta: boolean;
+    alt: boolean;
+    shift: boolean;
+}
+
+function acceleratorModifiers(parts: string[], isDarwin: boolean) {
+    const wants = { control: false, meta: false, alt: false, shift: false };
+    for (const part of parts) {
+        if (part === 'CommandOrControl' || part === 'CmdOrCtrl') {
+            if (isDarwin) wants.meta = true;
+            else wants.control = true;
+        } else if (['Command', 'Cmd', 'Super', 'Meta'].includes(part)) {
+            wants.meta = true;
+        } else if (part === 'Control' || part === 'Ctrl') {
+            wants.control = true;
+        } else if (['Alt', 'Option', 'AltGr'].includes(part)) {
+            wants.alt = true;
+        } else if (part === 'Shift') {
+            wants.shift = true;
+        }
+    }
+    return wants;
 }
 
+// Whether a key press is the key of an accelerator, ignoring its modifiers
+export function matchesAcceleratorKey(press: KeyPress, key: string): boolean {
+    const expected = ACCELERATOR_KEY_ALIASES[key.toLowerCase()] ?? key.toLowerCase();
+    // Compare the physical key for letters and digits, so Shift+1 matches even though the key reads "!"
+    const physical = /^(?:Key|Digit)(\w)$/.exec(press.code)?.[1].toLowerCase();
+    return press.key.toLowerCase() === expected || physical === expected;
+}
+
+// Whether a key press is the key combination described by an Electron accelerator
+export function matchesAccelerator(press: KeyPress, accelerator: string, isDarwin: boolean): boolean {
+    if (!accelerator) return false;
+    if (MODIFIER_KEYS.includes(accelerator)) return press.key === accelerator;
+    const parts = accelerator.split('+');
+    const key = parts.pop()!;
+    const wants = acceleratorModifiers(parts, isDarwin);
+    return (
+        press.control === wants.control &&
+        press.meta === wants.meta &&
+        press.alt === wants.alt &&
+        press.shift === wants.shift &&
+        matchesAcceleratorKey(press, key)
+    );
+}
 
+// One spelling per key combination on a platform, to compare accelerators
+export function normalizeAccelerator(accelerator: string, isDarwin: boolean): string {
+    if (MODIFIER_KEYS.includes(accelerator)) return accelerator;
+    const parts = accelerator.split('+');
+    const key = parts.pop()!;
+    const wants = acceleratorModifiers(parts, isDarwin);
+    const modifiers = (['control', 'meta', 'alt', 'shift'] as const).filter(modifier => wants[modifier]);
+    const named = ACCELERATOR_KEY_ALIASES[key.toLowerCase()];
+    return [...modifiers, named ?? key.toLowerCase()].join('+');
+}
+
+// Checks a value against the shape its field type requires, without running the field's own validation
+export function checkFieldType(field: any, value: any): boolean {
+    switch (field?.type) {
+        case SettingTypes.BOOLEAN:
+            return typeof value === 'boolean';
+        case SettingTypes.NUMBER:
+            return typeof value === 'number' && !isNaN(value);
+        case SettingTypes.RANGE:
+            return typeof value === 'number' && !isNaN(value) && value >= field.min && value <= field.max;
+        case SettingTypes.COLOR:
+            return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        case SettingTypes.HOTKEY:
+            return value === '' || (typeof value === 'string' && isValidAccelerator(value));
+        case SettingTypes.FILE: {
+            if (typeof value !== 'string') return false;
+            if (value === '' || !field.extensions?.length) return true;
+            const extension = value.split('.').pop()?.toLowerCase() ?? '';
+            return field.extensions.map((e: string) => e.toLowerCase()).includes(extension);
+        }
+        case SettingTypes.LIST:
+            return Array.isArray(value) && value.every(item => typeof item === 'string' && (field.itemValidation?.(item) ?? true));
+        default:
+            return value !== undefined;
+    }
+}
+
+// Type check plus the field's own (possibly async) validation
+export async function validateFieldValue(field: any, value: any): Promise<boolean> {
+    if (!checkFieldType(field, value)) return false;
+    return field.validation ? Boolean(await field.validation(value)) : true;
+}
 
 export class settingsSchema extends SettingsSchema {
     static settings = {
@@ -101,6 +292,17 @@ export class settingsSchema extends SettingsSchema {
                         "Beta": "Beta"
                     },
                     validation: (value) => ["Stable", "Beta"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Update Mode",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Ask before downloading updates, or download them in the background while you play and install them when HighLite quits.",
+                    default: "ask",
+                    options: {
+                        "Ask Before Updating": "ask",
+                        "Download In Background": "background"
+                    },
+                    validation: (value) => ["ask", "background"].includes(value as string),
                 } as DropdownField
             ]
         },
@@ -111,12 +313,152 @@ export class settingsSchema extends SettingsSchema {
                     label: "Enable Plugins",
                     type: SettingTypes.BOOLEAN,
                     description: "Allow the use of plugins in Highlite.",
-                    default: true
+                    default: true,
+                    requiresRestart: true
                 } as Field,
                 {
                     label: "Allow Beta Plugins",
                     type: SettingTypes.BOOLEAN,
                     description: "Allow the use of beta plugins in Highlite.",
+                    default: false,
+                    requiresRestart: true
+                } as Field,
+                {
+                    label: "Disable Incompatible Plugins",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Hold back plugins whose game hooks no longer resolve in the current High Spell client.",
+                    default: true,
+                    requiresRestart: true
+                } as Field,
+                {
+                    label: "Per-Character Plugin Data",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Keep plugin data such as bank tabs and drop logs separate for each character.",
+                    default: true,
+                    requiresRestart: true
+                } as Field
+            ]
+        },
+        Profiles: {
+            heading: "Profiles",
+            fields: [
+                {
+                    label: "Always Show Profile Picker",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Ask which profile to use on every launch, even when only one profile exists.",
+                    default: false
+                } as Field
+            ]
+        },
+        Accounts: {
+            heading: "Saved Accounts",
+            fields: [
+                {
+                    label: "Auto-Lock After",
+                    type: SettingTypes.RANGE,
+                    description: "Minutes without using a saved account before they lock again. Only applies once a master password or PIN is set on the login screen. 0 keeps them unlocked until HighLite closes.",
+                    default: 15,
+                    min: 0,
+                    max: 240,
+                    step: 5
+                } as RangeField
+            ]
+        },
+        World: {
+            heading: "World Selection",
+            fields: [
+                {
+                    label: "World Selection",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Which world a new client window starts in. A world picked on the login screen is kept for that window.",
+                    default: "Last Used",
+                    options: {
+                        "Last Used": "Last Used",
+                        "Preferred World": "Preferred World",
+                        "Fastest World": "Fastest World"
+                    },
+                    validation: (value) => ["Last Used", "Preferred World", "Fastest World"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Preferred World",
+                    type: SettingTypes.NUMBER,
+                    description: "World number used when World Selection is set to Preferred World.",
+                    default: 1,
+                    validation: (value) => Number.isInteger(Number(value)) && Number(value) >= 1,
+                } as Field
+            ]
+        },
+        Client: {
+            heading: "Game Client",
+            fields: [
+                {
+                    label: "Pinned Client Version",
+                    type: SettingTypes.STRING,
+                    description: "Leave empty to always run the latest High Spell client. Enter a cached version number to pin it, or \"previous\" to roll back to the newest older cached client.",
+                    default: "",
+                    requiresRestart: true,
+                    validation: (value) => {
+                        const text = String(value ?? '').trim();
+                        return text === '' || text.toLowerCase() === 'previous' || /^[\w.-]+$/.test(text);
+                    }
+                } as Field,
+                {
+                    label: "Cached Client Versions",
+                    type: SettingTypes.NUMBER,
+                    description: "How many downloaded client versions to keep for offline use and rollback.",
+                    default: 3,
+                    validation: (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 20,
+                } as Field
+            ]
+        },
+        Window: {
+            heading: "Client Window",
+            fields: [
+                {
+                    label: "Always On Top",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Keep client windows above other windows. The pin in the title bar toggles it for a single window.",
+                    default: false
+                } as Field,
+                {
+                    label: "Window Opacity",
+                    type: SettingTypes.RANGE,
+                    description: "Opacity of client windows in percent. Not supported on Linux.",
+                    default: 100,
+                    min: 20,
+                    max: 100,
+                    step: 5
+                } as RangeField,
+                {
+                    label: "Lock Aspect Ratio",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Keep the proportions of client windows while resizing them.",
+                    default: false
+                } as Field,
+                {
+                    label: "Overlay Opacity",
+                    type: SettingTypes.RANGE,
+                    description: "Opacity of a client window in overlay mode, the compact mode without title bar that stays on top. Not supported on Linux.",
+                    default: 80,
+                    min: 20,
+                    max: 100,
+                    step: 5
+                } as RangeField,
+                {
+                    label: "Click-Through Overlay",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Let clicks on an overlay window reach the window below it. Hover the top edge of the overlay to get its bar back, or bind \"Toggle Overlay Mode\" as a global keybinding. Not available on Linux.",
+                    default: false
+                } as Field
+            ]
+        },
+        Console: {
+            heading: "Console",
+            fields: [
+                {
+                    label: "Show Debug Messages",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Include debug level messages in the console window.",
                     default: false
                 } as Field
             ]
@@ -138,7 +480,177 @@ export class settingsSchema extends SettingsSchema {
                             return false;
                         }
                     }
-                } as DirectoryField
+                } as DirectoryField,
+
+                {
+                    label: "Screenshot Format",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Image format of saved screenshots.",
+                    default: "png",
+                    options: {
+                        "PNG": "png",
+                        "JPEG": "jpeg",
+                        "WebP": "webp"
+                    },
+                    validation: (value) => ["png", "jpeg", "webp"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Screenshot Quality",
+                    type: SettingTypes.RANGE,
+                    description: "Compression quality for JPEG and WebP screenshots.",
+                    default: 90,
+                    min: 1,
+                    max: 100,
+                    step: 1
+                } as RangeField,
+                {
+                    label: "Capture Area",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Capture the whole window, only the game canvas, or a region you drag out each time.",
+                    default: "window",
+                    options: {
+                        "Whole Window": "window",
+                        "Game Canvas": "canvas",
+                        "Select Region": "region"
+                    },
+                    validation: (value) => ["window", "canvas", "region"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Screenshot Destination",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Save screenshots to the screenshot directory, copy them to the clipboard, or both.",
+                    default: "file",
+                    options: {
+                        "Save to File": "file",
+                        "Copy to Clipboard": "clipboard",
+                        "Save and Copy": "both"
+                    },
+                    validation: (value) => ["file", "clipboard", "both"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Filename Template",
+                    type: SettingTypes.STRING,
+                    description: "Name of saved screenshots. Tokens: {character}, {world}, {event}, {profile}, {date}, {time}, {timestamp}.",
+                    default: "Highlite_Screenshot_{date}_{time}",
+                    validation: (value) => typeof value === 'string' && value.trim() !== '' && !/[\\/:*?"<>|]/.test(value),
+                } as Field,
+                {
+                    label: "Per-Character Folders",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Save screenshots into a subfolder named after the logged in character.",
+                    default: false
+                } as Field,
+                {
+                    label: "Show Capture Toast",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Show a notification with a preview in the client after each screenshot. Click it to open the gallery.",
+                    default: true
+                } as Field
+            ]
+        },
+        "Auto Screenshots": {
+            heading: "Auto Screenshots",
+            fields: [
+                {
+                    label: "Level Ups",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Take a screenshot when a skill levels up.",
+                    default: false
+                } as Field,
+                {
+                    label: "Rare Drops",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Take a screenshot when Drop Log records a rare drop.",
+                    default: false
+                } as Field,
+                {
+                    label: "Rare Drop Items",
+                    type: SettingTypes.LIST,
+                    description: "Drops whose name contains one of these always count as rare.",
+                    default: [] as string[]
+                } as ListField,
+                {
+                    label: "Rare Drop Rate",
+                    type: SettingTypes.NUMBER,
+                    description: "Other drops count as rare when they dropped at most once per this many kills of that monster. 0 disables.",
+                    default: 100,
+                    validation: (value) => Number.isInteger(Number(value)) && Number(value) >= 0,
+                } as Field,
+                {
+                    label: "Hardcore Deaths",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Take a screenshot when Iron Mode records a hardcore death.",
+                    default: true
+                } as Field,
+                {
+                    label: "Trade Requests",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Take a screenshot when another player sends you a trade request.",
+                    default: false
+                } as Field,
+                {
+                    label: "Treasure Loot",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Take a screenshot when a loot menu opens, e.g. for treasure map rewards.",
+                    default: false
+                } as Field,
+                {
+                    label: "Capture Delay",
+                    type: SettingTypes.RANGE,
+                    description: "Milliseconds to wait after an event before capturing.",
+                    default: 500,
+                    min: 0,
+                    max: 3000,
+                    step: 100
+                } as RangeField
+            ]
+        },
+        Clips: {
+            heading: "Clips",
+            fields: [
+                {
+                    label: "Replay Buffer",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Keep recording the game canvas so the last moments can be saved as a clip after they happened.",
+                    default: false
+                } as Field,
+                {
+                    label: "Replay Length",
+                    type: SettingTypes.RANGE,
+                    description: "Seconds of gameplay a saved replay clip covers at least.",
+                    default: 30,
+                    min: 5,
+                    max: 120,
+                    step: 5
+                } as RangeField,
+
+                {
+                    label: "Clip Frame Rate",
+                    type: SettingTypes.RANGE,
+                    description: "Frames per second of clips and recordings.",
+                    default: 30,
+                    min: 10,
+                    max: 60,
+                    step: 5
+                } as RangeField,
+                {
+                    label: "Clip Quality",
+                    type: SettingTypes.DROPDOWN,
+                    description: "Video bitrate of clips and recordings.",
+                    default: "medium",
+                    options: {
+                        "Low": "low",
+                        "Medium": "medium",
+                        "High": "high"
+                    },
+                    validation: (value) => ["low", "medium", "high"].includes(value as string),
+                } as DropdownField,
+                {
+                    label: "Clip On Auto Screenshots",
+                    type: SettingTypes.BOOLEAN,
+                    description: "Also save the replay buffer when an auto screenshot is taken.",
+                    default: false
+                } as Field
             ]
         }
     };
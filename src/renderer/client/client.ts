@@ -20,105 +20,226 @@ import '@iconify/iconify';
 import '@static/css/index.css';
 import '@static/css/overrides.css';
 import '@static/css/item-tooltip.css';
-
-import './helpers/titlebarHelpers.js';
-import { setupWorldSelectorObserver } from './helpers/worldSelectHelper';
+import '@static/css/screenshot.css';
+
+import { reportLoaderError } from './helpers/titlebarHelpers.js';
+import { rememberWorld, resolveBootstrapWorld, setupWorldSelectorObserver } from './helpers/worldSelectHelper';
+import { ClientCache } from './helpers/clientCache';
+import { ClientInjectionError, injectClientBridge, prepareClientBridge } from './helpers/clientBridge';
+import {
+    checkHookCompatibility,
+    loadHookCompatibilityReport,
+    logHookCompatibilityReport,
+    saveHookCompatibilityReport,
+} from './helpers/hookCompatibility';
+import { CharacterDataPlugin, initCharacterData, scopePluginData } from './helpers/characterData';
+import { registerPluginStateHandlers } from './helpers/pluginState';
+import { registerScreenshotRequests } from './helpers/screenshotHelper';
+import { AutoScreenshotPlugin, instrumentAutoScreenshots } from './helpers/autoScreenshots';
+import { registerClipRecorder } from './helpers/clipRecorder';
+import { instrumentKeybindings, registerKeybindings } from './helpers/keybindings';
 
 // Load settings via centralized API (values are available via window.settings)
 await window.settings.getAll();
 
-async function obtainGameClient() {
+// Let the settings window export, import and switch plugin settings and data of this window
+registerPluginStateHandlers();
+registerScreenshotRequests();
+registerClipRecorder();
+registerKeybindings();
+
+// Injection older HighLite versions spliced into the stored client, removed again before the bridge is injected
+const LEGACY_HOOK_HANDLERS =
+    '; document.client = {};' +
+    'document.client.get = function(a) {' +
+    'return eval(a);' +
+    '};' +
+    'document.client.set = function(a, b) {' +
+    "eval(a + ' = ' + b);" +
+    '};';
+
+// Splice the client bridge into the downloaded client source
+function injectHookHandlers(highSpellClient: string): string {
+    try {
+        return injectClientBridge(highSpellClient);
+    } catch (error) {
+        if (!(error instanceof ClientInjectionError)) throw error;
+
+        // Still start the game, plugins relying on document.client will not work until HighLite is updated
+        reportLoaderError(error.message);
+        return highSpellClient;
+    }
+}
+
+interface ObtainedGameClient {
+    source: string;
+    version: string;
+}
+
+const highliteResources = new HighliteResources();
+await highliteResources.init();
+
+async function obtainGameClient(): Promise<ObtainedGameClient> {
     const highspellAssetsURL = 'https://highspell.com:3002/assetsClient';
 
-    const highliteResources = new HighliteResources();
-    await highliteResources.init();
+    const clientCache = new ClientCache(highliteResources);
+    await clientCache.init();
 
-    // Check if clientLastVersion is set
+    // Version whose hooks are currently stored by the Reflector
     const clientLastVersion = await highliteResources.getItem('clientLastVersion');
 
-    // Get Asset JSON to determine latest version
-    const highSpellAssetJSON = await fetch(highspellAssetsURL).then(r => r.json());
-    const remoteLastVersion = highSpellAssetJSON.data.latestClientVersion;
-
     // Load the stored hooks
     const savedHooks = await Reflector.hasSavedHooks();
 
-    // Fetch the latest client
-    async function fetchLatestClient() {
+    const pinnedSetting = String(
+        (await window.settings.get('Client', 'Pinned Client Version')) ?? ''
+    ).trim();
+    const cacheLimit =
+        Number(await window.settings.get('Client', 'Cached Client Versions')) || 3;
+
+    // Get Asset JSON to determine latest version, this may fail when High Spell is unreachable
+    let remoteLastVersion: string | null = null;
+    try {
+        const highSpellAssetJSON = await fetch(highspellAssetsURL).then(r => r.json());
+        remoteLastVersion = String(highSpellAssetJSON.data.latestClientVersion);
+    } catch (error) {
+        console.warn(
+            '[Highlite Loader] Unable to reach the High Spell asset endpoint, falling back to the cached client.',
+            error
+        );
+    }
+
+    // Fetch a specific client version
+    async function fetchClient(version: string) {
 
         // Define the highspell url
-        const highSpellClientURL = `https://highspell.com/js/client/client.${highSpellAssetJSON.data.latestClientVersion}.js`;
+        const highSpellClientURL = `https://highspell.com/js/client/client.${version}.js`;
 
         // Log the url
         console.log(highSpellClientURL);
 
         // Return the new client code
-        return await fetch(highSpellClientURL + '?time=' + Date.now()).then(r => r.text());
+        const response = await fetch(highSpellClientURL + '?time=' + Date.now());
+        if (!response.ok) {
+            throw new Error(`Client request failed with status ${response.status}`);
+        }
+        return await response.text();
     }
 
-    let highSpellClient : string | null = null;
-    if (
-        clientLastVersion == undefined ||
-        clientLastVersion < remoteLastVersion ||
-        !savedHooks
-    ) {
+    // Resolve which version we want to run, "previous" rolls back to the newest older cached client
+    let targetVersion: string | null = remoteLastVersion ?? clientCache.latest()?.version ?? null;
+    if (pinnedSetting.toLowerCase() === 'previous') {
+        const reference = remoteLastVersion ?? clientCache.latest()?.version;
+        const previous = reference ? clientCache.previous(reference) : null;
+        if (previous) {
+            targetVersion = previous.version;
+        } else {
+            console.warn('[Highlite Loader] No previous High Spell Client Version is cached, using the latest.');
+        }
+    } else if (pinnedSetting !== '') {
+        targetVersion = pinnedSetting;
+    }
+
+    console.log(
+        '[Highlite Loader] Cached High Spell Client Versions: ' +
+            (clientCache.versions().map(entry => entry.version).join(', ') || 'none')
+    );
+
+    let highSpellClient: string | null = targetVersion ? await clientCache.get(targetVersion) : null;
+    let freshlyDownloaded = false;
+
+    if (!highSpellClient && targetVersion) {
         console.log(
-            '[Highlite Loader] High Spell Client Version is outdated, updating...'
+            '[Highlite Loader] High Spell Client Version ' + targetVersion + ' is not cached, downloading...'
         );
+        try {
+            highSpellClient = await fetchClient(targetVersion);
+            freshlyDownloaded = true;
+
+            // Keep the pinned version around no matter how many newer clients arrive
+            const keepVersions = pinnedSetting && pinnedSetting.toLowerCase() !== 'previous' ? [pinnedSetting] : [];
+            await clientCache.store(targetVersion, highSpellClient, cacheLimit, keepVersions);
+
+            // The single pre-cache client blob is superseded by the versioned cache
+            await highliteResources.setItem('highSpellClient', null);
+            console.log(
+                '[Highlite Loader] High Spell Client Version ' + targetVersion + ' downloaded.'
+            );
+        } catch (error) {
+            console.error(`[Highlite Loader] Failed to download High Spell Client Version ${targetVersion}:`, error);
+            highSpellClient = null;
+        }
+    }
 
-        // Fetch the latest client
-        highSpellClient = await fetchLatestClient();
+    // Last resort, run whatever we have cached
+    if (!highSpellClient) {
+        const fallback = clientCache.latest();
+        if (fallback) {
+            console.warn(
+                `[Highlite Loader] Falling back to cached High Spell Client Version ${fallback.version}.`
+            );
+            targetVersion = fallback.version;
+            highSpellClient = await clientCache.get(fallback.version);
+        }
+    }
 
-        // Reflect the game hooks
-        await Reflector.loadHooksFromSource(highSpellClient);
+    // Clients stored before the versioned cache existed are already injected, run them as they are
+    if (!highSpellClient) {
+        const legacyClient = await highliteResources.getItem('highSpellClient');
+        if (typeof legacyClient === 'string' && legacyClient.length > 0) {
+            console.warn('[Highlite Loader] Falling back to the previously stored High Spell Client.');
+            await Reflector.loadHooksFromDB();
+            return Promise.resolve({
+                source: injectHookHandlers(legacyClient.replace(LEGACY_HOOK_HANDLERS, '')),
+                version: String(clientLastVersion),
+            });
+        }
+    }
+
+    if (!highSpellClient || !targetVersion) {
+        throw new Error('[Highlite Loader] No High Spell Client is available: the asset endpoint is unreachable and nothing is cached.');
+    }
 
-        // Inject the hook handlers
-        highSpellClient =
-            highSpellClient.substring(0, highSpellClient.length - 9) +
-            '; document.client = {};' +
-            'document.client.get = function(a) {' +
-            'return eval(a);' +
-            '};' +
-            'document.client.set = function(a, b) {' +
-            "eval(a + ' = ' + b);" +
-            '};' +
-            highSpellClient.substring(highSpellClient.length - 9);
-
-        // Save latest version
-        await highliteResources.setItem('highSpellClient', highSpellClient);
-        await highliteResources.setItem('clientLastVersion', remoteLastVersion);
+    if (freshlyDownloaded || !savedHooks || String(clientLastVersion) !== targetVersion) {
         console.log(
-            '[Highlite Loader] High Spell Client Version ' +
-                highSpellAssetJSON.data.latestClientVersion +
-                ' downloaded.'
+            '[Highlite Loader] Reflecting hooks for High Spell Client Version ' + targetVersion + '...'
         );
+
+        // Reflect the game hooks
+        await Reflector.loadHooksFromSource(highSpellClient);
+        await highliteResources.setItem('clientLastVersion', targetVersion);
     } else {
         console.log(
-            '[Highlite Loader] High Spell Client Version is up to date.'
+            '[Highlite Loader] High Spell Client Version ' + targetVersion + ' is up to date.'
         );
 
-        // Load the client from save db
-        highSpellClient = await highliteResources.getItem('highSpellClient');
-
         // Load the hooks from db
         await Reflector.loadHooksFromDB();
 
         // In the background we still bind the latest hook code for dev testing purposes (e.g finding new hooks in a script)
+        const reflectedClient = highSpellClient;
         setTimeout(async() => {
 
             // Reflect the game hooks
-            await Reflector.loadHooksFromSource(highSpellClient || '');
+            await Reflector.loadHooksFromSource(reflectedClient);
         }, 200);
     }
 
-    return Promise.resolve(highSpellClient);
+    return Promise.resolve({
+        source: injectHookHandlers(highSpellClient),
+        version: targetVersion,
+    });
 }
 
-// POST Request to https://highspell.com/game
+// POST Request to https://highspell.com/game for the world this window should start in
+const bootstrapWorld = await resolveBootstrapWorld();
+rememberWorld(bootstrapWorld.serverId, bootstrapWorld.worldName);
+console.log(`[Highlite Loader] Starting in ${bootstrapWorld.worldName}`);
+
 const urlencoded = new URLSearchParams();
-urlencoded.append('submit', 'World+1');
-urlencoded.append('serverid', '1');
-urlencoded.append('serverurl', 'https://server1.highspell.com:8888');
+urlencoded.append('submit', bootstrapWorld.worldName.replace(/\s+/g, '+'));
+urlencoded.append('serverid', bootstrapWorld.serverId);
+urlencoded.append('serverurl', bootstrapWorld.serverUrl);
 
 const response = await fetch('https://highspell.com/game', {
     method: 'POST',
@@ -231,9 +352,11 @@ toElements.forEach(element => {
 setupWorldSelectorObserver();
 
 // Page Setup Completed, Add Game Client Script
+prepareClientBridge();
 const clientScript = document.createElement('script');
 clientScript.id = 'highspellClientScript';
-clientScript.textContent = await obtainGameClient();
+const gameClient = await obtainGameClient();
+clientScript.textContent = gameClient.source;
 document.body.append(clientScript);
 
 // Page Setup Completed, Add User Helper Script
@@ -252,29 +375,67 @@ if (await window.settings.getByName('Enable Plugins')) {
         const pluginModules = import.meta.glob('./plugins/*.js', { eager: true });
 
         for (const [path, moduleLoader] of Object.entries(pluginModules)) {
-            try {
-                const pluginName = path.split('/').pop()?.replace('.js', '') || 'UnknownPlugin';
-                // Dynamically import the plugin module
-                const PluginClass = (moduleLoader as any).default;
-
-                if (PluginClass) {
-                    highlite.pluginManager.registerPlugin(PluginClass);
-                    loadedPlugins.push({
-                        class: PluginClass,
-                        name: pluginName,
-                    });
-                } else {
-                    console.error(`[Highlite] Plugin class not found in module: ${pluginName}`);
-                }
-            } catch (error) {
-                console.error(`[Highlite] Failed to load plugin from ${path}:`, error);
+            const pluginName = path.split('/').pop()?.replace('.js', '') || 'UnknownPlugin';
+            // Dynamically import the plugin module
+            const PluginClass = (moduleLoader as any).default;
+
+            if (PluginClass) {
+                loadedPlugins.push({
+                    class: PluginClass,
+                    name: pluginName,
+                });
+            } else {
+                console.error(`[Highlite] Plugin class not found in module: ${pluginName}`);
             }
         }
     } catch (error) {
         console.error('[Highlite] Error loading plugins:', error);
     }
+
+    // Check plugin hooks against the client we are running on every launch, plugins may have been added or updated
+    let hookReport = checkHookCompatibility(gameClient.version, loadedPlugins);
+    if (hookReport) {
+        await saveHookCompatibilityReport(highliteResources, hookReport);
+    } else {
+        // Nothing to check against, fall back to what was found for plugins that did not change since
+        console.warn('[Highlite] Hook compatibility check skipped, no game hooks are bound yet.');
+        hookReport = await loadHookCompatibilityReport(highliteResources, gameClient.version, loadedPlugins);
+    }
+    if (hookReport) {
+        logHookCompatibilityReport(hookReport);
+    }
+
+    const disableIncompatible = await window.settings.get('Plugins', 'Disable Incompatible Plugins');
+    const perCharacterData = await window.settings.get('Plugins', 'Per-Character Plugin Data');
+    if (perCharacterData) {
+        await initCharacterData(highliteResources);
+    }
+    // Registered first so the character is known before other plugins handle the login
+    highlite.pluginManager.registerPlugin(CharacterDataPlugin);
+    highlite.pluginManager.registerPlugin(AutoScreenshotPlugin);
+    // Which plugins ran in this window, for diagnostics bundles
+    const pluginStatus: Array<{ name: string; status: 'enabled' | 'disabled' | 'failed' }> = [];
+    for (const plugin of loadedPlugins) {
+        const unresolved = hookReport?.plugins.find(entry => entry.plugin === plugin.name)?.unresolved ?? [];
+        if (disableIncompatible && unresolved.length > 0) {
+            console.warn(`[Highlite] Disabled ${plugin.name} for High Spell Client Version ${gameClient.version} because of unresolved hooks.`);
+            pluginStatus.push({ name: plugin.name, status: 'disabled' });
+            continue;
+        }
+
+        try {
+            const PluginClass = instrumentKeybindings(plugin.name, instrumentAutoScreenshots(plugin.name, plugin.class));
+            highlite.pluginManager.registerPlugin(perCharacterData ? scopePluginData(PluginClass) : PluginClass);
+            pluginStatus.push({ name: plugin.name, status: 'enabled' });
+        } catch (error) {
+            console.error(`[Highlite] Failed to load plugin ${plugin.name}:`, error);
+            pluginStatus.push({ name: plugin.name, status: 'failed' });
+        }
+    }
+    window.electron.ipcRenderer.send('diagnostics:plugins', { clientVersion: gameClient.version, plugins: pluginStatus });
     await highlite.start();
 } else {
+    window.electron.ipcRenderer.send('diagnostics:plugins', { clientVersion: gameClient.version, plugins: [] });
     for (const element of document.getElementsByClassName('highlite-ui')) {
         element.remove();
     }
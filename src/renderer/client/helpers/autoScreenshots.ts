@@ -0,0 +1,242 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Automatic screenshots on game events.
+
+    Triggers come from two places: game hooks handled by AutoScreenshotPlugin (level ups, trade
+    requests, loot menus) and events other plugins already detect, which we observe by wrapping
+    their classes at registration (Drop Log's recordDrop, Iron Mode's hardcore death flag).
+    Every trigger has a toggle in the "Auto Screenshots" settings section and its event name ends
+    up in the {event} token of the screenshot filename template.
+*/
+
+import { Plugin } from '@highlite/core';
+import { getCurrentCharacter } from './characterData';
+import { isReplayBufferRunning, saveReplayClip } from './clipRecorder';
+import { takeScreenshot } from './screenshotHelper';
+
+interface AutoScreenshotTrigger {
+    setting: string;
+    // Minimum time between two captures of this trigger, in milliseconds
+    cooldown: number;
+}
+
+const TRIGGERS: Record<string, AutoScreenshotTrigger> = {
+    'level-up': { setting: 'Level Ups', cooldown: 2000 },
+    'rare-drop': { setting: 'Rare Drops', cooldown: 2000 },
+    'hardcore-death': { setting: 'Hardcore Deaths', cooldown: 10000 },
+    'trade-request': { setting: 'Trade Requests', cooldown: 5000 },
+    'treasure-loot': { setting: 'Treasure Loot', cooldown: 2000 },
+};
+
+const lastCaptured = new Map<string, number>();
+
+const slug = (value: unknown) =>
+    String(value ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+
+// Capture for a trigger if it is enabled and not cooling down, detail is appended to the event tag
+export async function triggerAutoScreenshot(trigger: string, detail?: string) {
+    const config = TRIGGERS[trigger];
+    if (!config) return;
+    if (!(await window.settings.get('Auto Screenshots', config.setting))) {
+        return;
+    }
+
+    const now = Date.now();
+    if (now - (lastCaptured.get(trigger) ?? 0) < config.cooldown) return;
+    lastCaptured.set(trigger, now);
+
+    // Give the game a moment to show what happened, e.g. the level up message
+    const delay = Number(
+        await window.settings.get('Auto Screenshots', 'Capture Delay')
+    );
+    await new Promise(resolve => setTimeout(resolve, delay || 0));
+
+    const event = detail ? `${trigger}-${slug(detail)}` : trigger;
+    const result = await takeScreenshot({
+        event,
+        // A region can't be dragged out for an automatic capture
+        area:
+            (await window.settings.get('Screenshots', 'Capture Area')) ===
+            'canvas'
+                ? 'canvas'
+                : 'window',
+    });
+    if (
+        isReplayBufferRunning() &&
+        (await window.settings.get('Clips', 'Clip On Auto Screenshots'))
+    ) {
+        saveReplayClip(event).then(clip => {
+            if (!clip.ok) {
+                console.warn(
+                    `[Highlite] Auto clip (${event}) failed:`,
+                    clip.error
+                );
+            }
+        });
+    }
+    if (result.ok) {
+        console.log(`[Highlite] Auto screenshot (${event}) taken.`);
+    } else {
+        console.warn(
+            `[Highlite] Auto screenshot (${event}) failed:`,
+            result.error
+        );
+    }
+}
+
+// Rare when the item is on the "Rare Drop Items" list, or dropped at most once per "Rare Drop Rate" kills so far
+async function isRareDrop(
+    itemId: number,
+    itemName: string,
+    npcDrops: any
+): Promise<boolean> {
+    const rareItems: string[] =
+        (await window.settings.get('Auto Screenshots', 'Rare Drop Items')) ??
+        [];
+    const name = itemName.toLowerCase();
+    if (
+        rareItems.some(
+            entry => entry.trim() && name.includes(entry.trim().toLowerCase())
+        )
+    ) {
+        return true;
+    }
+
+    const threshold = Number(
+        await window.settings.get('Auto Screenshots', 'Rare Drop Rate')
+    );
+    const kills = npcDrops?.killCount ?? 0;
+    const dropped = npcDrops?.drops?.[itemId]?.totalDropped ?? 0;
+    if (!threshold || kills < threshold || dropped === 0) return false;
+    return dropped / kills <= 1 / threshold;
+}
+
+// Wrap plugin classes whose own events we screenshot, other classes are returned untouched
+export function instrumentAutoScreenshots(
+    pluginName: string,
+    PluginClass: any
+) {
+    if (pluginName === 'Drop_Log' && PluginClass.prototype.recordDrop) {
+        return class extends PluginClass {
+            recordDrop(npc: any, item: any) {
+                super.recordDrop(npc, item);
+                const itemId = item?._def?._id ?? item?._entityTypeId;
+                const itemName =
+                    item?._def?._nameCapitalized ??
+                    item?._def?._name ??
+                    `Item ${itemId}`;
+                isRareDrop(
+                    itemId,
+                    itemName,
+                    this.data?.dropData?.[npc?.defId]
+                ).then(rare => {
+                    if (rare) triggerAutoScreenshot('rare-drop', itemName);
+                });
+            }
+        };
+    }
+
+    if (pluginName === 'iron_mode') {
+        return class extends PluginClass {
+            constructor(...args: any[]) {
+                super(...args);
+                const setting = this.settings?.hasDied;
+                if (!setting) return;
+                // Only a change while a character is logged in is a death, not the stored flag being loaded
+                let value = setting.value;
+                Object.defineProperty(setting, 'value', {
+                    configurable: true,
+                    enumerable: true,
+                    get: () => value,
+                    set: next => {
+                        const died = !value && next === true;
+                        value = next;
+                        if (died && getCurrentCharacter()) {
+                            triggerAutoScreenshot('hardcore-death');
+                        }
+                    },
+                });
+            }
+        };
+    }
+
+    return PluginClass;
+}
+
+// Internal plugin watching the game hooks that trigger automatic screenshots
+export class AutoScreenshotPlugin extends Plugin {
+    pluginName = 'Auto Screenshots';
+    author = 'Highlite';
+    private skillLevels = new Map<number, number>();
+
+    init() {
+        this.log('Initialized');
+    }
+
+    start() {
+        this.log('Started');
+    }
+
+    stop() {
+        this.log('Stopped');
+    }
+
+    private playerSkills(): any[] {
+        const player = this.gameHooks?.EntityManager?.Instance?.MainPlayer;
+        return [
+            ...(player?.Skills?._skills ?? []),
+            ...(player?.Combat?._skills ?? []),
+        ].filter(Boolean);
+    }
+
+    SocketManager_loggedIn() {
+        // Start from the levels the character logs in with
+        this.skillLevels.clear();
+        this.playerSkills().forEach(skill =>
+            this.skillLevels.set(skill._skill, skill._level)
+        );
+    }
+
+    StatsMenuManager_handleSkillExpChanged() {
+        this.playerSkills().forEach(skill => {
+            const previous = this.skillLevels.get(skill._skill);
+            this.skillLevels.set(skill._skill, skill._level);
+            if (previous !== undefined && skill._level > previous) {
+                const skillName =
+                    this.gameLookups?.Skills?.[skill._skill] ?? skill._skill;
+                triggerAutoScreenshot(
+                    'level-up',
+                    `${skillName}-${skill._level}`
+                );
+            }
+        });
+    }
+
+    SocketManager_handleTradeRequestedPacket(players: number[]) {
+        const me = this.gameHooks?.EntityManager?.Instance?.MainPlayer;
+        if (me && players[0] !== me.EntityID && players.includes(me.EntityID)) {
+            triggerAutoScreenshot('trade-request');
+        }
+    }
+
+    SocketManager_handleShowLootMenuPacket() {
+        triggerAutoScreenshot('treasure-loot');
+    }
+}
@@ -0,0 +1,301 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Per-character plugin data.
+
+    Plugins keep their persisted state in this.data. We swap that property for an accessor so that
+    the object Core persists holds one bucket per character, while the plugin only ever sees the
+    bucket of the character that is currently logged in:
+
+        { __highliteCharacterScoped: 1, characters: { [name]: {...} }, shared: {...}, unassigned?: {...} }
+
+    "shared" collects what plugins initialise before anyone logs in and seeds new characters.
+    Data stored before scoping existed is kept in "unassigned" and handed to the first character
+    that logs in.
+
+    Core only ever reads the current character's bucket through plugin.data, so it can't persist
+    the other characters. The whole map of every plugin is therefore saved here, under its own
+    resource key, and takes precedence over whatever Core loads into plugin.data.
+*/
+
+import { HighliteResources, Plugin, SettingsTypes } from '@highlite/core';
+
+export const CHARACTER_CHANGED_EVENT = 'highlite:character-changed';
+const SCOPED_MARKER = '__highliteCharacterScoped';
+const STORAGE_KEY = 'characterData';
+// Plugins change their bucket in place, so the map is also saved periodically
+const SAVE_INTERVAL = 60 * 1000;
+
+interface ScopedData {
+    [SCOPED_MARKER]: 1;
+    characters: Record<string, Record<string, any>>;
+    shared: Record<string, any>;
+    unassigned?: Record<string, any>;
+}
+
+interface ScopedPluginData {
+    pluginName: () => string;
+    raw: () => ScopedData;
+    replace: (data: ScopedData) => void;
+}
+
+let currentCharacter: string | null = null;
+const scopedPlugins = new Set<ScopedPluginData>();
+let resources: HighliteResources | null = null;
+// Maps saved by an earlier session, by plugin name
+let storedData: Record<string, ScopedData> = {};
+
+const clone = <T>(value: T): T => JSON.parse(JSON.stringify(value ?? {}));
+
+export function getCurrentCharacter(): string | null {
+    return currentCharacter;
+}
+
+function normalizeCharacter(name: string | null | undefined): string | null {
+    const trimmed = String(name ?? '').trim();
+    return trimmed ? trimmed.toLowerCase() : null;
+}
+
+function toScopedData(data: any): ScopedData {
+    if (data && data[SCOPED_MARKER] === 1) {
+        data.characters ??= {};
+        data.shared ??= {};
+        return data;
+    }
+
+    const scoped: ScopedData = {
+        [SCOPED_MARKER]: 1,
+        characters: {},
+        shared: {},
+    };
+    if (data && typeof data === 'object' && Object.keys(data).length > 0) {
+        scoped.unassigned = clone(data);
+    }
+    return scoped;
+}
+
+// The bucket a plugin should see right now, creating or migrating it on first use
+function bucketFor(scoped: ScopedData): Record<string, any> {
+    if (!currentCharacter) {
+        return scoped.unassigned ?? scoped.shared;
+    }
+
+    if (!scoped.characters[currentCharacter]) {
+        if (scoped.unassigned) {
+            // Migration: existing data belongs to the first character that logs in
+            scoped.characters[currentCharacter] = scoped.unassigned;
+            delete scoped.unassigned;
+        } else {
+            scoped.characters[currentCharacter] = {};
+        }
+    }
+
+    // Seed anything the plugin initialised before login that this character doesn't have yet
+    const bucket = scoped.characters[currentCharacter];
+    for (const [key, value] of Object.entries(scoped.shared)) {
+        if (!(key in bucket)) bucket[key] = clone(value);
+    }
+    return bucket;
+}
+
+// Load the maps saved by earlier sessions and keep saving them, before any plugin is scoped
+export async function initCharacterData(
+    highliteResources: HighliteResources
+): Promise<void> {
+    resources = highliteResources;
+    const stored = await resources.getItem(STORAGE_KEY);
+    storedData = stored && typeof stored === 'object' ? stored : {};
+
+    setInterval(() => saveCharacterData(), SAVE_INTERVAL);
+    window.addEventListener('pagehide', () => saveCharacterData());
+}
+
+// Save the map of every scoped plugin, including the characters that are not logged in
+export async function saveCharacterData(): Promise<void> {
+    if (!resources) return;
+    const data: Record<string, ScopedData> = { ...storedData };
+    scopedPlugins.forEach(entry => {
+        data[entry.pluginName()] = entry.raw();
+    });
+    try {
+        await resources.setItem(STORAGE_KEY, data);
+    } catch (error) {
+        console.error(
+            '[Highlite] Failed to save per-character plugin data:',
+            error
+        );
+    }
+}
+
+// Take over the maps restored into storage from a settings bundle or profile
+export async function reloadCharacterData(): Promise<void> {
+    if (!resources) return;
+    const stored = await resources.getItem(STORAGE_KEY);
+    storedData = stored && typeof stored === 'object' ? stored : {};
+    scopedPlugins.forEach(entry =>
+        entry.replace(toScopedData(storedData[entry.pluginName()]))
+    );
+}
+
+function bindCharacterScopedData(plugin: any) {
+    const pluginName = () => plugin.pluginName ?? plugin.constructor?.name;
+    const stored = storedData[pluginName()];
+    let scoped = stored ? toScopedData(stored) : toScopedData(plugin.data);
+    Object.defineProperty(plugin, 'data', {
+        configurable: true,
+        enumerable: true,
+        get: () => bucketFor(scoped),
+        set: value => {
+            // What Core loads is only the bucket it last read, the saved map already holds it
+            if (!stored || value?.[SCOPED_MARKER] === 1) {
+                scoped = toScopedData(value);
+            }
+        },
+    });
+    scopedPlugins.add({
+        pluginName,
+        raw: () => scoped,
+        replace: data => {
+            scoped = data;
+        },
+    });
+}
+
+// Wrap a plugin class so its data is scoped to the logged in character
+export function scopePluginData<T extends new (...args: any[]) => any>(
+    PluginClass: T
+): T {
+    return class extends PluginClass {
+        constructor(...args: any[]) {
+            super(...args);
+            bindCharacterScopedData(this);
+        }
+    };
+}
+
+export function setCurrentCharacter(name: string | null) {
+    const normalized = normalizeCharacter(name);
+    if (normalized === currentCharacter) return;
+    // Keep what the previous character changed before its bucket is swapped out
+    saveCharacterData();
+    currentCharacter = normalized;
+    console.log(
+        normalized
+            ? `[Highlite] Plugin data scoped to character ${normalized}`
+            : '[Highlite] Plugin data released, no character logged in'
+    );
+    document.dispatchEvent(
+        new CustomEvent(CHARACTER_CHANGED_EVENT, {
+            detail: { character: normalized },
+        })
+    );
+}
+
+export function listCharacters(): string[] {
+    const names = new Set<string>();
+    scopedPlugins.forEach(entry =>
+        Object.keys(entry.raw().characters).forEach(name => names.add(name))
+    );
+    return Array.from(names).sort();
+}
+
+// Copy every plugin's data (or only the named plugins') from one character to another
+export function copyCharacterData(
+    from: string,
+    to: string,
+    pluginNames?: string[]
+): number {
+    const source = normalizeCharacter(from);
+    const target = normalizeCharacter(to);
+    if (!source || !target || source === target) return 0;
+
+    let copied = 0;
+    scopedPlugins.forEach(entry => {
+        if (pluginNames && !pluginNames.includes(entry.pluginName())) return;
+        const scoped = entry.raw();
+        const data = scoped.characters[source];
+        if (!data) return;
+        scoped.characters[target] = clone(data);
+        copied++;
+    });
+    if (copied > 0) saveCharacterData();
+    return copied;
+}
+
+// Internal plugin that follows logins and exposes the layout copy tool in the plugin panel
+export class CharacterDataPlugin extends Plugin {
+    pluginName = 'Character Data';
+    author = 'Highlite';
+
+    constructor() {
+        super();
+        this.settings.copyFrom = {
+            text: 'Copy From Character',
+            type: SettingsTypes.text,
+            value: '',
+            callback: () => Function('NOOP'),
+        };
+        this.settings.copyTo = {
+            text: 'Copy To Character',
+            type: SettingsTypes.text,
+            value: '',
+            callback: () => Function('NOOP'),
+        };
+        this.settings.copyLayout = {
+            text: 'Copy Plugin Data',
+            type: SettingsTypes.button,
+            value: 'Copy',
+            callback: () => this.copyLayout(),
+        };
+    }
+
+    init() {
+        this.log('Initialized');
+    }
+
+    start() {
+        this.log('Started');
+    }
+
+    stop() {
+        this.log('Stopped');
+    }
+
+    SocketManager_loggedIn() {
+        const mainPlayer = this.gameHooks?.EntityManager?.Instance?.MainPlayer;
+        const loginInput = document.querySelector<HTMLInputElement>(
+            '#login-menu-username'
+        );
+        setCurrentCharacter(mainPlayer?._name ?? loginInput?.value ?? null);
+    }
+
+    SocketManager_handleLoggedOut() {
+        setCurrentCharacter(null);
+    }
+
+    copyLayout() {
+        const from = String(this.settings.copyFrom?.value ?? '');
+        const to = String(this.settings.copyTo?.value ?? '');
+        const copied = copyCharacterData(from, to);
+        if (copied === 0) {
+            console.warn(
+                `[Highlite] Nothing copied from "${from}" to "${to}". Known characters: ${listCharacters().join(', ') || 'none'}`
+            );
+            return;
+        }
+        this.log(`Copied data of ${copied} plugins from ${from} to ${to}`);
+    }
+}
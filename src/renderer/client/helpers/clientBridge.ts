@@ -0,0 +1,516 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Structured bridge between HighLite and the symbols declared inside the High Spell client.
+
+    Instead of splicing an eval based get/set into the client, we scan the client source for the
+    symbols declared directly in the client's outer function and generate one getter/setter pair
+    per symbol at its end. Every such symbol is exposed, there is no list of allowed names. The
+    result is document.client, which can only reach those symbols (and properties below them)
+    and never evaluates strings.
+*/
+
+export type ClientSymbolAccessor = [() => unknown, (value: unknown) => void];
+
+export interface ClientBridge {
+    // Whether the client declares a symbol with this name
+    has(name: string): boolean;
+    // Read a symbol, or a dotted path below it (e.g. "Foo.Instance")
+    get<T = unknown>(path: string): T | undefined;
+    // Assign the result of an expression to a symbol or a dotted path below it, like the eval
+    // based set did. Only literals and dotted paths are understood, see resolveExpression.
+    // Returns false if it could not be set
+    set(path: string, expression: string): boolean;
+    // Assign a value to a symbol or a dotted path below it. Returns false if it could not be set
+    setValue(path: string, value: unknown): boolean;
+    // Every symbol name the bridge exposes
+    symbols(): string[];
+}
+
+declare global {
+    interface Document {
+        client?: ClientBridge;
+    }
+}
+
+export class ClientInjectionError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ClientInjectionError';
+    }
+}
+
+const BIND_FUNCTION = '__highliteBindClientBridge';
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Names that can't be assigned (or referenced) as plain identifiers
+const RESERVED = new Set([
+    'arguments',
+    'await',
+    'break',
+    'case',
+    'catch',
+    'class',
+    'const',
+    'continue',
+    'debugger',
+    'default',
+    'delete',
+    'do',
+    'else',
+    'enum',
+    'eval',
+    'export',
+    'extends',
+    'false',
+    'finally',
+    'for',
+    'function',
+    'if',
+    'implements',
+    'import',
+    'in',
+    'instanceof',
+    'interface',
+    'let',
+    'new',
+    'null',
+    'package',
+    'private',
+    'protected',
+    'public',
+    'return',
+    'static',
+    'super',
+    'switch',
+    'this',
+    'throw',
+    'true',
+    'try',
+    'typeof',
+    'undefined',
+    'var',
+    'void',
+    'while',
+    'with',
+    'yield',
+]);
+
+// Matches the end of the client's outer IIFE, e.g. "})();", "}();" or "})(window);\n//# sourceMappingURL=..."
+const INJECTION_POINT =
+    /\}\s*\)?\s*\([\w$,\s]*\)\s*\)?\s*;?\s*(?:\/\/[#@]\s*sourceMappingURL=\S*\s*)?$/;
+
+// Tokens after which a "/" starts a regular expression rather than a division
+const REGEX_PRECEDERS = new Set([
+    '',
+    '(',
+    ',',
+    '=',
+    ':',
+    '[',
+    '!',
+    '&',
+    '|',
+    '?',
+    '{',
+    '}',
+    ';',
+    '+',
+    '-',
+    '*',
+    '%',
+    '<',
+    '>',
+    '~',
+    '^',
+    'return',
+    'typeof',
+    'case',
+    'do',
+    'else',
+    'in',
+    'of',
+    'new',
+    'delete',
+    'void',
+    'throw',
+    'instanceof',
+]);
+
+// Tokens after which a function or class keyword starts a declaration rather than an expression
+const STATEMENT_START = new Set(['', ';', '{', '}']);
+
+function skipString(source: string, start: number): number {
+    const quote = source[start];
+    let i = start + 1;
+    while (i < source.length && source[i] !== quote) {
+        i += source[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+function skipRegex(source: string, start: number): number {
+    let i = start + 1;
+    let inClass = false;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '/' && !inClass) break;
+        else if (char === '\n') break;
+        i++;
+    }
+    i++;
+    while (i < source.length && /[a-z]/i.test(source[i])) i++;
+    return i;
+}
+
+// Skip template literal text up to its end or its next "${", whichever comes first
+function skipTemplate(
+    source: string,
+    start: number
+): { end: number; interpolation: boolean } {
+    let i = start;
+    while (i < source.length) {
+        if (source[i] === '\\') {
+            i += 2;
+        } else if (source[i] === '`') {
+            return { end: i + 1, interpolation: false };
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+            return { end: i + 2, interpolation: true };
+        } else {
+            i++;
+        }
+    }
+    return { end: i, interpolation: false };
+}
+
+// Collect the symbols declared directly in the scope the source ends in, which for the client
+// is the body of its outer function. Anything nested deeper (locals of inner functions, loop
+// variables, object keys) or only mentioned in strings, comments and regexes is left out, so
+// every accessor generated for the list refers to a binding that exists at the injection point.
+export function collectClientSymbols(source: string): string[] {
+    const declarations: { name: string; depth: number }[] = [];
+    // Bracket depth each open "${" of a template literal was found at
+    const templates: number[] = [];
+    let depth = 0;
+    // Depths of the var/let/const statements being read, innermost last
+    const declaring: number[] = [];
+    let expectName = false;
+    let expectDeclarationName = false;
+    let last = '';
+    let i = 0;
+
+    const declare = (name: string) => declarations.push({ name, depth });
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '/' && next === '/') {
+            const end = source.indexOf('\n', i);
+            i = end === -1 ? source.length : end;
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (char === '"' || char === "'") {
+            i = skipString(source, i);
+            last = 'literal';
+        } else if (char === '`') {
+            const template = skipTemplate(source, i + 1);
+            i = template.end;
+            if (template.interpolation) {
+                templates.push(depth);
+                depth++;
+                last = '{';
+            } else {
+                last = 'literal';
+            }
+        } else if (char === '/' && REGEX_PRECEDERS.has(last)) {
+            i = skipRegex(source, i);
+            last = 'literal';
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const word = /^[\w$]+/.exec(source.substring(i, i + 256))![0];
+            i += word.length;
+            if (expectName) {
+                declare(word);
+                expectName = false;
+            } else if (expectDeclarationName) {
+                declare(word);
+                expectDeclarationName = false;
+            } else if (
+                (word === 'var' || word === 'let' || word === 'const') &&
+                STATEMENT_START.has(last)
+            ) {
+                declaring.push(depth);
+                expectName = true;
+            } else if (
+                (word === 'function' || word === 'class') &&
+                (STATEMENT_START.has(last) || last === 'async')
+            ) {
+                expectDeclarationName = true;
+            }
+            last = word;
+        } else if (/[0-9]/.test(char)) {
+            i += /^[\w.]+/.exec(source.substring(i, i + 64))![0].length;
+            last = 'literal';
+        } else {
+            i++;
+            // Destructuring patterns are not exposed
+            expectName = false;
+            if (char !== '*') expectDeclarationName = false;
+
+            if (char === '{' || char === '(' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ')' || char === ']') {
+                if (
+                    char === '}' &&
+                    templates[templates.length - 1] === depth - 1
+                ) {
+                    // End of a template interpolation, continue with the template text
+                    templates.pop();
+                    depth--;
+                    const template = skipTemplate(source, i);
+                    i = template.end;
+                    if (template.interpolation) {
+                        templates.push(depth);
+                        depth++;
+                        last = '{';
+                        continue;
+                    }
+                    last = 'literal';
+                    continue;
+                }
+                depth--;
+                while (declaring[declaring.length - 1] > depth) {
+                    declaring.pop();
+                }
+            } else if (
+                char === ',' &&
+                depth === declaring[declaring.length - 1]
+            ) {
+                // Minified bundles chain declarations, "var a=1,b=2"
+                expectName = true;
+            } else if (
+                char === ';' &&
+                depth === declaring[declaring.length - 1]
+            ) {
+                declaring.pop();
+            }
+            last = char;
+        }
+    }
+
+    const names = new Set<string>();
+    for (const declaration of declarations) {
+        if (declaration.depth === depth && !RESERVED.has(declaration.name)) {
+            names.add(declaration.name);
+        }
+    }
+    return Array.from(names);
+}
+
+// Build the accessor table that gets spliced into the client
+function createBindingSource(symbols: string[]): string {
+    // The setter's parameter would shadow a client symbol of the same name
+    let param = '__highliteValue';
+    while (symbols.includes(param)) param += '_';
+    const entries = symbols
+        .map(
+            name =>
+                `${JSON.stringify(name)}:[function(){return ${name}},function(${param}){${name}=${param}}]`
+        )
+        .join(',');
+    return `;document.${BIND_FUNCTION}&&document.${BIND_FUNCTION}({${entries}});`;
+}
+
+// Splice the accessor table into the client source, throwing if the injection point is missing
+export function injectClientBridge(source: string): string {
+    const match = INJECTION_POINT.exec(source);
+    if (!match) {
+        throw new ClientInjectionError(
+            'Could not find the end of the High Spell client bundle to inject the HighLite client bridge. The client format may have changed.'
+        );
+    }
+
+    const symbols = collectClientSymbols(source.substring(0, match.index));
+    if (symbols.length === 0) {
+        throw new ClientInjectionError(
+            'The High Spell client bundle does not declare any symbols the HighLite client bridge can expose.'
+        );
+    }
+
+    return (
+        source.substring(0, match.index) +
+        createBindingSource(symbols) +
+        source.substring(match.index)
+    );
+}
+
+function splitPath(path: string): string[] | null {
+    if (typeof path !== 'string') return null;
+    const parts = path.split('.');
+    return parts.every(part => IDENTIFIER.test(part)) ? parts : null;
+}
+
+// Page globals a set expression may refer to besides the client symbols
+const PAGE_ROOTS = new Set(['window', 'document', 'globalThis']);
+
+function createClientBridge(
+    accessors: Record<string, ClientSymbolAccessor>
+): ClientBridge {
+    const table = new Map(Object.entries(accessors));
+    const warned = new Set<string>();
+
+    const warnOnce = (path: string, reason: string) => {
+        if (warned.has(path)) return;
+        warned.add(path);
+        console.warn(`[Highlite Client Bridge] ${reason}: ${path}`);
+    };
+
+    const readSymbol = (name: string): unknown => {
+        try {
+            return table.get(name)![0]();
+        } catch {
+            // Declared in a scope that isn't visible from the injection point, or not initialized yet
+            return undefined;
+        }
+    };
+
+    const read = (path: string): unknown => {
+        const parts = splitPath(path);
+        if (!parts) {
+            warnOnce(String(path), 'Rejected malformed symbol path');
+            return undefined;
+        }
+        if (!table.has(parts[0])) {
+            warnOnce(path, 'Unknown client symbol');
+            return undefined;
+        }
+        let value: any = readSymbol(parts[0]);
+        for (const part of parts.slice(1)) {
+            if (value == null) return undefined;
+            value = value[part];
+        }
+        return value;
+    };
+
+    const write = (path: string, value: unknown): boolean => {
+        const parts = splitPath(path);
+        if (!parts) {
+            warnOnce(String(path), 'Rejected malformed symbol path');
+            return false;
+        }
+        const accessor = table.get(parts[0]);
+        if (!accessor) {
+            warnOnce(path, 'Unknown client symbol');
+            return false;
+        }
+        try {
+            if (parts.length === 1) {
+                accessor[1](value);
+                return true;
+            }
+            let target: any = accessor[0]();
+            for (const part of parts.slice(1, -1)) {
+                if (target == null) return false;
+                target = target[part];
+            }
+            if (target == null) return false;
+            target[parts[parts.length - 1]] = value;
+            return true;
+        } catch (error) {
+            console.warn(
+                `[Highlite Client Bridge] Failed to set ${path}:`,
+                error
+            );
+            return false;
+        }
+    };
+
+    // The right hand side of the eval based set: a JSON literal, undefined, or a dotted path to
+    // a client symbol or below window/document. Anything else would need eval and is refused.
+    const resolveExpression = (
+        expression: string
+    ): { ok: boolean; value?: unknown } => {
+        const text = String(expression).trim();
+        if (text === 'undefined') return { ok: true, value: undefined };
+        try {
+            return { ok: true, value: JSON.parse(text) };
+        } catch {
+            // Not a literal
+        }
+        const parts = splitPath(text);
+        if (parts && table.has(parts[0])) {
+            return { ok: true, value: read(text) };
+        }
+        if (parts && PAGE_ROOTS.has(parts[0])) {
+            let value: any = parts[0] === 'document' ? document : globalThis;
+            for (const part of parts.slice(1)) {
+                if (value == null) return { ok: true, value: undefined };
+                value = value[part];
+            }
+            return { ok: true, value };
+        }
+        return { ok: false };
+    };
+
+    return Object.freeze({
+        has(name: string): boolean {
+            return table.has(name);
+        },
+        get<T = unknown>(path: string): T | undefined {
+            return read(path) as T | undefined;
+        },
+        set(path: string, expression: string): boolean {
+            const resolved = resolveExpression(expression);
+            if (!resolved.ok) {
+                warnOnce(
+                    `${path} = ${expression}`,
+                    'Rejected expression, use setValue to assign values'
+                );
+                return false;
+            }
+            return write(path, resolved.value);
+        },
+        setValue(path: string, value: unknown): boolean {
+            return write(path, value);
+        },
+        symbols(): string[] {
+            return Array.from(table.keys());
+        },
+    });
+}
+
+// Must be called before the injected client script runs so it can hand over its accessor table
+export function prepareClientBridge(): void {
+    Object.defineProperty(document, BIND_FUNCTION, {
+        configurable: true,
+        value: (accessors: Record<string, ClientSymbolAccessor>) => {
+            delete (document as any)[BIND_FUNCTION];
+            document.client = createClientBridge(accessors);
+            console.log(
+                `[Highlite Client Bridge] Bound ${Object.keys(accessors).length} client symbols.`
+            );
+        },
+    });
+}
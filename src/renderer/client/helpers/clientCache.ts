@@ -0,0 +1,118 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Versioned cache of downloaded High Spell clients.
+
+    Every client we download is stored un-injected under its own key, alongside a small manifest
+    describing which versions are available. Hooks are not stored per version; they are derived
+    again with Reflector.loadHooksFromSource whenever we switch to a different cached client, so
+    they always match the source that is actually running.
+*/
+
+import { HighliteResources } from '@highlite/core';
+
+export interface CachedClientEntry {
+    version: string;
+    downloadedAt: number;
+}
+
+const MANIFEST_KEY = 'clientCacheManifest';
+const sourceKey = (version: string) => `clientCache:${version}`;
+
+// Client versions are usually plain numbers, but compare defensively in case that ever changes
+export function compareClientVersions(a: string, b: string): number {
+    const numA = Number(a);
+    const numB = Number(b);
+    if (!isNaN(numA) && !isNaN(numB)) {
+        return numA - numB;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+export class ClientCache {
+    private resources: HighliteResources;
+    private manifest: CachedClientEntry[] = [];
+
+    constructor(resources: HighliteResources) {
+        this.resources = resources;
+    }
+
+    async init(): Promise<void> {
+        const stored = await this.resources.getItem(MANIFEST_KEY);
+        this.manifest = Array.isArray(stored) ? stored : [];
+    }
+
+    // Cached versions, newest first
+    versions(): CachedClientEntry[] {
+        return [...this.manifest].sort((a, b) =>
+            compareClientVersions(b.version, a.version)
+        );
+    }
+
+    latest(): CachedClientEntry | null {
+        return this.versions()[0] ?? null;
+    }
+
+    // Newest cached version that is older than the given one
+    previous(version: string): CachedClientEntry | null {
+        return (
+            this.versions().find(
+                entry => compareClientVersions(entry.version, version) < 0
+            ) ?? null
+        );
+    }
+
+    has(version: string): boolean {
+        return this.manifest.some(entry => entry.version === version);
+    }
+
+    async get(version: string): Promise<string | null> {
+        if (!this.has(version)) return null;
+        const source = await this.resources.getItem(sourceKey(version));
+        return typeof source === 'string' && source.length > 0 ? source : null;
+    }
+
+    // Store a client and prune the oldest versions beyond the limit. Kept versions are never pruned.
+    async store(
+        version: string,
+        source: string,
+        limit: number,
+        keep: string[] = []
+    ): Promise<void> {
+        await this.resources.setItem(sourceKey(version), source);
+        this.manifest = this.manifest.filter(
+            entry => entry.version !== version
+        );
+        this.manifest.push({ version, downloadedAt: Date.now() });
+
+        const maxEntries = Math.max(1, Math.floor(limit) || 1);
+        const removable = this.versions().filter(
+            entry => entry.version !== version && !keep.includes(entry.version)
+        );
+        while (this.manifest.length > maxEntries && removable.length > 0) {
+            const oldest = removable.pop()!;
+            this.manifest = this.manifest.filter(
+                entry => entry.version !== oldest.version
+            );
+            await this.resources.setItem(sourceKey(oldest.version), null);
+            console.log(
+                `[Highlite Loader] Removed cached High Spell Client Version ${oldest.version}.`
+            );
+        }
+
+        await this.resources.setItem(MANIFEST_KEY, this.manifest);
+    }
+}
@@ -0,0 +1,267 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Video clips of the game canvas.
+
+    A WebM file can't be cut from the middle of a MediaRecorder stream, only the first chunk
+    carries the header. The replay buffer therefore runs overlapping recorders: a new one starts
+    every "Replay Length" seconds and the older of the two is always between one and two lengths
+    long, so saving a replay stops that one and writes it out whole. Longer recordings use a
+    recorder of their own, started and stopped from the titlebar.
+*/
+
+import { getCurrentCharacter } from './characterData';
+import { GAME_CANVAS_SELECTOR } from './screenshotHelper';
+import { getCurrentWorld } from './worldSelectHelper';
+
+interface RecordingSegment {
+    recorder: MediaRecorder;
+    chunks: Blob[];
+}
+
+export interface ClipResult {
+    ok: boolean;
+    path?: string;
+    error?: string;
+}
+
+const BITRATES: Record<string, number> = {
+    low: 2_500_000,
+    medium: 5_000_000,
+    high: 8_000_000,
+};
+const REPLAY_SETTINGS = [
+    'Replay Buffer',
+    'Replay Length',
+    'Clip Frame Rate',
+    'Clip Quality',
+];
+// Wait this long between looks for the game canvas, it only exists once the game is loaded
+const CANVAS_RETRY_INTERVAL = 2000;
+// The settings window applies every changed field at once, restart the buffer once for all of them
+const SETTINGS_DEBOUNCE = 500;
+
+let replayCanvas: HTMLCanvasElement | null = null;
+let replayStream: MediaStream | null = null;
+let replaySegments: RecordingSegment[] = [];
+let replayTimer: ReturnType<typeof setInterval> | undefined;
+let canvasRetryTimer: ReturnType<typeof setTimeout> | undefined;
+// Bumped on every start and stop, a start that was overtaken while it waited for settings gives up
+let replayGeneration = 0;
+let recording: RecordingSegment | null = null;
+
+function gameCanvas(): HTMLCanvasElement | null {
+    const canvas = document.querySelector(GAME_CANVAS_SELECTOR);
+    return canvas instanceof HTMLCanvasElement ? canvas : null;
+}
+
+function mimeType(): string {
+    return (
+        ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(
+            type => MediaRecorder.isTypeSupported(type)
+        ) ?? 'video/webm'
+    );
+}
+
+async function recorderOptions(): Promise<{
+    frameRate: number;
+    options: MediaRecorderOptions;
+}> {
+    const frameRate =
+        Number(await window.settings.get('Clips', 'Clip Frame Rate')) || 30;
+    const quality = await window.settings.get('Clips', 'Clip Quality');
+    return {
+        frameRate,
+        options: {
+            mimeType: mimeType(),
+            videoBitsPerSecond: BITRATES[quality] ?? BITRATES.medium,
+        },
+    };
+}
+
+function startSegment(
+    stream: MediaStream,
+    options: MediaRecorderOptions
+): RecordingSegment {
+    const segment: RecordingSegment = {
+        recorder: new MediaRecorder(stream, options),
+        chunks: [],
+    };
+    segment.recorder.ondataavailable = event => {
+        if (event.data.size > 0) segment.chunks.push(event.data);
+    };
+    // Regular chunks keep a stopped segment from having to flush everything at once
+    segment.recorder.start(1000);
+    return segment;
+}
+
+// Stop a segment and resolve with everything it recorded
+function finishSegment(segment: RecordingSegment): Promise<Blob> {
+    return new Promise(resolve => {
+        const done = () =>
+            resolve(
+                new Blob(segment.chunks, {
+                    type: segment.recorder.mimeType || 'video/webm',
+                })
+            );
+        if (segment.recorder.state === 'inactive') {
+            done();
+            return;
+        }
+        segment.recorder.addEventListener('stop', done, { once: true });
+        segment.recorder.stop();
+    });
+}
+
+async function saveBlob(blob: Blob, event: string): Promise<ClipResult> {
+    if (blob.size === 0) return { ok: false, error: 'Nothing was recorded' };
+    return window.screenshot.saveClip(
+        new Uint8Array(await blob.arrayBuffer()),
+        {
+            event,
+            character: getCurrentCharacter(),
+            world: getCurrentWorld(),
+        }
+    );
+}
+
+export function isReplayBufferRunning(): boolean {
+    return replayStream !== null;
+}
+
+export async function startReplayBuffer() {
+    stopReplayBuffer();
+    const generation = replayGeneration;
+    const canvas = gameCanvas();
+    if (!canvas) {
+        canvasRetryTimer = setTimeout(startReplayBuffer, CANVAS_RETRY_INTERVAL);
+        return;
+    }
+
+    const { frameRate, options } = await recorderOptions();
+    const length =
+        (Number(await window.settings.get('Clips', 'Replay Length')) || 30) *
+        1000;
+    if (generation !== replayGeneration) return;
+
+    replayCanvas = canvas;
+    replayStream = canvas.captureStream(frameRate);
+    replaySegments = [startSegment(replayStream, options)];
+    replayTimer = setInterval(() => {
+        if (!replayStream) return;
+        // The game replaced its canvas, e.g. after logging out, follow it
+        if (!replayCanvas?.isConnected) {
+            startReplayBuffer();
+            return;
+        }
+        replaySegments.push(startSegment(replayStream, options));
+        while (replaySegments.length > 2) {
+            const oldest = replaySegments.shift()!;
+            oldest.recorder.stop();
+        }
+    }, length);
+    console.log(
+        `[Highlite] Replay buffer started (${length / 1000}s at ${frameRate} fps).`
+    );
+}
+
+export function stopReplayBuffer() {
+    replayGeneration++;
+    clearTimeout(canvasRetryTimer);
+    clearInterval(replayTimer);
+    replaySegments.forEach(segment => {
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+    });
+    replaySegments = [];
+    replayStream?.getTracks().forEach(track => track.stop());
+    replayStream = null;
+    replayCanvas = null;
+}
+
+// Save the last moments from the replay buffer, the buffer keeps running from the newer segment
+export async function saveReplayClip(event = 'clip'): Promise<ClipResult> {
+    if (!replayStream || replaySegments.length === 0) {
+        return { ok: false, error: 'The replay buffer is not running' };
+    }
+    const stream = replayStream;
+    const oldest = replaySegments.shift()!;
+    if (replaySegments.length === 0) {
+        const { options } = await recorderOptions();
+        // Unless the buffer restarted in the meantime
+        if (replayStream === stream && replaySegments.length === 0) {
+            replaySegments.push(startSegment(stream, options));
+        }
+    }
+    return saveBlob(await finishSegment(oldest), event);
+}
+
+export function isRecording(): boolean {
+    return recording !== null;
+}
+
+export async function startRecording(): Promise<ClipResult> {
+    if (recording) return { ok: true };
+    const canvas = gameCanvas();
+    if (!canvas) return { ok: false, error: 'Game canvas not found' };
+    const { frameRate, options } = await recorderOptions();
+    recording = startSegment(canvas.captureStream(frameRate), options);
+    return { ok: true };
+}
+
+export async function stopRecording(): Promise<ClipResult> {
+    if (!recording) return { ok: false, error: 'Not recording' };
+    const segment = recording;
+    recording = null;
+    const blob = await finishSegment(segment);
+    segment.recorder.stream.getTracks().forEach(track => track.stop());
+    return saveBlob(blob, 'recording');
+}
+
+// Follow the replay buffer settings and save clips when the main process asks, e.g. on the clip hotkey
+export function registerClipRecorder() {
+    window.electron.ipcRenderer.on(
+        'clip:request',
+        async (_event, request: { event?: string }) => {
+            const result = await saveReplayClip(request?.event);
+            if (result.ok) {
+                console.log(`[Highlite] Clip saved to ${result.path}`);
+            } else {
+                console.error('Clip failed:', result.error);
+            }
+        }
+    );
+
+    // Restarting drops what is buffered, so only do it for settings the recorders use
+    const applyReplaySettings = async () => {
+        if (await window.settings.get('Clips', 'Replay Buffer')) {
+            startReplayBuffer();
+        } else {
+            stopReplayBuffer();
+        }
+    };
+    let applyTimer: ReturnType<typeof setTimeout> | undefined;
+    const scheduleApply = () => {
+        clearTimeout(applyTimer);
+        applyTimer = setTimeout(applyReplaySettings, SETTINGS_DEBOUNCE);
+    };
+    REPLAY_SETTINGS.forEach(key =>
+        window.settings.onChange('Clips', key, scheduleApply)
+    );
+
+    window.settings.get('Clips', 'Replay Buffer').then(enabled => {
+        if (enabled) startReplayBuffer();
+    });
+}
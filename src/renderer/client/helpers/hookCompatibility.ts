@@ -0,0 +1,161 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Hook compatibility self-test.
+
+    Plugins subscribe to game hooks by declaring methods named <ClassName>_<methodName>
+    (e.g. GameLoop_update or SocketManager_loggedIn). After the Reflector has bound the hooks of
+    a newly downloaded client, we check every plugin's hook methods against the bound game
+    classes and report the ones that no longer resolve, so affected plugins can be held back
+    instead of throwing every frame.
+*/
+
+import { HighliteResources } from '@highlite/core';
+
+export interface PluginHookReport {
+    plugin: string;
+    hooks: string[];
+    unresolved: string[];
+}
+
+export interface HookCompatibilityReport {
+    clientVersion: string;
+    checkedAt: number;
+    plugins: PluginHookReport[];
+}
+
+const HOOK_METHOD = /^([A-Z][\w$]*?)_([A-Za-z$][\w$]*)$/;
+const reportKey = (version: string) => `hookCompatibility:${version}`;
+
+// Hook-named methods declared by a plugin class or any of its parent classes
+export function collectPluginHooks(PluginClass: any): string[] {
+    const hooks = new Set<string>();
+    let proto = PluginClass?.prototype;
+    while (proto && proto !== Object.prototype) {
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (
+                HOOK_METHOD.test(name) &&
+                typeof descriptor?.value === 'function'
+            ) {
+                hooks.add(name);
+            }
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+    return Array.from(hooks);
+}
+
+function hasMember(target: unknown, member: string): boolean {
+    return (
+        (typeof target === 'object' || typeof target === 'function') &&
+        target !== null &&
+        member in target
+    );
+}
+
+// A hook resolves when its class is bound and exposes the method statically, on its prototype or on its Instance
+export function isHookResolved(
+    gameHooks: Record<string, any>,
+    hook: string
+): boolean {
+    const match = HOOK_METHOD.exec(hook);
+    if (!match) return false;
+    const [, className, methodName] = match;
+    const target = gameHooks[className];
+    if (!target) return false;
+    return (
+        hasMember(target, methodName) ||
+        hasMember(target.prototype, methodName) ||
+        hasMember(target.Instance, methodName)
+    );
+}
+
+// Returns null when no game hooks are bound, in which case nothing can be concluded
+export function checkHookCompatibility(
+    clientVersion: string,
+    plugins: Array<{ name: string; class: any }>
+): HookCompatibilityReport | null {
+    const gameHooks = (document as any).highlite?.gameHooks;
+    if (!gameHooks || Object.keys(gameHooks).length === 0) {
+        return null;
+    }
+
+    return {
+        clientVersion,
+        checkedAt: Date.now(),
+        plugins: plugins.map(plugin => {
+            const hooks = collectPluginHooks(plugin.class);
+            return {
+                plugin: plugin.name,
+                hooks,
+                unresolved: hooks.filter(
+                    hook => !isHookResolved(gameHooks, hook)
+                ),
+            };
+        }),
+    };
+}
+
+export async function saveHookCompatibilityReport(
+    resources: HighliteResources,
+    report: HookCompatibilityReport
+): Promise<void> {
+    await resources.setItem(reportKey(report.clientVersion), report);
+}
+
+// The last report for this client, limited to the plugins that still declare the hooks it checked.
+// Only meant for launches where no game hooks are bound to check against.
+export async function loadHookCompatibilityReport(
+    resources: HighliteResources,
+    clientVersion: string,
+    plugins: Array<{ name: string; class: any }>
+): Promise<HookCompatibilityReport | null> {
+    const report = await resources.getItem(reportKey(clientVersion));
+    if (!report || !Array.isArray(report.plugins)) return null;
+
+    const unchanged = (entry: PluginHookReport) => {
+        const plugin = plugins.find(plugin => plugin.name === entry.plugin);
+        if (!plugin) return false;
+        const hooks = collectPluginHooks(plugin.class);
+        return (
+            hooks.length === entry.hooks.length &&
+            hooks.every(hook => entry.hooks.includes(hook))
+        );
+    };
+    return { ...report, plugins: report.plugins.filter(unchanged) };
+}
+
+export function logHookCompatibilityReport(
+    report: HookCompatibilityReport
+): void {
+    const affected = report.plugins.filter(
+        plugin => plugin.unresolved.length > 0
+    );
+    const hookCount = report.plugins.reduce(
+        (sum, plugin) => sum + plugin.hooks.length,
+        0
+    );
+    console.log(
+        `[Highlite] Hook compatibility for High Spell Client Version ${report.clientVersion}: ` +
+            `${report.plugins.length} plugins, ${hookCount} hooks, ${affected.length} plugins with unresolved hooks.`
+    );
+    affected.forEach(plugin => {
+        console.warn(
+            `[Highlite] ${plugin.plugin} uses hooks that are unresolved in this client: ${plugin.unresolved.join(', ')}`
+        );
+    });
+}
@@ -0,0 +1,303 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Keybindings for plugins.
+
+    Plugins register their actions with document.keybindings instead of listening for keys
+    themselves. The main process keeps the bindings and lists the actions in the settings window
+    (see main/modules/keybindingManagement), this window matches key presses against them and
+    calls the plugin back. Plugins that predate the registry are wrapped at registration, like
+    the auto screenshot triggers.
+*/
+
+import {
+    KeyPress,
+    matchesAccelerator,
+    matchesAcceleratorKey,
+    MODIFIER_KEYS,
+} from '../../../preload/settings';
+
+export interface PluginKeybinding {
+    // Unique across plugins, e.g. "entity-highlighter.show-all"
+    id: string;
+    label: string;
+    // Heading the action is listed under in the settings, usually the plugin name
+    group: string;
+    // Electron accelerator, a hold action may use a lone modifier such as "Alt"; empty is unbound
+    defaultKey: string;
+    // onPress when the key goes down, onRelease when it comes up or the window loses focus
+    hold?: boolean;
+    onPress: (event: KeyboardEvent) => void;
+    onRelease?: () => void;
+}
+
+export interface KeybindingRegistry {
+    // Returns a function that removes the binding again
+    register(binding: PluginKeybinding): () => void;
+    // The accelerator an action is bound to right now
+    keyFor(id: string): string;
+}
+
+declare global {
+    interface Document {
+        keybindings?: KeybindingRegistry;
+    }
+}
+
+interface BindingInfo {
+    id: string;
+    accelerator: string;
+}
+
+const isDarwin = window.electron.process.platform === 'darwin';
+const registered = new Map<string, PluginKeybinding>();
+const accelerators = new Map<string, string>();
+const held = new Set<string>();
+let announceQueued = false;
+
+function toKeyPress(event: KeyboardEvent): KeyPress {
+    return {
+        key: event.key,
+        code: event.code,
+        control: event.ctrlKey,
+        meta: event.metaKey,
+        alt: event.altKey,
+        shift: event.shiftKey,
+    };
+}
+
+function keyFor(id: string): string {
+    return accelerators.get(id) ?? registered.get(id)?.defaultKey ?? '';
+}
+
+// Whether a keyup lets go of a held binding
+function isReleased(event: KeyboardEvent, accelerator: string): boolean {
+    if (MODIFIER_KEYS.includes(accelerator)) return event.key === accelerator;
+    const key = accelerator.split('+').pop()!;
+    return (
+        matchesAcceleratorKey(toKeyPress(event), key) ||
+        MODIFIER_KEYS.includes(event.key)
+    );
+}
+
+function release(id: string) {
+    if (!held.delete(id)) return;
+    try {
+        registered.get(id)?.onRelease?.();
+    } catch (error) {
+        console.error(`[Highlite] Keybinding ${id} failed:`, error);
+    }
+}
+
+function applyBindings(bindings: BindingInfo[]) {
+    accelerators.clear();
+    bindings.forEach(binding =>
+        accelerators.set(binding.id, binding.accelerator)
+    );
+    // A rebound key may never come up as the one we wait for
+    [...held].forEach(release);
+}
+
+// Tell the main process about the actions registered so far, once per batch of registrations
+function announce() {
+    if (announceQueued) return;
+    announceQueued = true;
+    queueMicrotask(async () => {
+        announceQueued = false;
+        const actions = [...registered.values()].map(binding => ({
+            id: binding.id,
+            label: binding.label,
+            group: binding.group,
+            defaultAccelerator: binding.defaultKey,
+            hold: !!binding.hold,
+        }));
+        try {
+            applyBindings(
+                await window.electron.ipcRenderer.invoke(
+                    'keybindings:register-plugin-actions',
+                    actions
+                )
+            );
+        } catch (error) {
+            console.error('[Highlite] Failed to register keybindings:', error);
+        }
+    });
+}
+
+export function registerKeybinding(binding: PluginKeybinding): () => void {
+    registered.set(binding.id, binding);
+    announce();
+    return () => {
+        release(binding.id);
+        if (registered.get(binding.id) === binding) {
+            registered.delete(binding.id);
+        }
+    };
+}
+
+export function registerKeybindings() {
+    document.keybindings = { register: registerKeybinding, keyFor };
+
+    window.electron.ipcRenderer.on(
+        'keybindings:changed',
+        (_event, bindings: BindingInfo[]) => applyBindings(bindings)
+    );
+
+    document.addEventListener(
+        'keydown',
+        event => {
+            registered.forEach((binding, id) => {
+                if (held.has(id)) return;
+                if (event.repeat && !binding.hold) return;
+                if (
+                    !matchesAccelerator(toKeyPress(event), keyFor(id), isDarwin)
+                )
+                    return;
+                if (binding.hold) held.add(id);
+                try {
+                    binding.onPress(event);
+                } catch (error) {
+                    console.error(`[Highlite] Keybinding ${id} failed:`, error);
+                }
+            });
+        },
+        true
+    );
+
+    document.addEventListener(
+        'keyup',
+        event => {
+            [...held].forEach(id => {
+                if (isReleased(event, keyFor(id))) release(id);
+            });
+        },
+        true
+    );
+
+    // Keys released while another window has focus never send a keyup here
+    const releaseAll = () => [...held].forEach(release);
+    window.addEventListener('blur', releaseAll);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) releaseAll();
+    });
+}
+
+// Route the hard-wired keys of bundled plugins through the registry, other classes are returned untouched
+export function instrumentKeybindings(pluginName: string, PluginClass: any) {
+    if (
+        pluginName === 'Entity-Highlighter' &&
+        PluginClass.prototype.setupKeyboardListeners
+    ) {
+        return class extends PluginClass {
+            setupKeyboardListeners() {
+                const setMaskClickable = (clickable: boolean) => {
+                    const screenMask =
+                        document.getElementById('hs-screen-mask');
+                    if (screenMask) {
+                        screenMask.style.pointerEvents = clickable
+                            ? 'auto'
+                            : 'none';
+                    }
+                };
+                registerKeybinding({
+                    id: 'entity-highlighter.show-all',
+                    label: 'Show All Entities (hold)',
+                    group: 'Entity Highlighter',
+                    defaultKey: 'Alt',
+                    hold: true,
+                    onPress: () => {
+                        this.showAllEntities = true;
+                        this.updatePriorityButtonsVisibility();
+                        setMaskClickable(false);
+                    },
+                    onRelease: () => {
+                        this.showAllEntities = false;
+                        this.updateEntityPriorities();
+                        setMaskClickable(true);
+                    },
+                });
+            }
+        };
+    }
+
+    if (
+        pluginName === 'Nameplates' &&
+        PluginClass.prototype.setupKeyboardListeners
+    ) {
+        return class extends PluginClass {
+            setupKeyboardListeners() {
+                registerKeybinding({
+                    id: 'nameplates.show-all',
+                    label: 'Show All Ground Items (hold)',
+                    group: 'Nameplates',
+                    defaultKey: 'Alt',
+                    hold: true,
+                    onPress: () => {
+                        this.altKeyPressed = true;
+                        this.updatePriorityButtonsVisibility();
+                        this.disableScreenMaskPointerEvents();
+                    },
+                    onRelease: () => this.resetAltState(),
+                });
+            }
+        };
+    }
+
+    if (
+        pluginName === 'Highlite-Spell-Tooltips-Plugin' &&
+        PluginClass.prototype.setup
+    ) {
+        return class extends PluginClass {
+            // Removes the binding, set while the plugin is set up
+            unbindExpand?: () => void;
+
+            setup() {
+                // Already set callbacks keep the plugin from adding its own Ctrl listeners
+                this.keyDownCallback ??= () => {};
+                this.keyUpCallback ??= () => {};
+                this.unbindExpand ??= registerKeybinding({
+                    id: 'spell-tooltips.expand',
+                    label: 'Expand Tooltip',
+                    group: 'Spell Tooltips',
+                    defaultKey: 'Control',
+                    hold: true,
+                    onPress: () => {
+                        // The plugin's "CTRL is toggle" setting applies to whatever key is bound
+                        this.isExpanded = this.settings.ctrlToggle?.value
+                            ? !this.isExpanded
+                            : true;
+                        this.setTooltipContent();
+                    },
+                    onRelease: () => {
+                        if (this.settings.ctrlToggle?.value || !this.isExpanded)
+                            return;
+                        this.isExpanded = false;
+                        this.setTooltipContent();
+                    },
+                });
+                super.setup();
+            }
+
+            cleanup() {
+                super.cleanup();
+                this.unbindExpand?.();
+                this.unbindExpand = undefined;
+            }
+        };
+    }
+
+    return PluginClass;
+}
@@ -0,0 +1,193 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Plugin settings and plugin data live in this window's IndexedDB and localStorage, so the
+    main process asks us for a snapshot when it builds a settings bundle or profile, and hands
+    one back to restore when a bundle is imported or a profile is switched.
+*/
+
+import { reloadCharacterData, saveCharacterData } from './characterData';
+
+export interface PluginState {
+    indexedDB: Record<string, Record<string, Array<[IDBValidKey, any]>>>;
+    localStorage: Record<string, string>;
+    // Entries left out of the snapshot, as "database/store/key"
+    skipped?: string[];
+}
+
+// Loader resources that belong to the game client rather than to plugins
+const EXCLUDED_KEY =
+    /^(highSpellClient|clientCache|clientLastVersion|hookCompatibility:)/;
+const LOCAL_STORAGE_PREFIX = 'highlite';
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase(name: string): Promise<IDBDatabase> {
+    return promisify(indexedDB.open(name));
+}
+
+function isPluginEntry(key: IDBValidKey): boolean {
+    return !(typeof key === 'string' && EXCLUDED_KEY.test(key));
+}
+
+export async function collectPluginState(): Promise<PluginState> {
+    const state: PluginState = { indexedDB: {}, localStorage: {}, skipped: [] };
+    // Per-character data is only saved periodically, include the latest
+    await saveCharacterData();
+
+    const databases = await indexedDB.databases();
+    for (const { name } of databases) {
+        if (!name) continue;
+        const db = await openDatabase(name);
+        try {
+            state.indexedDB[name] = {};
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                const store = db
+                    .transaction(storeName, 'readonly')
+                    .objectStore(storeName);
+                const [keys, values] = await Promise.all([
+                    promisify(store.getAllKeys()),
+                    promisify(store.getAll()),
+                ]);
+                state.indexedDB[name][storeName] = [];
+                keys.forEach((key, i) => {
+                    if (isPluginEntry(key)) {
+                        state.indexedDB[name][storeName].push([key, values[i]]);
+                    } else {
+                        state.skipped!.push(
+                            `${name}/${storeName}/${String(key)}`
+                        );
+                    }
+                });
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+            state.localStorage[key] = localStorage.getItem(key) ?? '';
+        }
+    }
+    if (state.skipped!.length > 0) {
+        console.log(
+            `[Highlite] Left ${state.skipped!.length} game client entries out of the plugin state: ${state.skipped!.join(', ')}`
+        );
+    }
+    return state;
+}
+
+// Replaces the plugin entries with the snapshot, stores missing from this window are skipped.
+// Game client entries are neither cleared nor restored.
+export async function restorePluginState(state: PluginState): Promise<void> {
+    for (const [name, stores] of Object.entries(state.indexedDB ?? {})) {
+        const db = await openDatabase(name);
+        try {
+            for (const [storeName, entries] of Object.entries(stores)) {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    console.warn(
+                        `[Highlite] Skipping ${name}/${storeName}, the store does not exist in this client.`
+                    );
+                    continue;
+                }
+                const transaction = db.transaction(storeName, 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const usesInlineKeys = store.keyPath !== null;
+                // Entries the snapshot doesn't have must not survive the restore
+                const existing = await promisify(store.getAllKeys());
+                existing
+                    .filter(key => isPluginEntry(key))
+                    .forEach(key => store.delete(key));
+                for (const [key, value] of entries) {
+                    if (!isPluginEntry(key)) continue;
+                    if (usesInlineKeys) store.put(value);
+                    else store.put(value, key);
+                }
+                await new Promise<void>((resolve, reject) => {
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    const existingKeys = Array.from({ length: localStorage.length }, (_, i) =>
+        localStorage.key(i)
+    );
+    existingKeys.forEach(key => {
+        if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+            localStorage.removeItem(key);
+        }
+    });
+    for (const [key, value] of Object.entries(state.localStorage ?? {})) {
+        if (key.startsWith(LOCAL_STORAGE_PREFIX)) {
+            localStorage.setItem(key, value);
+        }
+    }
+
+    // Otherwise the save on unload writes the old per-character data back
+    await reloadCharacterData();
+}
+
+// Answer snapshot and restore requests from the main process
+export function registerPluginStateHandlers() {
+    const ipc = window.electron.ipcRenderer;
+
+    ipc.on('plugin-state:collect', async (_event, requestId: string) => {
+        try {
+            ipc.send('plugin-state:reply', requestId, {
+                ok: true,
+                state: await collectPluginState(),
+            });
+        } catch (e: any) {
+            console.error('[Highlite] Failed to collect plugin state:', e);
+            ipc.send('plugin-state:reply', requestId, {
+                ok: false,
+                error: e?.message || String(e),
+            });
+        }
+    });
+
+    ipc.on(
+        'plugin-state:restore',
+        async (_event, requestId: string, state: PluginState) => {
+            try {
+                await restorePluginState(state);
+                ipc.send('plugin-state:reply', requestId, { ok: true });
+                // Plugins keep their settings and data in memory, reload so they pick up the restored ones
+                console.log(
+                    '[Highlite] Plugin state restored, reloading client.'
+                );
+                location.reload();
+            } catch (e: any) {
+                console.error('[Highlite] Failed to restore plugin state:', e);
+                ipc.send('plugin-state:reply', requestId, {
+                    ok: false,
+                    error: e?.message || String(e),
+                });
+            }
+        }
+    );
+}
@@ -0,0 +1,216 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import { getCurrentCharacter } from './characterData';
+import { getCurrentWorld } from './worldSelectHelper';
+
+export type CaptureArea = 'window' | 'canvas' | 'region';
+
+export interface ScreenshotRequest {
+    // What triggered the capture, used in filename templates
+    event?: string;
+    // Overrides the "Capture Area" setting
+    area?: CaptureArea;
+}
+
+export interface ScreenshotResult {
+    ok: boolean;
+    path?: string;
+    copied?: boolean;
+    thumbnail?: string;
+    canceled?: boolean;
+    error?: string;
+}
+
+type CaptureRect = { x: number; y: number; width: number; height: number };
+
+export const GAME_CANVAS_SELECTOR =
+    '#game-container canvas, #game-container__game-canvas';
+const TOAST_DURATION = 4000;
+
+function toCaptureRect(rect: DOMRect): CaptureRect {
+    return {
+        x: Math.round(rect.left),
+        y: Math.round(rect.top),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+    };
+}
+
+// Bounds of the game canvas, clipped to the viewport, null when the game isn't showing
+function gameCanvasRect(): CaptureRect | null {
+    const canvas = document.querySelector(GAME_CANVAS_SELECTOR);
+    if (!canvas) return null;
+    const rect = canvas.getBoundingClientRect();
+    const left = Math.max(0, rect.left);
+    const top = Math.max(0, rect.top);
+    const right = Math.min(window.innerWidth, rect.right);
+    const bottom = Math.min(window.innerHeight, rect.bottom);
+    if (right <= left || bottom <= top) return null;
+    return toCaptureRect(new DOMRect(left, top, right - left, bottom - top));
+}
+
+// Let the user drag out a region, resolves null if they press Escape or click without dragging
+function selectRegion(): Promise<CaptureRect | null> {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'highlite-region-select';
+        const box = document.createElement('div');
+        box.className = 'highlite-region-select__box';
+        overlay.appendChild(box);
+        document.body.appendChild(overlay);
+
+        let start: { x: number; y: number } | null = null;
+        let current: DOMRect | null = null;
+
+        const finish = (rect: DOMRect | null) => {
+            overlay.remove();
+            window.removeEventListener('keydown', onKeyDown, true);
+            // Wait for the overlay to disappear from the next frame before capturing
+            requestAnimationFrame(() =>
+                requestAnimationFrame(() =>
+                    resolve(
+                        rect && rect.width > 4 && rect.height > 4
+                            ? toCaptureRect(rect)
+                            : null
+                    )
+                )
+            );
+        };
+        const onKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                finish(null);
+            }
+        };
+
+        overlay.addEventListener('mousedown', event => {
+            start = { x: event.clientX, y: event.clientY };
+        });
+        overlay.addEventListener('mousemove', event => {
+            if (!start) return;
+            current = new DOMRect(
+                Math.min(start.x, event.clientX),
+                Math.min(start.y, event.clientY),
+                Math.abs(event.clientX - start.x),
+                Math.abs(event.clientY - start.y)
+            );
+            box.style.left = `${current.left}px`;
+            box.style.top = `${current.top}px`;
+            box.style.width = `${current.width}px`;
+            box.style.height = `${current.height}px`;
+            box.style.display = 'block';
+        });
+        overlay.addEventListener('mouseup', () => finish(current));
+        window.addEventListener('keydown', onKeyDown, true);
+    });
+}
+
+// Preview of the last capture in the corner of the window, clicking it opens the gallery
+function showCaptureToast(result: ScreenshotResult) {
+    const toast = document.createElement('div');
+    toast.className = 'highlite-capture-toast';
+    toast.title = 'Open the screenshot gallery';
+    if (result.thumbnail) {
+        const image = document.createElement('img');
+        image.className = 'highlite-capture-toast__thumbnail';
+        image.src = result.thumbnail;
+        toast.appendChild(image);
+    }
+    const text = document.createElement('div');
+    text.className = 'highlite-capture-toast__text';
+    const heading = document.createElement('strong');
+    heading.textContent = result.path
+        ? result.copied
+            ? 'Screenshot saved and copied'
+            : 'Screenshot saved'
+        : 'Screenshot copied to clipboard';
+    text.appendChild(heading);
+    if (result.path) {
+        const name = document.createElement('span');
+        name.textContent = result.path.split(/[\\/]/).pop() ?? '';
+        text.appendChild(name);
+    }
+    toast.appendChild(text);
+
+    toast.addEventListener('click', () => {
+        window.gallery.open();
+        toast.remove();
+    });
+    document.body.appendChild(toast);
+    setTimeout(() => {
+        toast.classList.add('highlite-capture-toast--hiding');
+        setTimeout(() => toast.remove(), 300);
+    }, TOAST_DURATION);
+}
+
+export async function takeScreenshot(
+    request: ScreenshotRequest = {}
+): Promise<ScreenshotResult> {
+    const area: CaptureArea =
+        request.area ??
+        (await window.settings.get('Screenshots', 'Capture Area')) ??
+        'window';
+
+    let rect: CaptureRect | null = null;
+    if (area === 'canvas') {
+        rect = gameCanvasRect();
+        if (!rect) {
+            console.warn(
+                '[Highlite] Game canvas not found, capturing the whole window.'
+            );
+        }
+    } else if (area === 'region') {
+        rect = await selectRegion();
+        if (!rect) return { ok: false, canceled: true };
+    }
+
+    // Keep the previous capture's toast out of this one
+    const previousToast = document.querySelector('.highlite-capture-toast');
+    if (previousToast) {
+        previousToast.remove();
+        await new Promise(resolve =>
+            requestAnimationFrame(() => requestAnimationFrame(resolve))
+        );
+    }
+
+    const result: ScreenshotResult = await window.screenshot.capture({
+        rect: rect ?? undefined,
+        event: request.event ?? 'manual',
+        character: getCurrentCharacter(),
+        world: getCurrentWorld(),
+    });
+    if (
+        result.ok &&
+        (await window.settings.get('Screenshots', 'Show Capture Toast'))
+    ) {
+        showCaptureToast(result);
+    }
+    return result;
+}
+
+// Capture on behalf of the main process, e.g. when the screenshot hotkey is pressed
+export function registerScreenshotRequests() {
+    window.electron.ipcRenderer.on(
+        'screenshot:request',
+        async (_event, request: ScreenshotRequest) => {
+            const result = await takeScreenshot(request);
+            if (!result.ok && !result.canceled) {
+                console.error('Screenshot failed:', result.error);
+            }
+        }
+    );
+}
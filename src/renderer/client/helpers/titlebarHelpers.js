@@ -13,6 +13,9 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
+import { takeScreenshot } from './screenshotHelper';
+import { isRecording, startRecording, stopRecording } from './clipRecorder';
+
 let ogError = console.error;
 console.error = function (...args) {
     ogError(...args);
@@ -37,6 +40,7 @@ console.error = function (...args) {
             if (warningIcon) {
                 warningIcon.classList.remove('warning', 'error');
             }
+            warningIndicator.removeAttribute('title');
             warningIndicator.style.display = 'none';
         };
     }
@@ -67,6 +71,7 @@ console.warn = function (...args) {
             if (warningIcon) {
                 warningIcon.classList.remove('warning', 'error');
             }
+            warningIndicator.removeAttribute('title');
             warningIndicator.style.display = 'none';
         };
     }
@@ -78,6 +83,8 @@ const maximizeButton = document.querySelector('#maximizeBtn');
 const closeButton = document.querySelector('#closeBtn');
 const settingsButton = document.querySelector('#settingsBtn');
 const screenshotButton = document.querySelector('#screenshotBtn');
+const recordButton = document.querySelector('#recordBtn');
+const galleryButton = document.querySelector('#galleryBtn');
 
 // Add click event listeners to the buttons
 minimizeButton.addEventListener('click', () => {
@@ -96,12 +103,33 @@ settingsButton.addEventListener('click', () => {
 // Screenshot capture button
 if (screenshotButton) {
     screenshotButton.addEventListener('click', async () => {
-        const res = await window.screenshot.capture();
-        if (!res.ok) {
+        const res = await takeScreenshot();
+        if (!res.ok && !res.canceled) {
             console.error('Screenshot failed:', res.error);
         }
     });
 }
+// Start and stop a recording of the game canvas, saved as a clip when stopped
+if (recordButton) {
+    recordButton.addEventListener('click', async () => {
+        const res = isRecording()
+            ? await stopRecording()
+            : await startRecording();
+        const recording = isRecording();
+        recordButton.classList.toggle('recording', recording);
+        recordButton.title = recording ? 'Stop Recording' : 'Start Recording';
+        if (!res.ok) {
+            console.error('Recording failed:', res.error);
+        } else if (res.path) {
+            console.log(`[Highlite] Recording saved to ${res.path}`);
+        }
+    });
+}
+if (galleryButton) {
+    galleryButton.addEventListener('click', () => {
+        window.gallery.open();
+    });
+}
 
 const isDarwin = window.electron.process.platform === 'darwin';
 
@@ -112,10 +140,200 @@ if(isDarwin) {
     document.getElementById('darwin-spacer').remove();
 }
 
+// Title without the profile suffix, so the profile can be re-applied at any time
+let baseTitle = 'HighLite';
+let activeProfileName = null;
+
 export function setTitle(title) {
-    document.title = title;
+    baseTitle = title;
+    const fullTitle = activeProfileName
+        ? `${title} [${activeProfileName}]`
+        : title;
+    document.title = fullTitle;
     const logoText = document.getElementById('logoText');
     if (logoText) {
-        logoText.textContent = title;
+        logoText.textContent = fullTitle;
+    }
+    const overlayTitle = document.getElementById('overlayTitle');
+    if (overlayTitle) {
+        overlayTitle.textContent = fullTitle;
+    }
+}
+
+// Show which profile this window runs in, both in the title and the profile badge
+export function setActiveProfile(profile) {
+    activeProfileName = profile?.name ?? null;
+    const profileBadge = document.querySelector('#profileBadge');
+    if (profileBadge) {
+        profileBadge.title = activeProfileName
+            ? `Profile: ${activeProfileName} (click to open another profile)`
+            : 'Open another profile';
+    }
+    setTitle(baseTitle);
+}
+
+const profileButton = document.querySelector('#profileBadge');
+if (profileButton) {
+    profileButton.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('profiles:open-picker');
+    });
+}
+
+window.electron.ipcRenderer
+    .invoke('profiles:current')
+    .then(setActiveProfile)
+    .catch(error => console.warn('Failed to resolve active profile:', error));
+
+// Settings that only apply on load show a reload prompt instead of silently doing nothing
+const pendingRestartSettings = new Set();
+const restartIndicator = document.querySelector('#restartIndicator');
+if (restartIndicator) {
+    restartIndicator.addEventListener('click', () => {
+        location.reload();
+    });
+}
+
+window.settings.onChange('*', '*', (_value, _previous, change) => {
+    if (!change.requiresRestart || !restartIndicator) return;
+    pendingRestartSettings.add(change.key);
+    restartIndicator.title = `Reload to apply: ${Array.from(pendingRestartSettings).join(', ')}`;
+    restartIndicator.style.display = 'flex';
+});
+
+// An update downloaded in the background installs on quit, the badge offers to restart now
+const updateIndicator = document.querySelector('#updateIndicator');
+function showUpdateReady(version) {
+    if (!updateIndicator) return;
+    updateIndicator.title = `HighLite ${version} is ready and installs when HighLite quits. Click to restart now.`;
+    updateIndicator.style.display = 'flex';
+}
+if (updateIndicator) {
+    updateIndicator.addEventListener('click', () => {
+        if (confirm('Restart HighLite now to install the update?')) {
+            window.electron.ipcRenderer.send('update:install-now');
+        }
+    });
+}
+window.electron.ipcRenderer.on('update:ready', (_event, update) => {
+    showUpdateReady(update.version);
+});
+window.electron.ipcRenderer
+    .invoke('update:status')
+    .then(status => {
+        if (status.ready) showUpdateReady(status.version);
+    })
+    .catch(error => console.warn('Failed to get the update status:', error));
+
+// Zoom other than 100% shows in the titlebar, clicking it resets the zoom
+const zoomIndicator = document.querySelector('#zoomIndicator');
+if (zoomIndicator) {
+    zoomIndicator.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('zoom:reset');
+    });
+    window.electron.ipcRenderer.on('zoom:changed', (_event, zoom) => {
+        zoomIndicator.textContent = `${zoom.percent}%`;
+        const modifier = isDarwin ? 'Cmd' : 'Ctrl';
+        zoomIndicator.title = `Zoom (${modifier} + = / ${modifier} + -). Click or press ${modifier} + 0 to reset.`;
+        zoomIndicator.style.display = zoom.percent === 100 ? 'none' : 'flex';
+    });
+}
+
+// Always-on-top, opacity, aspect ratio lock and overlay mode of this window
+const pinButton = document.querySelector('#pinBtn');
+const opacityButton = document.querySelector('#opacityBtn');
+const aspectButton = document.querySelector('#aspectBtn');
+const overlayButton = document.querySelector('#overlayBtn');
+const overlayBar = document.querySelector('#overlayBar');
+const overlayExitButton = document.querySelector('#overlayExitBtn');
+// Clicking the opacity button steps through these, the mouse wheel changes it by 5%
+const OPACITY_STEPS = [100, 85, 70, 55, 40];
+let windowOpacity = 100;
+
+function showWindowState(state) {
+    if (!state) return;
+    windowOpacity = state.opacity;
+    document.body.classList.toggle('overlay-mode', state.overlay);
+    if (pinButton) {
+        pinButton.classList.toggle('active', state.alwaysOnTop);
+        pinButton.title = state.alwaysOnTop
+            ? 'Stop Keeping On Top'
+            : 'Keep On Top';
+    }
+    if (opacityButton) {
+        opacityButton.title = `Opacity: ${state.opacity}% (click or scroll to change)`;
+    }
+    if (aspectButton) {
+        aspectButton.classList.toggle('active', state.aspectLocked);
+        aspectButton.title = state.aspectLocked
+            ? 'Unlock Aspect Ratio'
+            : 'Lock Aspect Ratio';
+    }
+}
+
+if (pinButton) {
+    pinButton.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('toggle-always-on-top');
+    });
+}
+if (opacityButton) {
+    // Electron can't change the opacity of windows on Linux
+    if (window.electron.process.platform === 'linux') {
+        opacityButton.remove();
+    } else {
+        opacityButton.addEventListener('click', () => {
+            const next =
+                OPACITY_STEPS.find(step => step < windowOpacity) ??
+                OPACITY_STEPS[0];
+            window.electron.ipcRenderer.send('set-window-opacity', next);
+        });
+        opacityButton.addEventListener('wheel', event => {
+            event.preventDefault();
+            const delta = event.deltaY < 0 ? 5 : -5;
+            window.electron.ipcRenderer.send(
+                'set-window-opacity',
+                windowOpacity + delta
+            );
+        });
+    }
+}
+if (aspectButton) {
+    aspectButton.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('toggle-aspect-ratio-lock');
+    });
+}
+if (overlayButton) {
+    overlayButton.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('toggle-overlay-mode');
+    });
+}
+if (overlayExitButton) {
+    overlayExitButton.addEventListener('click', () => {
+        window.electron.ipcRenderer.send('toggle-overlay-mode');
+    });
+}
+// A click-through overlay takes clicks again while the pointer is over its bar
+if (overlayBar) {
+    overlayBar.addEventListener('mouseenter', () => {
+        window.electron.ipcRenderer.send('set-overlay-interactive', true);
+    });
+    overlayBar.addEventListener('mouseleave', () => {
+        window.electron.ipcRenderer.send('set-overlay-interactive', false);
+    });
+}
+
+window.electron.ipcRenderer.on('window:state', (_event, state) => {
+    showWindowState(state);
+});
+window.electron.ipcRenderer
+    .invoke('window:get-state')
+    .then(showWindowState)
+    .catch(error => console.warn('Failed to get the window state:', error));
+
+// Surface a loader failure in the titlebar warning indicator, with the reason as its tooltip
+export function reportLoaderError(message) {
+    console.error(`[Highlite Loader] ${message}`);
+    const warningIndicator = document.querySelector('#warningIndicator');
+    if (warningIndicator) {
+        warningIndicator.setAttribute('title', message);
     }
 }
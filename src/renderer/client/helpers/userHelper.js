@@ -22,11 +22,290 @@
     If the user selects "other", they can type in a new username and password, which will be saved for future use.
 
     The script also injects a new button that must be clicked to save the new username and password.
+
+    Saved accounts carry a nickname, a preferred world, their last login time and an auto-login flag.
+    The dropdown lists the most recently used account first and selects it, choosing an account
+    points the world selector at its preferred world, and the auto-login account logs in by itself
+    on the first login screen of a window.
 */
 
 import { setTitle } from '../helpers/titlebarHelpers.js';
+import { getKnownWorlds, selectWorld } from './worldSelectHelper';
+
+const AUTO_LOGIN_DONE_KEY = 'highlite-auto-login-done';
 
 let doOncePerLoginScreen = true;
+// Saved accounts by username, as returned by get-saved-accounts
+let savedAccounts = new Map();
+
+function accountLabel(account) {
+    return account.nickname
+        ? `${account.nickname} (${account.username})`
+        : account.username;
+}
+
+function createCheckbox(id, text, checked, onToggle) {
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'flex';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.gap = '.4rem';
+
+    const checkbox = document.createElement('button');
+    checkbox.id = id;
+    checkbox.className =
+        'login-menu-checkbox-button login-screen-bold-text login-screen-default-text-shadow';
+    const setChecked = value => {
+        checkbox.classList.toggle('login-menu-checkbox-button__checked', value);
+        checkbox.textContent = value ? '✓' : '';
+    };
+    setChecked(checked);
+    checkbox.addEventListener('click', () => {
+        const value = !checkbox.classList.contains(
+            'login-menu-checkbox-button__checked'
+        );
+        setChecked(value);
+        onToggle(value);
+    });
+
+    const label = document.createElement('label');
+    label.className =
+        'login-screen-small-text login-screen-default-text-shadow';
+    label.textContent = text;
+    label.setAttribute('for', id);
+
+    wrapper.appendChild(checkbox);
+    wrapper.appendChild(label);
+    return wrapper;
+}
+
+const BACKEND_NAMES = {
+    keychain: 'the macOS Keychain',
+    dpapi: 'Windows DPAPI',
+    gnome_libsecret: 'the GNOME keyring',
+    kwallet: 'KWallet',
+    kwallet5: 'KWallet',
+    kwallet6: 'KWallet',
+};
+
+function createLinkButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className =
+        'login-screen-bold-text login-screen-default-text-shadow';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Password prompt for one of the credentials:* actions, calls onDone once it succeeded
+function createMasterPasswordForm(label, placeholder, channel, onDone) {
+    const wrapper = document.createElement('div');
+    const form = document.createElement('div');
+    form.style.display = 'flex';
+    form.style.gap = '.4rem';
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.placeholder = placeholder;
+    input.style.height = '2rem';
+    input.style.borderRadius = '1rem';
+    input.style.padding = '0 .75rem';
+    input.style.flex = '1';
+    const error = document.createElement('div');
+    error.className =
+        'login-screen-small-text login-screen-default-text-shadow';
+    error.style.color = 'red';
+
+    const submit = async () => {
+        const result = await window.electron.ipcRenderer.invoke(
+            channel,
+            input.value
+        );
+        if (!result.ok) {
+            error.textContent = result.error;
+            return;
+        }
+        onDone();
+    };
+    input.addEventListener('keydown', event => {
+        // Keep typing here from reaching the game's key handlers
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            submit();
+        }
+    });
+
+    form.appendChild(input);
+    form.appendChild(createLinkButton(label, submit));
+    wrapper.appendChild(form);
+    wrapper.appendChild(error);
+    setTimeout(() => input.focus());
+    return wrapper;
+}
+
+// Re-render the protection notice of the current login screen when the store locks itself
+let onCredentialsLocked = null;
+window.electron.ipcRenderer.on('credentials:locked', () =>
+    onCredentialsLocked?.()
+);
+
+// Tell the user how saved passwords are protected, and ask for the master password when one is needed
+async function renderCredentialProtection(container, onUnlocked) {
+    const status =
+        await window.electron.ipcRenderer.invoke('credentials:status');
+    container.innerHTML = '';
+    const rerender = () => renderCredentialProtection(container, onUnlocked);
+
+    const message = document.createElement('div');
+    message.className =
+        'login-screen-small-text login-screen-default-text-shadow';
+    message.style.margin = '.4rem 0';
+    container.appendChild(message);
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '.4rem';
+    container.appendChild(actions);
+
+    const showForm = (label, placeholder, channel, onDone) => {
+        actions.replaceChildren(
+            createMasterPasswordForm(label, placeholder, channel, onDone)
+        );
+    };
+    const unlocked = async () => {
+        await rerender();
+        onUnlocked();
+    };
+
+    const keyring = BACKEND_NAMES[status.backend] ?? 'the system keyring';
+    if (status.locked) {
+        message.textContent =
+            '🔒 Saved accounts are locked. Enter your master password or PIN to use them.';
+        showForm(
+            'Unlock',
+            'Master password or PIN',
+            'credentials:unlock',
+            unlocked
+        );
+    } else if (status.level === 'keychain' && !status.masterConfigured) {
+        message.textContent = `🔒 Saved passwords are encrypted by ${keyring}.`;
+        actions.appendChild(
+            createLinkButton('Add Lock', () =>
+                showForm(
+                    'Set Lock',
+                    'New master password or PIN',
+                    'credentials:set-master-password',
+                    rerender
+                )
+            )
+        );
+    } else if (status.level === 'keychain' || status.level === 'master') {
+        message.textContent =
+            status.level === 'keychain'
+                ? `🔒 Saved passwords are encrypted by ${keyring} and locked with your master password.`
+                : '🔑 Saved passwords are encrypted with your master password.';
+        actions.appendChild(
+            createLinkButton('Lock Now', async () => {
+                await window.electron.ipcRenderer.invoke('credentials:lock');
+                rerender();
+            })
+        );
+        actions.appendChild(
+            createLinkButton('Remove Lock', () =>
+                showForm(
+                    'Remove',
+                    'Current master password or PIN',
+                    'credentials:remove-master-password',
+                    rerender
+                )
+            )
+        );
+    } else {
+        message.textContent =
+            status.level === 'basic'
+                ? '⚠ No system keyring found, saved passwords are only obfuscated. Set a master password to encrypt them.'
+                : '⚠ Password encryption is unavailable. Set a master password to remember accounts.';
+        message.style.color = 'orange';
+        showForm(
+            'Set Master Password',
+            'New master password',
+            'credentials:set-master-password',
+            unlocked
+        );
+    }
+}
+
+// Nickname, preferred world and auto-login of the selected account, saved as soon as they change
+async function renderAccountOptions(panel, username, onUpdated) {
+    panel.innerHTML = '';
+    const account = savedAccounts.get(username);
+    if (!account) return;
+
+    const update = async changes => {
+        const result = await window.electron.ipcRenderer.invoke(
+            'update-account-metadata',
+            username,
+            changes
+        );
+        if (!result?.ok) {
+            console.error('Failed to update account:', result?.error);
+            return;
+        }
+        if (changes.autoLogin) {
+            savedAccounts.forEach(other => (other.autoLogin = false));
+        }
+        Object.assign(account, changes);
+        onUpdated(account);
+    };
+
+    const inputStyle = element => {
+        element.style.height = '2rem';
+        element.style.borderRadius = '1rem';
+        element.style.padding = '0 .75rem';
+        element.style.width = '-webkit-fill-available';
+    };
+
+    const nickname = document.createElement('input');
+    nickname.type = 'text';
+    nickname.placeholder = 'Nickname';
+    nickname.maxLength = 32;
+    nickname.value = account.nickname ?? '';
+    inputStyle(nickname);
+    nickname.addEventListener('change', () =>
+        update({ nickname: nickname.value.trim() })
+    );
+    // Keep typing here from reaching the game's key handlers
+    nickname.addEventListener('keydown', event => event.stopPropagation());
+
+    const world = document.createElement('select');
+    inputStyle(world);
+    const noPreference = document.createElement('option');
+    noPreference.value = '';
+    noPreference.textContent = 'No preferred world';
+    world.appendChild(noPreference);
+    (await getKnownWorlds()).forEach(known => {
+        const option = document.createElement('option');
+        option.value = known.serverId;
+        option.textContent = known.worldName;
+        world.appendChild(option);
+    });
+    world.value = account.preferredWorld ?? '';
+    world.addEventListener('change', () => {
+        update({ preferredWorld: world.value });
+        if (world.value) selectWorld(world.value);
+    });
+
+    const autoLogin = createCheckbox(
+        'autoLoginCheckbox',
+        'Log in automatically on launch',
+        Boolean(account.autoLogin),
+        value => update({ autoLogin: value })
+    );
+
+    panel.appendChild(nickname);
+    panel.appendChild(world);
+    panel.appendChild(autoLogin);
+}
+
 export function createUserHelper() {
     // Setup mutation observer on document to wait for #login-menu-username to be available
     const observer = new MutationObserver(mutations => {
@@ -111,6 +390,8 @@ function setupUserHelper() {
             window.electron.ipcRenderer
                 .invoke('delete-username-password', selectedUsername, '')
                 .then(() => {
+                    savedAccounts.delete(selectedUsername);
+                    accountOptionsPanel.style.display = 'none';
                     // Remove the username from the dropdown
                     const optionToRemove = Array.from(
                         usernameDropdown.options
@@ -160,19 +441,6 @@ function setupUserHelper() {
 
     // Insert the container before the original username input
 
-    // Request IPC to get saved usernames
-    window.electron.ipcRenderer
-        .invoke('get-saved-usernames')
-        .then(savedUsernames => {
-            // Populate the dropdown with saved usernames
-            savedUsernames.forEach(username => {
-                const option = document.createElement('option');
-                option.value = username;
-                option.textContent = username;
-                usernameDropdown.appendChild(option);
-            });
-        });
-
     // Add an "Other" option for custom input
     const otherOption = document.createElement('option');
     otherOption.value = 'other';
@@ -182,6 +450,65 @@ function setupUserHelper() {
     // Insert the dropdown before the original username input
     usernameInput.parentNode.insertBefore(usernameDropdown, usernameInput);
 
+    // Options of the selected saved account, toggled by the button below the delete button
+    const accountOptionsPanel = document.createElement('div');
+    accountOptionsPanel.id = 'accountOptionsPanel';
+    accountOptionsPanel.style.display = 'none';
+    accountOptionsPanel.style.flexDirection = 'column';
+    accountOptionsPanel.style.gap = '.4rem';
+    accountOptionsPanel.style.margin = '.4rem 0';
+
+    const accountOptionsButton = document.createElement('button');
+    accountOptionsButton.id = 'login-menu-home-button';
+    accountOptionsButton.className =
+        'login-screen-bold-text login-screen-default-text-shadow';
+    accountOptionsButton.textContent = 'Account Options';
+    accountOptionsButton.addEventListener('click', function () {
+        const open = accountOptionsPanel.style.display === 'none';
+        accountOptionsPanel.style.display = open ? 'flex' : 'none';
+        if (open) {
+            renderAccountOptions(
+                accountOptionsPanel,
+                usernameDropdown.value,
+                updateAccountOption
+            );
+        }
+    });
+    homeButtonContainer.appendChild(accountOptionsButton);
+    homeButtonContainer.appendChild(accountOptionsPanel);
+
+    // Protection level of saved passwords, and the master password prompt when needed
+    const credentialProtection = document.createElement('div');
+    credentialProtection.id = 'credentialProtection';
+    homeButtonContainer.insertBefore(
+        credentialProtection,
+        homeButtonContainer.firstChild
+    );
+    const refillPassword = () => {
+        // Fill in the password that was locked away until now
+        if (usernameDropdown.value !== 'other') {
+            usernameDropdown.dispatchEvent(new Event('change'));
+        }
+    };
+    renderCredentialProtection(credentialProtection, refillPassword);
+    onCredentialsLocked = () => {
+        if (!credentialProtection.isConnected) return;
+        if (usernameDropdown.value !== 'other') {
+            document.querySelector('#login-menu-password').value = '';
+        }
+        renderCredentialProtection(credentialProtection, refillPassword);
+    };
+
+    function updateAccountOption(account) {
+        const option = Array.from(usernameDropdown.options).find(
+            option => option.value === account.username
+        );
+        if (option) option.textContent = accountLabel(account);
+        if (usernameDropdown.value === account.username) {
+            setTitle(`HighLite - ${account.nickname || account.username}`);
+        }
+    }
+
     usernameDropdown.addEventListener('change', function () {
         if (this.value === 'other') {
             // If "Other" is selected, show the original input
@@ -206,6 +533,8 @@ function setupUserHelper() {
             if (deleteCredentialsButton) {
                 deleteCredentialsButton.style.display = 'none'; // Hide the delete button when entering a new username
             }
+            accountOptionsButton.style.display = 'none';
+            accountOptionsPanel.style.display = 'none';
 
             setTitle('HighLite'); // Update the title to indicate "Other" user
         } else {
@@ -213,7 +542,11 @@ function setupUserHelper() {
             usernameInput.style.display = 'none';
             usernameInput.value = this.value;
 
-            setTitle(`HighLite - ${this.value}`); // Update the title to indicate "Other" user
+            const account = savedAccounts.get(this.value);
+            setTitle(`HighLite - ${account?.nickname || this.value}`); // Update the title to indicate "Other" user
+            if (account?.preferredWorld) {
+                selectWorld(account.preferredWorld);
+            }
             // IPC Request to get saved passwords for the selected username
             window.electron.ipcRenderer
                 .invoke('get-saved-password', this.value)
@@ -237,13 +570,47 @@ function setupUserHelper() {
             if (deleteCredentialsButton) {
                 deleteCredentialsButton.style.display = 'unset'; // Hide the delete button when entering a new username
             }
+            accountOptionsButton.style.display = 'unset';
+            if (accountOptionsPanel.style.display !== 'none') {
+                renderAccountOptions(
+                    accountOptionsPanel,
+                    this.value,
+                    updateAccountOption
+                );
+            }
         }
     });
 
-    // Set the default selected option to be Other
+    // Start on Other until the saved accounts are loaded
     usernameDropdown.value = 'other';
     usernameDropdown.dispatchEvent(new Event('change'));
 
+    // Request IPC to get saved accounts, most recently used first
+    window.electron.ipcRenderer.invoke('get-saved-accounts').then(accounts => {
+        savedAccounts = new Map(
+            accounts.map(account => [account.username, account])
+        );
+        // Populate the dropdown with saved accounts, above "Other"
+        accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.username;
+            option.textContent = accountLabel(account);
+            usernameDropdown.insertBefore(option, otherOption);
+        });
+        if (accounts.length === 0 || usernameInput.value !== '') return;
+
+        // Preselect the last used account, or the one that logs in by itself
+        const autoLoginAccount = accounts.find(account => account.autoLogin);
+        usernameDropdown.value = (autoLoginAccount ?? accounts[0]).username;
+        usernameDropdown.dispatchEvent(new Event('change'));
+
+        if (autoLoginAccount && !sessionStorage.getItem(AUTO_LOGIN_DONE_KEY)) {
+            // Once per window, logging out shouldn't log straight back in
+            sessionStorage.setItem(AUTO_LOGIN_DONE_KEY, '1');
+            autoLogin(autoLoginAccount.username);
+        }
+    });
+
     // When login button is clicked, save the username and password
     const loginButtons = document.getElementsByClassName('login-menu-button');
 
@@ -274,31 +641,54 @@ function setupUserHelper() {
             const rememberMeChecked = rememberMeCheckbox.classList.contains(
                 'login-menu-checkbox-button__checked'
             );
+            const loginUsername =
+                selectedUsername === 'other'
+                    ? usernameInput.value
+                    : selectedUsername;
+            let saved = Promise.resolve({ ok: true });
             if (rememberMeCheckbox && rememberMeChecked) {
                 if (
                     selectedUsername === 'other' &&
                     usernameInput.value !== ''
                 ) {
                     // If "Other" is selected, use the value from the original input
-                    window.electron.ipcRenderer.invoke(
+                    saved = window.electron.ipcRenderer.invoke(
                         'save-username-password',
                         usernameInput.value,
                         password
                     );
                 } else {
                     // Otherwise, use the selected username from the dropdown
-                    window.electron.ipcRenderer.invoke(
+                    saved = window.electron.ipcRenderer.invoke(
                         'save-username-password',
                         selectedUsername,
                         password
                     );
                 }
             }
+            saved.then(result => {
+                if (!result?.ok) {
+                    console.warn(
+                        `[Highlite] Could not remember ${loginUsername}: ${result?.error}`
+                    );
+                }
+            });
+            // Last login orders the dropdown, unsaved accounts are ignored by the main process
+            if (loginUsername) {
+                saved.then(() =>
+                    window.electron.ipcRenderer.invoke(
+                        'record-account-login',
+                        loginUsername
+                    )
+                );
+            }
 
             if (selectedUsername === 'other' && usernameInput.value !== '') {
                 setTitle(`HighLite - ${usernameInput.value}`);
             } else {
-                setTitle(`HighLite - ${selectedUsername}`);
+                setTitle(
+                    `HighLite - ${savedAccounts.get(selectedUsername)?.nickname || selectedUsername}`
+                );
             }
 
             // Look for 'id' hs-screen-mask to exist trigger once
@@ -330,4 +720,33 @@ function setupUserHelper() {
             }
         }
     });
+
+    // Wait for the preferred world and the saved password, then press Login
+    async function autoLogin(username) {
+        const preferredWorld = savedAccounts.get(username)?.preferredWorld;
+        for (
+            let attempt = 0;
+            preferredWorld && !selectWorld(preferredWorld) && attempt < 20;
+            attempt++
+        ) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        const savedPassword = await window.electron.ipcRenderer.invoke(
+            'get-saved-password',
+            username
+        );
+        // The user may have picked another account in the meantime
+        if (
+            !savedPassword ||
+            !loginButton ||
+            usernameDropdown.value !== username
+        ) {
+            return;
+        }
+        passwordInput.value = savedPassword;
+        usernameInput.value = username;
+        console.log(`[Highlite] Logging in ${username} automatically.`);
+        loginButton.click();
+    }
 }
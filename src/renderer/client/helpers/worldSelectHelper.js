@@ -43,10 +43,142 @@ export async function fetchWorlds() {
     });
 }
 
+const DEFAULT_WORLD = {
+    worldName: 'World 1',
+    serverId: '1',
+    serverUrl: 'https://server1.highspell.com:8888',
+    playerCount: 0,
+};
+const LAST_WORLD_KEY = 'highlite-last-world';
+const WINDOW_WORLD_KEY = 'highlite-window-world';
+const WINDOW_WORLD_NAME_KEY = 'highlite-window-world-name';
+
+// Remember a world both globally (last used) and for this window only
+export function rememberWorld(serverId, worldName) {
+    if (!serverId) return;
+    localStorage.setItem(LAST_WORLD_KEY, serverId);
+    sessionStorage.setItem(WINDOW_WORLD_KEY, serverId);
+    sessionStorage.setItem(
+        WINDOW_WORLD_NAME_KEY,
+        worldName || `World ${serverId}`
+    );
+}
+
+// Name of the world this window plays on, null before one was chosen
+export function getCurrentWorld() {
+    return sessionStorage.getItem(WINDOW_WORLD_NAME_KEY);
+}
+
+// Round trip time to a world's server in milliseconds, Infinity if it can't be reached
+export async function measureWorldLatency(world, timeoutMs = 3000) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const started = performance.now();
+    try {
+        await fetch(
+            `${world.serverUrl}/socket.io/?EIO=4&transport=polling&t=${Date.now()}`,
+            { mode: 'no-cors', cache: 'no-store', signal: controller.signal }
+        );
+        return performance.now() - started;
+    } catch {
+        return Infinity;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+export async function findFastestWorld(worlds) {
+    const latencies = await Promise.all(
+        worlds.map(world => measureWorldLatency(world))
+    );
+    let fastest = null;
+    latencies.forEach((latency, index) => {
+        console.log(
+            `[Highlite] ${worlds[index].worldName} latency: ${Number.isFinite(latency) ? `${Math.round(latency)}ms` : 'unreachable'}`
+        );
+        if (
+            Number.isFinite(latency) &&
+            (!fastest || latency < fastest.latency)
+        ) {
+            fastest = { world: worlds[index], latency };
+        }
+    });
+    return fastest ? fastest.world : null;
+}
+
+// Decide which world the client should bootstrap into. A world picked in this window wins,
+// then the "World Selection" setting (last used, preferred or fastest), then World 1.
+export async function resolveBootstrapWorld() {
+    let worlds = [];
+    try {
+        worlds = await fetchWorlds();
+    } catch (error) {
+        console.warn(
+            '[Highlite] Failed to fetch worlds, using World 1:',
+            error
+        );
+    }
+    if (worlds.length === 0) return DEFAULT_WORLD;
+
+    const byId = serverId =>
+        serverId ? worlds.find(w => w.serverId === String(serverId)) : null;
+
+    const windowWorld =
+        byId(getUrlParam('selectedServerId')) ||
+        byId(sessionStorage.getItem(WINDOW_WORLD_KEY));
+    if (windowWorld) return windowWorld;
+
+    let world = null;
+    const mode = await window.settings.get('World', 'World Selection');
+    if (mode === 'Fastest World') {
+        world = await findFastestWorld(worlds);
+    } else if (mode === 'Preferred World') {
+        world = byId(await window.settings.get('World', 'Preferred World'));
+    } else {
+        world = byId(localStorage.getItem(LAST_WORLD_KEY));
+    }
+
+    return world || byId(DEFAULT_WORLD.serverId) || worlds[0];
+}
+
 // Global state to prevent multiple instances
 let worldSelectorInstance = null;
 let observer = null;
 let checkInterval = null; // <-- Add this line
+// Worlds listed in the selector, and a world asked for before the list finished loading
+let knownWorlds = [];
+let pendingWorldId = null;
+
+// Worlds shown in the selector, fetched when the selector isn't up yet
+export async function getKnownWorlds() {
+    if (knownWorlds.length > 0) return knownWorlds;
+    try {
+        return await fetchWorlds();
+    } catch (error) {
+        console.warn('[Highlite] Failed to fetch worlds:', error);
+        return [];
+    }
+}
+
+// Point the login form at a world, the same way the selector sets its initial world, without reloading
+export function selectWorld(serverId) {
+    if (!serverId) return false;
+    const select = document.getElementById('world-select-dropdown');
+    const world = knownWorlds.find(w => w.serverId === String(serverId));
+    if (!select || !world) {
+        pendingWorldId = String(serverId);
+        return false;
+    }
+    pendingWorldId = null;
+    select.value = world.serverId;
+    const serverIdInput = document.getElementById('server-id-input');
+    const serverUrlInput = document.getElementById('server-url');
+    if (serverIdInput) serverIdInput.value = world.serverId;
+    if (serverUrlInput) serverUrlInput.value = world.serverUrl;
+    rememberWorld(world.serverId, world.worldName);
+    console.log(`[Highlite] Preselected ${world.worldName}.`);
+    return true;
+}
 
 // Function to show loading screen
 function showLoadingScreen(worldName) {
@@ -260,6 +392,7 @@ export function createWorldSelector() {
         const selectedWorld = worlds.find(w => w.serverId === e.target.value);
         if (selectedWorld) {
             console.log('World selected:', selectedWorld);
+            rememberWorld(selectedWorld.serverId, selectedWorld.worldName);
             // Store selected serverId in localStorage
             setUrlParam('selectedServerId', selectedWorld.serverId);
             // Store loading state in sessionStorage for the reload
@@ -274,6 +407,7 @@ export function createWorldSelector() {
     fetchWorlds()
         .then(fetchedWorlds => {
             worlds = fetchedWorlds;
+            knownWorlds = fetchedWorlds;
             console.log('Fetched worlds:', worlds);
 
             // Create options
@@ -316,6 +450,9 @@ export function createWorldSelector() {
                 }
             }
 
+            // An account was picked before the worlds were loaded
+            if (pendingWorldId) selectWorld(pendingWorldId);
+
             console.log('World selector setup complete');
         })
         .catch(error => {
@@ -13,42 +13,157 @@
 // You should have received a copy of the GNU General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
+interface ConsoleMessage {
+    id: number;
+    type: string;
+    message: string;
+    source: string;
+    plugin: string;
+    timestamp: Date;
+}
+
+// Oldest messages are dropped past this, a message is kept in full however long it is
+const MAX_MESSAGES = 5000;
+// Plugins and the client log with a "[Name]" prefix, e.g. "[Highlite] Loaded"
+const PLUGIN_PREFIX = /^\s*\[([^\]\n]{1,64})\]/;
+// electron-log's file format, "[2025-01-31 12:00:00.000] [info]  message", other lines continue the previous entry
+const LOG_LINE = /^\[(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}\.\d{3})\] \[(\w+)\]\s?(.*)$/;
+const LOG_LEVELS: Record<string, string> = { warn: 'warning', verbose: 'debug', silly: 'debug' };
+
 class ConsoleManager {
-    messages: any[];
+    messages: ConsoleMessage[];
     currentFilter: string;
+    showDebug: boolean;
+    searchText: string;
+    useRegex: boolean;
+    pluginFilter: string;
+    autoScroll: boolean;
+    expanded: Set<number>;
+    plugins: Set<string>;
+    nextId: number;
+    // Log file shown instead of the live session, '' for the live session
+    viewing: string;
+    logMessages: ConsoleMessage[];
+    // An incomplete last line of the tailed file, completed by the next chunk
+    tailRemainder: string;
+    currentLogName: string;
+    searchTimer: ReturnType<typeof setTimeout> | undefined;
 
     constructor() {
         this.messages = [];
         this.currentFilter = 'all';
+        this.showDebug = false;
+        this.searchText = '';
+        this.useRegex = false;
+        this.pluginFilter = '';
+        this.autoScroll = true;
+        this.expanded = new Set();
+        this.plugins = new Set();
+        this.nextId = 0;
+        this.viewing = '';
+        this.logMessages = [];
+        this.tailRemainder = '';
+        this.currentLogName = '';
         this.init();
     }
 
     init() {
         this.bindEvents();
         this.setupIPCListeners();
+        this.renderLogFileOptions();
     }
 
     setupIPCListeners() {
-        window.electron.ipcRenderer.on('add-console-message', (event, data) => {
-            if (data.level === 'debug') {
+        window.settings.get('Console', 'Show Debug Messages').then(value => {
+            this.showDebug = Boolean(value);
+        });
+        window.settings.onChange('Console', 'Show Debug Messages', value => {
+            this.showDebug = Boolean(value);
+            if (!this.showDebug) {
+                this.messages = this.messages.filter(msg => msg.type !== 'debug');
+                this.storeMessages();
+                this.renderMessages();
+            }
+        });
+
+        window.electron.ipcRenderer.on('add-console-message', (_event, data) => {
+            if (data.level === 'debug' && !this.showDebug) {
                 return; // Skip debug messages
             }
             this.addMessage(data.level, data.text, `${data.source} @ ${data.lineNumber}`);
         });
+
+        window.electron.ipcRenderer.on('logs:appended', (_event, chunk: string) => {
+            if (!this.viewing) return;
+            const lines = (this.tailRemainder + chunk).split('\n');
+            this.tailRemainder = lines.pop() ?? '';
+            this.appendMessages(this.parseLogLines(lines, this.logMessages, this.viewing));
+        });
     }
 
     bindEvents() {
         // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.setFilter(e.target.dataset.type);
+        document.querySelectorAll<HTMLElement>('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setFilter(btn.dataset.type!);
             });
         });
 
         // Clear button
-        document.getElementById('clearConsole').addEventListener('click', () => {
+        document.getElementById('clearConsole')!.addEventListener('click', () => {
             this.clearMessages();
         });
+
+        const searchInput = document.getElementById('consoleSearch') as HTMLInputElement;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.searchText = searchInput.value;
+                this.renderMessages();
+            }, 150);
+        });
+
+        const regexToggle = document.getElementById('consoleRegex') as HTMLInputElement;
+        regexToggle.addEventListener('change', () => {
+            this.useRegex = regexToggle.checked;
+            this.renderMessages();
+        });
+
+        const pluginSelect = document.getElementById('pluginFilter') as HTMLSelectElement;
+        pluginSelect.addEventListener('change', () => {
+            this.pluginFilter = pluginSelect.value;
+            this.renderMessages();
+        });
+
+        document.getElementById('toggleAutoScroll')!.addEventListener('click', () => {
+            this.setAutoScroll(!this.autoScroll);
+        });
+
+        // Scrolling up to read pauses following new messages, scrolling back to the bottom resumes it
+        const content = document.getElementById('console-content')!;
+        content.addEventListener('wheel', () => {
+            requestAnimationFrame(() => {
+                const atBottom = content.scrollHeight - content.scrollTop - content.clientHeight < 4;
+                if (atBottom !== this.autoScroll) this.setAutoScroll(atBottom);
+            });
+        });
+
+        document.getElementById('exportLog')!.addEventListener('click', () => {
+            this.exportMessages('log');
+        });
+        document.getElementById('exportJson')!.addEventListener('click', () => {
+            this.exportMessages('json');
+        });
+
+        const logSelect = document.getElementById('logSource') as HTMLSelectElement;
+        logSelect.addEventListener('focus', () => this.renderLogFileOptions());
+        logSelect.addEventListener('change', () => {
+            this.viewLog(logSelect.value);
+        });
+
+        document.getElementById('collectDiagnostics')!.addEventListener('click', () => {
+            this.collectDiagnostics();
+        });
     }
 
     formatMessage(args) {
@@ -63,102 +178,311 @@ class ConsoleManager {
             return String(arg);
         }).join(' ');
     }
-    
-    addMessage(type, message, source, timestamp = new Date()) {
-        const messageObj = {
-            id: Date.now() + Math.random(),
+
+    // The "[Name]" prefix of the message, otherwise the file the message was logged from
+    inferPlugin(message: string, source: string): string {
+        const prefix = PLUGIN_PREFIX.exec(message);
+        if (prefix) return prefix[1].trim();
+        const file = source.split(' @ ')[0].split(/[?#]/)[0].split('/').pop() ?? '';
+        return file.replace(/\.[^.]+$/, '') || 'Unknown';
+    }
+
+    createMessage(type: string, message: string, source: string, timestamp: Date): ConsoleMessage {
+        return {
+            id: this.nextId++,
             type,
             message,
             source,
+            plugin: this.inferPlugin(message, source),
             timestamp: timestamp
         };
+    }
 
-        this.messages.unshift(messageObj); // Add to beginning for newest first
-        
-        // Keep only last 1000 messages
-        if (this.messages.length > 1000) {
-            this.messages = this.messages.slice(0, 1000);
+    addMessage(type, message, source, timestamp = new Date()) {
+        const messageObj = this.createMessage(type, String(message), source, timestamp);
+        this.messages.push(messageObj); // Oldest first, new messages go at the bottom
+        this.storeMessages();
+        if (!this.viewing) this.appendMessages([messageObj]);
+    }
+
+    // The shown list is already updated, keep it within MAX_MESSAGES and append the rows that pass the filters
+    appendMessages(added: ConsoleMessage[]) {
+        const active = this.activeMessages();
+        if (active.length > MAX_MESSAGES) {
+            const dropped = active.splice(0, active.length - MAX_MESSAGES);
+            dropped.forEach(msg => {
+                this.expanded.delete(msg.id);
+                document.querySelector(`.console-row[data-id="${msg.id}"]`)?.remove();
+            });
         }
 
-        this.storeMessages();
+        if (added.some(msg => !this.plugins.has(msg.plugin))) {
+            added.forEach(msg => this.plugins.add(msg.plugin));
+            this.renderPluginOptions();
+        }
+
+        // Append instead of re-rendering everything, a busy plugin can log many messages a second
+        const matcher = this.createMatcher();
+        const fragment = document.createDocumentFragment();
+        added.filter(matcher).forEach(msg => fragment.appendChild(this.createMessageRow(msg)));
+        if (fragment.childNodes.length > 0) {
+            document.getElementById('emptyState')!.style.display = 'none';
+            document.getElementById('console-content')!.appendChild(fragment);
+            this.scrollToLatest();
+        }
+    }
+
+    activeMessages(): ConsoleMessage[] {
+        return this.viewing ? this.logMessages : this.messages;
+    }
+
+    // Adds the entries of complete log lines to `into` and returns the new ones
+    parseLogLines(lines: string[], into: ConsoleMessage[], source: string): ConsoleMessage[] {
+        const added: ConsoleMessage[] = [];
+        lines.forEach(line => {
+            const match = LOG_LINE.exec(line.replace(/\r$/, ''));
+            if (match) {
+                const [, date, time, level, text] = match;
+                const msg = this.createMessage(LOG_LEVELS[level] ?? level, text, source, new Date(`${date}T${time}`));
+                into.push(msg);
+                added.push(msg);
+            } else if (into.length > 0 && line) {
+                into[into.length - 1].message += `\n${line}`;
+            }
+        });
+        return added;
+    }
+
+    async renderLogFileOptions() {
+        const select = document.getElementById('logSource') as HTMLSelectElement;
+        const result = await window.electron.ipcRenderer.invoke('logs:list');
+        if (!result.ok) return;
+        select.innerHTML = '<option value="">Live session</option>';
+        result.files.forEach(file => {
+            if (file.current) this.currentLogName = file.name;
+            const option = document.createElement('option');
+            option.value = file.name;
+            const size = `${Math.max(1, Math.round(file.size / 1024))} KB`;
+            option.textContent = file.current ? `Current log file (${size}, live)` : `${file.name} (${size})`;
+            select.appendChild(option);
+        });
+        select.value = this.viewing;
+    }
+
+    // Show a log file instead of the live session, following it when it is the current one
+    async viewLog(name: string) {
+        window.electron.ipcRenderer.send('logs:untail');
+        this.viewing = name;
+        this.logMessages = [];
+        this.tailRemainder = '';
+        this.expanded.clear();
+
+        if (name) {
+            const result = name === this.currentLogName
+                ? await window.electron.ipcRenderer.invoke('logs:tail')
+                : await window.electron.ipcRenderer.invoke('logs:read', name);
+            if (this.viewing !== name) return;
+            if (!result.ok) {
+                this.showToast(`Could not open ${name}: ${result.error}`);
+            } else {
+                const lines = result.content.split('\n');
+                this.tailRemainder = lines.pop() ?? '';
+                this.parseLogLines(lines, this.logMessages, name);
+                if (this.logMessages.length > MAX_MESSAGES) this.logMessages.splice(0, this.logMessages.length - MAX_MESSAGES);
+                if (result.truncated) this.showToast('Large log file, showing its most recent part');
+            }
+        }
+
+        this.plugins = new Set(this.activeMessages().map(msg => msg.plugin));
+        this.renderPluginOptions();
         this.renderMessages();
     }
 
-    setFilter(type) {
+    async collectDiagnostics() {
+        const result = await window.electron.ipcRenderer.invoke('logs:collect-diagnostics');
+        if (result.canceled) return;
+        this.showToast(result.ok ? `Diagnostics saved to ${result.path}` : `Collecting diagnostics failed: ${result.error}`);
+    }
+
+    setFilter(type: string) {
         this.currentFilter = type;
         
         // Update active filter button
-        document.querySelectorAll('.filter-btn').forEach(btn => {
+        document.querySelectorAll<HTMLElement>('.filter-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.type === type);
         });
 
         this.renderMessages();
     }
 
+    setAutoScroll(enabled: boolean) {
+        this.autoScroll = enabled;
+        const button = document.getElementById('toggleAutoScroll')!;
+        button.textContent = enabled ? 'Pause' : 'Resume';
+        button.classList.toggle('paused', !enabled);
+        button.title = enabled ? 'Stop following new messages' : 'Follow new messages again';
+        this.scrollToLatest();
+    }
+
+    scrollToLatest() {
+        if (!this.autoScroll) return;
+        const content = document.getElementById('console-content')!;
+        content.scrollTop = content.scrollHeight;
+    }
+
     clearMessages() {
-        this.messages = [];
+        if (this.viewing) {
+            this.logMessages = [];
+        } else {
+            this.messages = [];
+        }
+        this.expanded.clear();
+        this.plugins.clear();
+        this.pluginFilter = '';
+        this.renderPluginOptions();
         this.storeMessages();
         this.renderMessages();
     }
 
+    // Level, plugin and search filters combined; an invalid regular expression matches nothing
+    createMatcher(): (msg: ConsoleMessage) => boolean {
+        const searchInput = document.getElementById('consoleSearch') as HTMLInputElement;
+        let matchesSearch: (text: string) => boolean = () => true;
+        searchInput.classList.remove('invalid');
+
+        if (this.searchText) {
+            if (this.useRegex) {
+                try {
+                    const pattern = new RegExp(this.searchText, 'i');
+                    matchesSearch = text => pattern.test(text);
+                } catch {
+                    searchInput.classList.add('invalid');
+                    matchesSearch = () => false;
+                }
+            } else {
+                const query = this.searchText.toLowerCase();
+                matchesSearch = text => text.toLowerCase().includes(query);
+            }
+        }
+
+        return msg =>
+            (this.currentFilter === 'all' || msg.type === this.currentFilter) &&
+            (!this.pluginFilter || msg.plugin === this.pluginFilter) &&
+            (matchesSearch(msg.message) || matchesSearch(msg.source));
+    }
+
+    getFilteredMessages(): ConsoleMessage[] {
+        return this.activeMessages().filter(this.createMatcher());
+    }
+
+    renderPluginOptions() {
+        const select = document.getElementById('pluginFilter') as HTMLSelectElement;
+        select.innerHTML = '<option value="">All sources</option>';
+        Array.from(this.plugins).sort((a, b) => a.localeCompare(b)).forEach(plugin => {
+            const option = document.createElement('option');
+            option.value = plugin;
+            option.textContent = plugin;
+            select.appendChild(option);
+        });
+        select.value = this.plugins.has(this.pluginFilter) ? this.pluginFilter : '';
+    }
+
     renderMessages() {
-        const content = document.getElementById('console-content');
-        const emptyState = document.getElementById('emptyState');
+        const content = document.getElementById('console-content')!;
+        const emptyState = document.getElementById('emptyState')!;
         
-        let filteredMessages = this.messages;
-        if (this.currentFilter !== 'all') {
-            filteredMessages = this.messages.filter(msg => msg.type === this.currentFilter);
-        }
+        const filteredMessages = this.getFilteredMessages();
+
+        // Clear existing messages
+        const existingRows = content.querySelectorAll('.console-row');
+        existingRows.forEach(row => row.remove());
 
         if (filteredMessages.length === 0) {
+            emptyState.textContent = this.activeMessages().length === 0
+                ? (this.viewing ? 'This log file has no entries.' : 'No console messages yet. Errors and warnings will appear here.')
+                : 'No messages match the current filters.';
             emptyState.style.display = 'block';
-            // Clear existing messages
-            const existingRows = content.querySelectorAll('.console-row');
-            existingRows.forEach(row => row.remove());
             return;
         }
 
         emptyState.style.display = 'none';
-        
-        // Clear existing messages
-        const existingRows = content.querySelectorAll('.console-row');
-        existingRows.forEach(row => row.remove());
 
         // Render filtered messages
+        const fragment = document.createDocumentFragment();
         filteredMessages.forEach(msg => {
-            const row = this.createMessageRow(msg);
-            content.appendChild(row);
+            fragment.appendChild(this.createMessageRow(msg));
         });
+        content.appendChild(fragment);
+        this.scrollToLatest();
     }
 
-    truncateText(text, maxLength) {
-        if (text.length <= maxLength) {
-            return text;
-        }
-        return text.substring(0, maxLength - 3) + '...';
-    }
-
-    createMessageRow(message) {
+    createMessageRow(message: ConsoleMessage) {
         const row = document.createElement('div');
         row.className = `console-row ${message.type}`;
+        row.dataset.id = String(message.id);
         
         const timestamp = message.timestamp.toLocaleTimeString();
-        const truncatedMessage = this.truncateText(message.message, 100);
-        const truncatedSource = this.truncateText(message.source, 30);
+        const firstLine = message.message.split('\n')[0];
         
         row.innerHTML = `
             <div class="timestamp">${timestamp}</div>
-            <div class="message" title="${this.escapeHtml(message.message)}">${this.escapeHtml(truncatedMessage)}</div>
-            <div class="plugin" title="${this.escapeHtml(message.source)}">${this.escapeHtml(truncatedSource)}</div>
+            <div class="message">${this.escapeHtml(firstLine)}</div>
+            <div class="plugin" title="${this.escapeHtml(message.source)}">${this.escapeHtml(message.plugin)}</div>
         `;
 
-        // Add click handler to copy message
-        row.addEventListener('click', () => {
+        // Click to show the full message with its stack, and the details to copy it
+        row.addEventListener('click', (event) => {
+            if ((event.target as HTMLElement).closest('.details')) return;
+            if (this.expanded.has(message.id)) {
+                this.expanded.delete(message.id);
+                row.querySelector('.details')?.remove();
+            } else {
+                this.expanded.add(message.id);
+                row.appendChild(this.createDetails(message, timestamp));
+            }
+            row.classList.toggle('expanded', this.expanded.has(message.id));
+        });
+
+        if (this.expanded.has(message.id)) {
+            row.classList.add('expanded');
+            row.appendChild(this.createDetails(message, timestamp));
+        }
+
+        return row;
+    }
+
+    createDetails(message: ConsoleMessage, timestamp: string) {
+        const details = document.createElement('div');
+        details.className = 'details';
+        details.innerHTML = `
+            <pre class="full-message">${this.escapeHtml(message.message)}</pre>
+            <div class="details-footer">
+                <span class="source">${this.escapeHtml(message.source)}</span>
+                <button class="copy-btn">Copy</button>
+            </div>
+        `;
+        details.querySelector('.copy-btn')!.addEventListener('click', () => {
             navigator.clipboard.writeText(`[${timestamp}] ${message.type.toUpperCase()}: ${message.message} (${message.source})`);
             this.showToast('Message copied to clipboard');
         });
+        return details;
+    }
 
-        return row;
+    async exportMessages(format: 'log' | 'json') {
+        const messages = this.getFilteredMessages().map(msg => ({
+            type: msg.type,
+            message: msg.message,
+            source: msg.source,
+            plugin: msg.plugin,
+            timestamp: msg.timestamp.toISOString()
+        }));
+        if (messages.length === 0) {
+            this.showToast('There are no messages to export');
+            return;
+        }
+        const result = await window.electron.ipcRenderer.invoke('console:export', messages, format);
+        if (result.canceled) return;
+        this.showToast(result.ok ? `Exported ${result.count} messages` : `Export failed: ${result.error}`);
     }
 
     escapeHtml(text) {
@@ -204,15 +528,14 @@ class ConsoleManager {
 
     storeMessages() {
         try {
-            localStorage.setItem('highlite-console-messages', JSON.stringify(this.messages.slice(0, 100)));
+            localStorage.setItem('highlite-console-messages', JSON.stringify(this.messages.slice(-100)));
         } catch (e) {
             console.warn('Failed to store console messages:', e);
         }
     }
 }
 
-const consoleManager = new ConsoleManager();
-consoleManager.init();
+new ConsoleManager();
 import '@iconify/iconify';
 // Window control handlers
 function setupWindowControls() {
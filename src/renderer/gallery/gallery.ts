@@ -0,0 +1,299 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import '@iconify/iconify';
+
+type GalleryEntry = NonNullable<
+    Awaited<ReturnType<Window['gallery']['list']>>['entries']
+>[number];
+
+// Events are tagged with details, e.g. "level-up-attack-12", the filter groups them by trigger
+const EVENT_KINDS = [
+    'manual',
+    'level-up',
+    'rare-drop',
+    'hardcore-death',
+    'trade-request',
+    'treasure-loot',
+];
+
+const $ = <T extends HTMLElement = HTMLElement>(id: string) =>
+    document.getElementById(id) as T;
+const grid = $('gallery-grid');
+const statusEl = $('gallery-status');
+const searchInput = $<HTMLInputElement>('gallery-search');
+const eventFilter = $<HTMLSelectElement>('gallery-event-filter');
+
+let entries: GalleryEntry[] = [];
+const thumbnails = new Map<string, string>();
+
+function eventKind(event?: string): string {
+    if (!event) return '';
+    return EVENT_KINDS.find(kind => event.startsWith(kind)) ?? event;
+}
+
+function formatSize(bytes: number): string {
+    if (bytes < 1024 * 1024)
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function showStatus(message: string, isError = false) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+}
+
+// Thumbnails are generated by the main process, only for cards that scroll into view
+const thumbnailObserver = new IntersectionObserver(observed => {
+    observed.forEach(async ({ isIntersecting, target }) => {
+        if (!isIntersecting) return;
+        thumbnailObserver.unobserve(target);
+        const image = target as HTMLImageElement;
+        const filePath = image.dataset.path!;
+        const cacheKey = `${filePath}:${image.dataset.takenAt}`;
+        if (!thumbnails.has(cacheKey)) {
+            const result = await window.gallery.thumbnail(filePath);
+            if (!result.ok || !result.thumbnail) {
+                image.classList.add('missing');
+                image.alt = result.error ?? 'No preview';
+                return;
+            }
+            thumbnails.set(cacheKey, result.thumbnail);
+        }
+        image.src = thumbnails.get(cacheKey)!;
+    });
+});
+
+function createAction(icon: string, title: string, onClick: () => void) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gallery-action';
+    button.title = title;
+    button.innerHTML = `<i class="iconify" data-icon="${icon}"></i>`;
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+async function runAction(
+    action: Promise<{ ok: boolean; error?: string }>,
+    success?: string
+) {
+    const result = await action;
+    if (result.ok) {
+        if (success) showStatus(success);
+    } else {
+        showStatus(result.error ?? 'Something went wrong', true);
+    }
+    return result.ok;
+}
+
+// Swap the name for an input, Enter renames and Escape or leaving the field cancels
+function startRename(entry: GalleryEntry, nameEl: HTMLElement) {
+    const extension = entry.name.slice(entry.name.lastIndexOf('.'));
+    const input = document.createElement('input');
+    input.className = 'gallery-rename';
+    input.value = entry.name.slice(0, -extension.length);
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (commit: boolean) => {
+        if (done) return;
+        done = true;
+        const newName = input.value.trim();
+        if (commit && newName && newName + extension !== entry.name) {
+            const renamed = await runAction(
+                window.gallery.rename(entry.path, newName),
+                `Renamed to ${newName}${extension}`
+            );
+            // The gallery:changed broadcast re-renders the list on success
+            if (renamed) return;
+        }
+        input.replaceWith(nameEl);
+    };
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') finish(true);
+        else if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(false));
+}
+
+function createCard(entry: GalleryEntry): HTMLElement {
+    const card = document.createElement('div');
+    card.className = 'gallery-card';
+
+    const image = document.createElement('img');
+    image.className = 'gallery-thumbnail';
+    image.alt = entry.name;
+    image.dataset.path = entry.path;
+    image.dataset.takenAt = String(entry.takenAt);
+    thumbnailObserver.observe(image);
+    card.appendChild(image);
+
+    const info = document.createElement('div');
+    info.className = 'gallery-info';
+
+    const name = document.createElement('span');
+    name.className = 'gallery-name';
+    name.textContent = entry.name;
+    name.title = entry.path;
+    info.appendChild(name);
+
+    const meta = document.createElement('span');
+    meta.className = 'gallery-meta';
+    meta.textContent = `${new Date(entry.takenAt).toLocaleString()} · ${formatSize(entry.size)}`;
+    info.appendChild(meta);
+
+    const tags = document.createElement('div');
+    tags.className = 'gallery-tags';
+    [entry.event, entry.character ?? entry.folder, entry.world]
+        .filter(Boolean)
+        .forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'gallery-tag';
+            chip.textContent = tag!;
+            tags.appendChild(chip);
+        });
+    info.appendChild(tags);
+    card.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'gallery-actions';
+    actions.appendChild(
+        createAction('mdi:content-copy', 'Copy to clipboard', () =>
+            runAction(
+                window.gallery.copy(entry.path),
+                `Copied ${entry.name} to the clipboard`
+            )
+        )
+    );
+    actions.appendChild(
+        createAction('mdi:rename-outline', 'Rename', () =>
+            startRename(entry, name)
+        )
+    );
+    actions.appendChild(
+        createAction('mdi:folder-open-outline', 'Show in folder', () =>
+            runAction(window.gallery.reveal(entry.path))
+        )
+    );
+    const remove = createAction('mdi:trash-can-outline', 'Delete', async () => {
+        if (!confirm(`Move ${entry.name} to the trash?`)) return;
+        await runAction(
+            window.gallery.delete(entry.path),
+            `Moved ${entry.name} to the trash`
+        );
+    });
+    remove.classList.add('danger');
+    actions.appendChild(remove);
+    card.appendChild(actions);
+
+    return card;
+}
+
+function matchesFilters(entry: GalleryEntry): boolean {
+    const kind = eventFilter.value;
+    if (kind && eventKind(entry.event) !== kind) return false;
+    const query = searchInput.value.trim().toLowerCase();
+    if (!query) return true;
+    return [entry.name, entry.folder, entry.event, entry.character, entry.world]
+        .filter(Boolean)
+        .some(value => value!.toLowerCase().includes(query));
+}
+
+function renderFilterOptions() {
+    const selected = eventFilter.value;
+    const kinds = Array.from(
+        new Set(entries.map(entry => eventKind(entry.event)).filter(Boolean))
+    ).sort();
+    eventFilter.innerHTML = '<option value="">All events</option>';
+    kinds.forEach(kind => {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = kind;
+        eventFilter.appendChild(option);
+    });
+    eventFilter.value = kinds.includes(selected) ? selected : '';
+}
+
+function renderGrid() {
+    thumbnailObserver.disconnect();
+    grid.innerHTML = '';
+    const visible = entries.filter(matchesFilters);
+    visible.forEach(entry => grid.appendChild(createCard(entry)));
+
+    if (entries.length === 0) {
+        grid.innerHTML =
+            '<p class="gallery-empty">No screenshots yet. Captures from the client show up here.</p>';
+    } else if (visible.length === 0) {
+        grid.innerHTML =
+            '<p class="gallery-empty">No screenshots match the filter.</p>';
+    }
+}
+
+async function loadScreenshots() {
+    const result = await window.gallery.list();
+    if (!result.ok) {
+        showStatus(result.error ?? 'Failed to list screenshots', true);
+        return;
+    }
+    entries = result.entries ?? [];
+    showStatus(
+        `${entries.length} screenshot${entries.length === 1 ? '' : 's'} in ${result.directory}`
+    );
+    renderFilterOptions();
+    renderGrid();
+}
+
+searchInput.addEventListener('input', renderGrid);
+eventFilter.addEventListener('change', renderGrid);
+$('gallery-refresh').addEventListener('click', loadScreenshots);
+$('gallery-open-folder').addEventListener('click', () =>
+    runAction(window.gallery.reveal())
+);
+
+// New captures, renames and deletions from any window
+let reloadTimer: ReturnType<typeof setTimeout> | undefined;
+window.gallery.onChanged(() => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(loadScreenshots, 200);
+});
+// The list depends on where screenshots are saved
+window.settings.onChange('Screenshots', 'Screenshot Directory', () =>
+    loadScreenshots()
+);
+
+$('minimizeBtn').addEventListener('click', () => {
+    window.electron.ipcRenderer.send('minimize-window');
+});
+$('maximizeBtn').addEventListener('click', () => {
+    window.electron.ipcRenderer.send('toggle-maximize-window');
+});
+$('closeBtn').addEventListener('click', () => {
+    window.electron.ipcRenderer.send('close-window');
+});
+
+// Hide the window controls spacer depending on the OS
+if (window.electron.process.platform === 'darwin') {
+    document.getElementById('window-controls')?.remove();
+} else {
+    document.getElementById('darwin-spacer')?.remove();
+}
+
+loadScreenshots();
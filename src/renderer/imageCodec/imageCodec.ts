@@ -0,0 +1,73 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Hidden page that converts images for the main process, which can only encode PNG and JPEG.
+    Nothing but this script runs here, unlike in the game page, so the result can be trusted.
+    See main/windows/imageCodec.
+*/
+
+interface ConvertRequest {
+    data: Uint8Array;
+    // Output MIME type, e.g. "image/webp" or "image/png"
+    type: string;
+    // 0 to 1, for lossy formats
+    quality?: number;
+    // Scale down to at most this width, keeping the aspect ratio
+    maxWidth?: number;
+}
+
+const ipc = window.electron.ipcRenderer;
+
+async function convert(request: ConvertRequest): Promise<Uint8Array> {
+    const bitmap = await createImageBitmap(
+        new Blob([new Uint8Array(request.data)])
+    );
+    try {
+        const scale = request.maxWidth
+            ? Math.min(1, request.maxWidth / bitmap.width)
+            : 1;
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+        const canvas = new OffscreenCanvas(width, height);
+        const context = canvas.getContext('2d')!;
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+        const blob = await canvas.convertToBlob({
+            type: request.type,
+            quality: request.quality,
+        });
+        return new Uint8Array(await blob.arrayBuffer());
+    } finally {
+        bitmap.close();
+    }
+}
+
+ipc.on(
+    'image-codec:convert',
+    async (_event, requestId: string, request: ConvertRequest) => {
+        try {
+            ipc.send('image-codec:reply', requestId, {
+                ok: true,
+                data: await convert(request),
+            });
+        } catch (e: any) {
+            ipc.send('image-codec:reply', requestId, {
+                ok: false,
+                error: e?.message || String(e),
+            });
+        }
+    }
+);
@@ -0,0 +1,122 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+import '@iconify/iconify';
+
+interface ProfileEntry {
+    id: string;
+    name: string;
+    lastUsed: number;
+    openWindows: number;
+}
+
+const $ = <T extends HTMLElement = HTMLElement>(id: string) =>
+    document.getElementById(id) as T;
+const list = $<HTMLUListElement>('profiles-list');
+const form = $<HTMLFormElement>('profiles-create');
+const nameInput = $<HTMLInputElement>('profiles-name');
+const errorEl = $('profiles-error');
+
+function showError(message: string) {
+    errorEl.textContent = message;
+}
+
+function choose(id: string) {
+    window.electron.ipcRenderer.send('profiles:choose', id);
+}
+
+async function renderProfiles() {
+    const profiles: ProfileEntry[] =
+        await window.electron.ipcRenderer.invoke('profiles:list');
+    list.innerHTML = '';
+
+    profiles.forEach(profile => {
+        const row = document.createElement('li');
+        row.className = 'profile-row';
+        row.title = `Open a client window with the ${profile.name} profile`;
+
+        const name = document.createElement('span');
+        name.className = 'profile-name';
+        name.textContent = profile.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'profile-meta';
+        const lastUsed = new Date(profile.lastUsed).toLocaleString();
+        meta.textContent =
+            profile.openWindows > 0
+                ? `${profile.openWindows} open`
+                : `Last used ${lastUsed}`;
+
+        row.appendChild(name);
+        row.appendChild(meta);
+
+        if (profile.id !== 'default') {
+            const remove = document.createElement('button');
+            remove.className = 'profile-delete';
+            remove.type = 'button';
+            remove.title = 'Delete profile and its stored data';
+            remove.innerHTML =
+                '<i class="iconify" data-icon="mdi:trash-can-outline"></i>';
+            remove.addEventListener('click', async event => {
+                event.stopPropagation();
+                if (
+                    !confirm(
+                        `Delete the profile "${profile.name}"? Its saved plugin data and logins in this profile are removed.`
+                    )
+                ) {
+                    return;
+                }
+                const result = await window.electron.ipcRenderer.invoke(
+                    'profiles:delete',
+                    profile.id
+                );
+                if (!result.ok) showError(result.error);
+                await renderProfiles();
+            });
+            row.appendChild(remove);
+        }
+
+        row.addEventListener('click', () => choose(profile.id));
+        list.appendChild(row);
+    });
+}
+
+form.addEventListener('submit', async event => {
+    event.preventDefault();
+    showError('');
+    const result = await window.electron.ipcRenderer.invoke(
+        'profiles:create',
+        nameInput.value
+    );
+    if (!result.ok) {
+        showError(result.error);
+        return;
+    }
+    nameInput.value = '';
+    choose(result.profile.id);
+});
+
+$('closeBtn').addEventListener('click', () => {
+    window.electron.ipcRenderer.send('close-window');
+});
+
+// Hide the window controls spacer depending on the OS
+if (window.electron.process.platform === 'darwin') {
+    document.getElementById('window-controls')?.remove();
+} else {
+    document.getElementById('darwin-spacer')?.remove();
+}
+
+renderProfiles();
@@ -1,5 +1,6 @@
 // Use centralized settings API exposed by preload
 import '@iconify/iconify';
+import { validateFieldValue } from '../../preload/settings';
 
 const isDarwin = window.electron.process.platform === 'darwin';
 // Hide the window controls if the OS is Darwin (macOS)
@@ -37,6 +38,126 @@ if (closeButton) {
     });
 }
 
+// Field kinds whose values are checked against their type even without a validation function
+const TYPE_VALIDATED = ['hotkey', 'file', 'list'];
+
+function readControlValue(el: HTMLElement): string | number | boolean | string[] {
+    if ((el as HTMLInputElement).type === 'checkbox') return (el as HTMLInputElement).checked;
+    if (el.tagName.toLowerCase() === 'select') return (el as HTMLSelectElement).value;
+    const inp = el as HTMLInputElement;
+    if (inp.dataset.kind === 'list') return JSON.parse(inp.value || '[]');
+    return inp.type === 'number' || inp.type === 'range' ? Number(inp.value) : inp.value;
+}
+
+const sameValue = (a: unknown, b: unknown) => JSON.stringify(a) === JSON.stringify(b);
+
+// Turn a keydown into an Electron accelerator, null while only modifiers are held
+function acceleratorFromEvent(event: KeyboardEvent): string | null {
+    const named: Record<string, string> = {
+        ' ': 'Space', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+        Enter: 'Return', '+': 'Plus',
+    };
+    if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'].includes(event.key)) return null;
+
+    let key: string;
+    if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+    else if (/^Digit[0-9]$/.test(event.code)) key = event.code.slice(5);
+    else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(event.key)) key = event.key;
+    else key = named[event.key] ?? event.key;
+
+    const parts: string[] = [];
+    if (event.ctrlKey || (isDarwin && event.metaKey)) parts.push('CommandOrControl');
+    if (event.metaKey && !isDarwin) parts.push('Super');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+// Record the key combinations pressed in a hotkey input; Backspace or Delete clears it, Escape stops recording.
+// With allowModifier a modifier pressed and released on its own is a binding too, for hold actions.
+function captureHotkey(input: HTMLInputElement, onCapture: (accelerator: string) => void, allowModifier = false) {
+    let loneModifier: string | null = null;
+    input.addEventListener('keydown', (event) => {
+        event.preventDefault();
+        if (event.key === 'Escape') {
+            input.blur();
+            return;
+        }
+        loneModifier = ['Control', 'Shift', 'Alt', 'Meta'].includes(event.key) ? event.key : null;
+        const accelerator = (event.key === 'Backspace' || event.key === 'Delete') && !event.ctrlKey && !event.altKey && !event.metaKey && !event.shiftKey
+            ? ''
+            : acceleratorFromEvent(event);
+        if (accelerator === null) return;
+        onCapture(accelerator);
+    });
+    if (allowModifier) {
+        input.addEventListener('keyup', (event) => {
+            if (event.key === loneModifier) onCapture(event.key);
+            loneModifier = null;
+        });
+    }
+}
+
+// Rows of text inputs with add/remove, kept in sync with the list field's hidden input
+function createListEditor(store: HTMLInputElement): HTMLElement {
+    const editor = document.createElement('div');
+    editor.className = 'setting-list';
+    const rows = document.createElement('div');
+    rows.className = 'setting-list-rows';
+    editor.appendChild(rows);
+
+    const commit = () => {
+        const values = Array.from(rows.querySelectorAll<HTMLInputElement>('input')).map((input) => input.value);
+        store.value = JSON.stringify(values);
+        store.dispatchEvent(new Event('input', { bubbles: true }));
+        store.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const addRow = (value: string) => {
+        const row = document.createElement('div');
+        row.className = 'setting-list-row';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.className = 'setting-text setting-list-item';
+        input.addEventListener('input', commit);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            row.remove();
+            commit();
+        });
+        row.appendChild(input);
+        row.appendChild(remove);
+        rows.appendChild(row);
+        return input;
+    };
+
+    const render = () => {
+        rows.innerHTML = '';
+        (JSON.parse(store.value || '[]') as string[]).forEach((value) => addRow(value));
+    };
+    // Reset and programmatic changes write the hidden input, re-render from it
+    store.addEventListener('change', () => {
+        if (!editor.contains(document.activeElement)) render();
+    });
+    render();
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-secondary';
+    addBtn.textContent = 'Add';
+    addBtn.addEventListener('click', () => {
+        addRow('').focus();
+        commit();
+    });
+    editor.appendChild(addBtn);
+    return editor;
+}
+
 // Render settings UI from schema into #settings-content
 function createFieldEl(sectionKey: string, field: any): HTMLElement {
     const fieldWrapper = document.createElement('div');
@@ -101,6 +222,64 @@ function createFieldEl(sectionKey: string, field: any): HTMLElement {
             control = input;
             break;
         }
+        case 'range': {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = String(field.min);
+            input.max = String(field.max);
+            input.step = String(field.step ?? 1);
+            if (typeof settingVal === 'number') input.value = String(settingVal);
+            input.id = nameAttr;
+            input.className = 'setting-input setting-range';
+            control = input;
+            break;
+        }
+        case 'color': {
+            const input = document.createElement('input');
+            input.type = 'color';
+            if (typeof settingVal === 'string') input.value = settingVal;
+            input.id = nameAttr;
+            input.className = 'setting-input setting-color';
+            control = input;
+            break;
+        }
+        case 'hotkey': {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.readOnly = true;
+            input.value = typeof settingVal === 'string' ? settingVal : '';
+            input.placeholder = 'Click and press a key combination';
+            input.id = nameAttr;
+            input.className = 'setting-input setting-text setting-hotkey';
+            captureHotkey(input, (accelerator) => {
+                input.value = accelerator;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+            control = input;
+            break;
+        }
+        case 'file': {
+            const input = document.createElement('input');
+            input.type = 'text';
+            if (typeof settingVal === 'string') input.value = settingVal;
+            input.id = nameAttr;
+            input.placeholder = field.extensions?.length ? `/path/to/file.${field.extensions[0]}` : '/path/to/file';
+            input.className = 'setting-input setting-text';
+            control = input;
+            break;
+        }
+        case 'list': {
+            // The hidden input carries the list as JSON so it can be tracked like every other control
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.value = JSON.stringify(Array.isArray(settingVal) ? settingVal : []);
+            input.id = nameAttr;
+            input.className = 'setting-input';
+            input.dataset.kind = 'list';
+            control = input;
+            break;
+        }
         case 'string':
         default: {
             const input = document.createElement('input');
@@ -115,8 +294,59 @@ function createFieldEl(sectionKey: string, field: any): HTMLElement {
 
     const right = document.createElement('div');
     right.className = 'setting-right';
+    if (type === 'list') {
+        right.classList.add('setting-right-list');
+        right.appendChild(createListEditor(control as HTMLInputElement));
+    }
     right.appendChild(control);
 
+    // Show the current value next to range sliders
+    if (type === 'range') {
+        const output = document.createElement('span');
+        output.className = 'setting-range-value';
+        const update = () => { output.textContent = (control as HTMLInputElement).value; };
+        control.addEventListener('input', update);
+        update();
+        right.appendChild(output);
+    }
+
+    if (type === 'hotkey') {
+        const clearBtn = document.createElement('button');
+        clearBtn.type = 'button';
+        clearBtn.textContent = 'Clear';
+        clearBtn.className = 'btn btn-secondary';
+        clearBtn.addEventListener('click', () => {
+            (control as HTMLInputElement).value = '';
+            control.dispatchEvent(new Event('input', { bubbles: true }));
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        right.appendChild(clearBtn);
+    }
+
+    if (type === 'file') {
+        const chooseBtn = document.createElement('button');
+        chooseBtn.type = 'button';
+        chooseBtn.textContent = 'Choose…';
+        chooseBtn.className = 'btn btn-secondary';
+        chooseBtn.addEventListener('click', async () => {
+            try {
+                const selected = await window.settings.selectFile({
+                    title: `Select ${field.label}`,
+                    defaultPath: (control as HTMLInputElement).value || undefined,
+                    extensions: field.extensions,
+                });
+                if (selected) {
+                    (control as HTMLInputElement).value = selected;
+                    control.dispatchEvent(new Event('input', { bubbles: true }));
+                    control.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            } catch (e) {
+                console.error('File selection failed', e);
+            }
+        });
+        right.appendChild(chooseBtn);
+    }
+
     // Add chooser button for DIRECTORY fields
     if (field.type === 'directory') {
         const chooseBtn = document.createElement('button');
@@ -141,25 +371,16 @@ function createFieldEl(sectionKey: string, field: any): HTMLElement {
         });
         right.appendChild(chooseBtn);
     }
-    if (field.validation) {
+    if (field.validation || TYPE_VALIDATED.includes(type)) {
         const badge = document.createElement('span');
         badge.className = 'setting-badge';
         right.appendChild(badge);
 
         const updateBadge = async () => {
-            let value: string | number | boolean;
-            if ((control as HTMLInputElement).type === 'checkbox') {
-                value = (control as HTMLInputElement).checked;
-            } else if (control.tagName.toLowerCase() === 'select') {
-                value = (control as HTMLSelectElement).value;
-            } else {
-                const v = (control as HTMLInputElement).value;
-                value = (control as HTMLInputElement).type === 'number' ? Number(v) : v;
-            }
+            const value = readControlValue(control);
             badge.textContent = 'Checking…';
             badge.classList.remove('ok', 'bad');
-            const result = field.validation(value);
-            const valid = result instanceof Promise ? await result : result;
+            const valid = await validateFieldValue(field, value);
             badge.textContent = valid ? 'Valid' : 'Invalid';
             badge.classList.toggle('ok', !!valid);
             badge.classList.toggle('bad', !valid);
@@ -180,10 +401,288 @@ function createFieldEl(sectionKey: string, field: any): HTMLElement {
     return fieldWrapper;
 }
 
+// Settings profiles and bundle import/export, rendered above the schema sections
+function createToolRow(labelText: string, description: string, controls: HTMLElement[]): HTMLElement {
+    const row = document.createElement('div');
+    row.className = 'setting-field';
+    const left = document.createElement('div');
+    left.className = 'setting-left';
+    const label = document.createElement('label');
+    label.className = 'setting-label';
+    label.textContent = labelText;
+    const desc = document.createElement('div');
+    desc.className = 'setting-description';
+    desc.textContent = description;
+    left.appendChild(label);
+    left.appendChild(desc);
+    const right = document.createElement('div');
+    right.className = 'setting-right';
+    controls.forEach((control) => right.appendChild(control));
+    row.appendChild(left);
+    row.appendChild(right);
+    return row;
+}
+
+function createToolButton(text: string, onClick: () => void): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function renderSettingsTools(container: HTMLElement) {
+    const sectionEl = document.createElement('section');
+    sectionEl.className = 'settings-section';
+    const header = document.createElement('h2');
+    header.className = 'settings-heading';
+    header.textContent = 'Profiles & Backup';
+    const card = document.createElement('div');
+    card.className = 'settings-card';
+
+    const status = document.createElement('div');
+    status.className = 'setting-description settings-tools-status';
+    const showStatus = (message: string, isError = false) => {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    };
+
+    // Reload so the form reflects settings that were changed behind its back
+    const runAndReload = async (action: () => Promise<{ ok: boolean; canceled?: boolean; error?: string }>, success: string) => {
+        const result = await action();
+        if (result.canceled) return;
+        if (!result.ok) {
+            showStatus(result.error || 'Something went wrong', true);
+            return;
+        }
+        showStatus(success);
+        location.reload();
+    };
+
+    const { active, profiles } = await window.settings.listProfiles();
+    const select = document.createElement('select');
+    select.className = 'settings-tools-select setting-select';
+    profiles.forEach((profile) => {
+        const opt = document.createElement('option');
+        opt.value = profile.name;
+        opt.textContent = profile.name === active ? `${profile.name} (active)` : profile.name;
+        select.appendChild(opt);
+    });
+    select.disabled = profiles.length === 0;
+    if (active) select.value = active;
+
+    const switchBtn = createToolButton('Switch', () =>
+        runAndReload(() => window.settings.switchProfile(select.value), `Switched to ${select.value}`)
+    );
+    const deleteBtn = createToolButton('Delete', async () => {
+        if (!select.value || !confirm(`Delete the settings profile "${select.value}"?`)) return;
+        await runAndReload(() => window.settings.deleteProfile(select.value), `Deleted ${select.value}`);
+    });
+    switchBtn.disabled = deleteBtn.disabled = profiles.length === 0;
+    card.appendChild(createToolRow(
+        'Settings Profile',
+        'Switch to a saved setup. Plugin settings and data are restored and the client reloads.',
+        [select, switchBtn, deleteBtn]
+    ));
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'e.g. Skilling, PvM';
+    nameInput.className = 'settings-tools-text setting-text';
+    if (active) nameInput.value = active;
+    const saveBtn = createToolButton('Save', () =>
+        runAndReload(() => window.settings.saveProfile(nameInput.value), `Saved ${nameInput.value.trim()}`)
+    );
+    card.appendChild(createToolRow(
+        'Save Current Setup',
+        'Store the current application settings, plugin settings and plugin data under a name.',
+        [nameInput, saveBtn]
+    ));
+
+    const exportBtn = createToolButton('Export…', async () => {
+        const result = await window.settings.exportBundle();
+        if (result.canceled) return;
+        if (!result.ok) {
+            showStatus(result.error || 'Export failed', true);
+            return;
+        }
+        // The cached game client is left out on purpose, it is downloaded again when missing
+        const skipped = result.skipped ? ` (${result.skipped} game client cache entries left out)` : '';
+        showStatus(`Exported to ${result.path}${skipped}`);
+    });
+    const importBtn = createToolButton('Import…', () =>
+        runAndReload(() => window.settings.importBundle(), 'Settings imported')
+    );
+    card.appendChild(createToolRow(
+        'Backup',
+        'Export or import all settings, plugin settings and plugin data as a single file.',
+        [exportBtn, importBtn]
+    ));
+
+    // Saved logins are tied to this machine's keys, the export is sealed with a password instead
+    const accountsPassword = document.createElement('input');
+    accountsPassword.type = 'password';
+    accountsPassword.placeholder = 'File password';
+    accountsPassword.className = 'settings-tools-text setting-text';
+    const runAccountsAction = async (channel: string, verb: string) => {
+        const result = await window.electron.ipcRenderer.invoke(channel, accountsPassword.value);
+        if (result.canceled) return;
+        if (!result.ok) {
+            showStatus(result.error || `${verb} failed`, true);
+            return;
+        }
+        accountsPassword.value = '';
+        showStatus(`${verb} ${result.count} saved account${result.count === 1 ? '' : 's'} (${result.path})`);
+    };
+    card.appendChild(createToolRow(
+        'Saved Accounts',
+        'Move saved logins to another machine. The file is encrypted with the password you enter here, imported accounts are encrypted again on this machine.',
+        [
+            accountsPassword,
+            createToolButton('Export…', () => runAccountsAction('credentials:export', 'Exported')),
+            createToolButton('Import…', () => runAccountsAction('credentials:import', 'Imported')),
+        ]
+    ));
+
+    card.appendChild(status);
+    sectionEl.appendChild(header);
+    sectionEl.appendChild(card);
+    container.appendChild(sectionEl);
+}
+
+// As listed by the keybinding registry in the main process
+interface KeybindingInfo {
+    id: string;
+    label: string;
+    group: string;
+    defaultAccelerator: string;
+    accelerator: string;
+    allowGlobal?: boolean;
+    hold?: boolean;
+    global: boolean;
+    conflicts: string[];
+    globalError?: string;
+}
+
+function createKeybindingRow(binding: KeybindingInfo, showStatus: (message: string, isError?: boolean) => void): HTMLElement {
+    const run = async (action: () => Promise<{ ok: boolean; error?: string }>) => {
+        const result = await action();
+        if (!result.ok) showStatus(result.error || 'Could not change the keybinding', true);
+    };
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = binding.accelerator;
+    input.placeholder = 'Not bound';
+    input.className = 'setting-input setting-text setting-hotkey';
+    // Global shortcuts would swallow the keys being recorded
+    input.addEventListener('focus', () => window.electron.ipcRenderer.send('keybindings:capturing', true));
+    input.addEventListener('blur', () => window.electron.ipcRenderer.send('keybindings:capturing', false));
+    captureHotkey(input, (accelerator) => {
+        input.blur();
+        run(() => window.electron.ipcRenderer.invoke('keybindings:set', binding.id, accelerator));
+    }, binding.hold);
+    const controls: HTMLElement[] = [input];
+
+    if (binding.allowGlobal) {
+        const globalLabel = document.createElement('label');
+        globalLabel.className = 'keybinding-global';
+        globalLabel.title = 'Also works while HighLite is not focused';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'setting-checkbox';
+        checkbox.checked = binding.global;
+        checkbox.addEventListener('change', () =>
+            run(() => window.electron.ipcRenderer.invoke('keybindings:set-global', binding.id, checkbox.checked))
+        );
+        globalLabel.append(checkbox, 'Global');
+        controls.push(globalLabel);
+    }
+
+    const resetBtn = createToolButton('Default', () =>
+        run(() => window.electron.ipcRenderer.invoke('keybindings:reset', binding.id))
+    );
+    resetBtn.disabled = binding.accelerator === binding.defaultAccelerator && !binding.global;
+    controls.push(resetBtn);
+
+    const notes: string[] = [];
+    if (binding.hold) notes.push('Active while the key is held.');
+    if (binding.conflicts.length > 0) notes.push(`Also bound to ${binding.conflicts.join(', ')}.`);
+    if (binding.globalError) notes.push(`Not registered globally: ${binding.globalError}.`);
+    const row = createToolRow(binding.label, notes.join(' '), controls);
+    row.classList.toggle('keybinding-conflict', binding.conflicts.length > 0 || Boolean(binding.globalError));
+    return row;
+}
+
+// Redraws the keybindings card of the current render
+let renderKeybindingList: ((bindings: KeybindingInfo[]) => void) | null = null;
+
+// Sent after every change, including plugin actions registered by a client window
+window.electron.ipcRenderer.on('keybindings:changed', (_event, bindings: KeybindingInfo[]) => {
+    renderKeybindingList?.(bindings);
+});
+
+// Every rebindable action of HighLite and the plugins, changes apply right away
+async function renderKeybindings(container: HTMLElement) {
+    const sectionEl = document.createElement('section');
+    sectionEl.className = 'settings-section';
+    const header = document.createElement('h2');
+    header.className = 'settings-heading';
+    header.textContent = 'Keybindings';
+    const card = document.createElement('div');
+    card.className = 'settings-card';
+
+    const status = document.createElement('div');
+    status.className = 'setting-description settings-tools-status';
+    const showStatus = (message: string, isError = false) => {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    };
+
+    const render = (bindings: KeybindingInfo[]) => {
+        card.innerHTML = '';
+        const groups = new Map<string, KeybindingInfo[]>();
+        bindings.forEach((binding) => {
+            if (!groups.has(binding.group)) groups.set(binding.group, []);
+            groups.get(binding.group)!.push(binding);
+        });
+        groups.forEach((groupBindings, group) => {
+            const groupHeading = document.createElement('div');
+            groupHeading.className = 'keybinding-group';
+            groupHeading.textContent = group;
+            card.appendChild(groupHeading);
+            groupBindings.forEach((binding) => card.appendChild(createKeybindingRow(binding, showStatus)));
+        });
+        card.appendChild(createToolRow(
+            'Reset Keybindings',
+            'Go back to the default keys and turn off all global shortcuts.',
+            [createToolButton('Reset All', async () => {
+                if (!confirm('Reset every keybinding to its default?')) return;
+                await window.electron.ipcRenderer.invoke('keybindings:reset');
+            })]
+        ));
+        card.appendChild(status);
+    };
+
+    render(await window.electron.ipcRenderer.invoke('keybindings:list'));
+    renderKeybindingList = (bindings) => {
+        showStatus('');
+        render(bindings);
+    };
+
+    sectionEl.appendChild(header);
+    sectionEl.appendChild(card);
+    container.appendChild(sectionEl);
+}
+
 async function renderSettings() {
     const container = document.getElementById('settings-content');
     if (!container) return;
     container.innerHTML = '';
+    await renderSettingsTools(container);
+    await renderKeybindings(container);
 
     // Floating action bar (apply/reset)
     const actionBar = document.createElement('div');
@@ -198,17 +697,14 @@ async function renderSettings() {
     actionBar.appendChild(applyBtn);
     document.body.appendChild(actionBar);
 
-    const getVal = (el: HTMLElement): string | number | boolean => {
-        if ((el as HTMLInputElement).type === 'checkbox') return (el as HTMLInputElement).checked;
-        if (el.tagName.toLowerCase() === 'select') return (el as HTMLSelectElement).value;
-        const inp = el as HTMLInputElement;
-        return inp.type === 'number' ? Number(inp.value) : inp.value;
-    };
+    const getVal = readControlValue;
     const setVal = (el: HTMLElement, v: any) => {
         if ((el as HTMLInputElement).type === 'checkbox') {
             (el as HTMLInputElement).checked = Boolean(v);
         } else if (el.tagName.toLowerCase() === 'select') {
             (el as HTMLSelectElement).value = String(v ?? '');
+        } else if ((el as HTMLInputElement).dataset.kind === 'list') {
+            (el as HTMLInputElement).value = JSON.stringify(v ?? []);
         } else {
             const inp = el as HTMLInputElement;
             inp.value = v == null ? '' : String(v);
@@ -217,7 +713,7 @@ async function renderSettings() {
         (el as HTMLInputElement).dispatchEvent(new Event('change', { bubbles: true }));
     };
 
-    const snapshot = new Map<string, string | number | boolean>();
+    const snapshot = new Map<string, string | number | boolean | string[]>();
     const controls: HTMLElement[] = [];
     const allSettings = await window.settings.getAll();
     const { settingsSchema } = await import('../../preload/settings');
@@ -270,7 +766,7 @@ async function renderSettings() {
             const base = snapshot.get(key);
             // normalize numbers that are NaN vs empty
             if (typeof base === 'number' && typeof cur === 'number' && isNaN(base) && isNaN(cur)) return false;
-            return cur !== base;
+            return !sameValue(cur, base);
         });
         actionBar.classList.toggle('visible', isDirty);
     };
@@ -308,6 +804,14 @@ async function renderSettings() {
             merged[sectionKey][label] = getVal(c);
         });
 
+        // Most settings apply live, only prompt when one of the changed fields needs a reload
+        const needsRestart = controls.some((c) => {
+            const key = (c as HTMLElement).getAttribute('data-key')!;
+            const [sectionKey, label] = key.split(':');
+            const field: any = settingsSchema.findField(sectionKey, label);
+            return Boolean(field?.requiresRestart) && !sameValue(getVal(c), snapshot.get(key));
+        });
+
         // Save new values via settings API
         await Promise.all(Object.entries(merged).flatMap(([sectionKey, fields]) =>
             Object.entries(fields).map(([label, value]) =>
@@ -324,7 +828,7 @@ async function renderSettings() {
 
         // Show restart-required modal
         const modal = document.getElementById('restart-modal');
-        if (modal) {
+        if (modal && needsRestart) {
             modal.classList.add('show');
             modal.setAttribute('aria-hidden', 'false');
             const okBtn = document.getElementById('restart-ok');
@@ -0,0 +1,219 @@
+// Copyright (C) 2025  HighLite
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/*
+    Release notes for the updater window. Notes written in the release are markdown, GitHub
+    serves them already rendered to HTML; both end up as sanitized HTML with links that open in
+    the browser.
+*/
+
+export interface ReleaseNote {
+    version: string;
+    note: string;
+}
+
+// Everything else is unwrapped to its text, attributes other than a safe link target are dropped
+const ALLOWED_ELEMENTS = new Set([
+    'P',
+    'H1',
+    'H2',
+    'H3',
+    'H4',
+    'H5',
+    'H6',
+    'UL',
+    'OL',
+    'LI',
+    'A',
+    'CODE',
+    'PRE',
+    'STRONG',
+    'EM',
+    'BLOCKQUOTE',
+    'BR',
+]);
+// Elements whose content isn't readable text, dropped together with it
+const DROPPED_ELEMENTS = new Set([
+    'SCRIPT',
+    'STYLE',
+    'TEMPLATE',
+    'NOSCRIPT',
+    'IFRAME',
+    'OBJECT',
+    'EMBED',
+    'SVG',
+    'MATH',
+    'TEXTAREA',
+    'SELECT',
+]);
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderInline(text: string): string {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\((https:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+// Headings, lists, code blocks, quotes and paragraphs; enough for release notes
+export function renderMarkdown(markdown: string): string {
+    const html: string[] = [];
+    let paragraph: string[] = [];
+    let list: 'ul' | 'ol' | null = null;
+    let code: string[] | null = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            html.push(`</${list}>`);
+            list = null;
+        }
+    };
+
+    for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+        if (code) {
+            if (line.trim().startsWith('```')) {
+                html.push(
+                    `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`
+                );
+                code = null;
+            } else {
+                code.push(line);
+            }
+            continue;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        const item = /^\s*([-*+]|\d+\.)\s+(.*)$/.exec(line);
+        if (line.trim().startsWith('```')) {
+            closeParagraph();
+            closeList();
+            code = [];
+        } else if (heading) {
+            closeParagraph();
+            closeList();
+            // The version heading is level 3, headings in the notes sit below it
+            const level = Math.min(heading[1].length + 3, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (item) {
+            closeParagraph();
+            const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+            if (list !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                list = type;
+            }
+            html.push(`<li>${renderInline(item[2])}</li>`);
+        } else if (/^\s*>/.test(line)) {
+            closeParagraph();
+            closeList();
+            html.push(
+                `<blockquote>${renderInline(line.replace(/^\s*>\s?/, ''))}</blockquote>`
+            );
+        } else if (!line.trim()) {
+            closeParagraph();
+            closeList();
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    }
+    if (code)
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    closeParagraph();
+    closeList();
+    return html.join('\n');
+}
+
+// Copy the allowed elements of a parsed tree into a fresh one
+function copyAllowed(source: Node, target: Node) {
+    source.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent ?? ''));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const element = node as Element;
+        const tag = element.tagName.toUpperCase();
+        if (DROPPED_ELEMENTS.has(tag)) return;
+        if (!ALLOWED_ELEMENTS.has(tag)) {
+            copyAllowed(element, target);
+            return;
+        }
+
+        const copy = document.createElement(tag.toLowerCase());
+        if (tag === 'A') {
+            const href = element.getAttribute('href')?.trim() ?? '';
+            if (/^https:\/\//i.test(href)) {
+                copy.setAttribute('href', href);
+                // The main process opens new windows in the browser instead
+                copy.setAttribute('target', '_blank');
+            }
+        }
+        copyAllowed(element, copy);
+        target.appendChild(copy);
+    });
+}
+
+function sanitize(html: string): DocumentFragment {
+    // Template content is inert, nothing in it loads or runs while we read it
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = document.createDocumentFragment();
+    copyAllowed(template.content, fragment);
+    return fragment;
+}
+
+export function renderReleaseNotes(
+    notes: ReleaseNote[],
+    container: HTMLElement
+) {
+    container.innerHTML = '';
+    if (notes.length === 0) {
+        container.textContent = 'No release notes were published.';
+        return;
+    }
+    notes.forEach(({ version, note }) => {
+        const section = document.createElement('section');
+        section.className = 'release';
+
+        const title = document.createElement('h3');
+        title.className = 'release-version';
+        title.textContent = version.startsWith('v') ? version : `v${version}`;
+        section.appendChild(title);
+
+        const body = document.createElement('div');
+        body.className = 'release-body';
+        const isHtml = /^\s*<[a-z][\s\S]*>/i.test(note);
+        body.appendChild(sanitize(isHtml ? note : renderMarkdown(note)));
+        section.appendChild(body);
+
+        container.appendChild(section);
+    });
+}
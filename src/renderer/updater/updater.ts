@@ -15,6 +15,7 @@
 
 
 import '@iconify/iconify';
+import { renderReleaseNotes } from './releaseNotes';
 
 // Update Progress UI elements
 const $ = <T extends HTMLElement = HTMLElement>(id: string) => document.getElementById(id) as T;
@@ -28,13 +29,22 @@ const btnUpdateNow = $('updateNow') as HTMLButtonElement;
 const btnUpdateLater = $('updateLater') as HTMLButtonElement;
 const btnRestartNow = $('restartNow') as HTMLButtonElement;
 const btnRestartLater = $('restartLater') as HTMLButtonElement;
+const updateOptions = $('update-options');
+const btnBackground = $('updateBackground') as HTMLButtonElement;
+const btnSkip = $('skipVersion') as HTMLButtonElement;
+const releaseName = $('releaseName');
+
+// Version offered in this window, for the background download and skip choices
+let offeredVersion = '';
+// Set when this window reinstalls an earlier version instead of offering an update
+let reinstallVersion = '';
 const closeBtn = $('closeBtn') as HTMLAnchorElement;
 
 // Obtain the update progress from the main process
 window.electron.ipcRenderer.on('download-progress', (_, progress) => {
     // Round the progress to the nearest integer
     progress = Math.round(progress);
-    updateStatus.textContent = `Downloading update...`;
+    updateStatus.textContent = reinstallVersion ? `Reinstalling v${reinstallVersion}...` : `Downloading update...`;
     progressBar.style.width = `${progress}%`;
     progressBar.parentElement?.setAttribute('aria-valuenow', String(progress));
     progressLabel.textContent = `${progress}%`;
@@ -48,16 +58,30 @@ window.electron.ipcRenderer.on('update-downloaded', _ => {
     btnRestartLater.style.display = 'block';
     btnUpdateNow.style.display = 'none';
     btnUpdateLater.style.display = 'none';
+    updateOptions.style.display = 'none';
 });
 
 window.electron.ipcRenderer.on('update-available', (_, releaseInfo) => {
+    offeredVersion = releaseInfo.version;
     updateStatus.textContent = 'Update to ' + releaseInfo.releaseName + ' Available!';
     progressLoader.style.visibility = 'hidden';
     btnUpdateNow.style.display = 'block';
     btnUpdateLater.style.display = 'block';
+    updateOptions.style.display = 'flex';
     // Show release notes section (block layout in mobile, grid/column later)
     sectionUpdateChange.style.display = 'block';
-    releaseNotes.innerHTML = releaseInfo.releaseNotes;
+    releaseName.textContent = `Release Notes since v${releaseInfo.currentVersion}`;
+    renderReleaseNotes(releaseInfo.releaseNotes, releaseNotes);
+});
+
+// Reinstalling after a crash loop downloads without asking, so none of the update choices apply
+window.electron.ipcRenderer.on('rollback-started', (_, info: { version: string }) => {
+    reinstallVersion = info.version;
+    updateStatus.textContent = `Reinstalling v${info.version}...`;
+    progressLoader.style.visibility = 'visible';
+    btnUpdateNow.style.display = 'none';
+    btnUpdateLater.style.display = 'none';
+    updateOptions.style.display = 'none';
 });
 
 // When updateNow is clicked, send the install-update event to the main process
@@ -67,6 +91,7 @@ btnUpdateNow.addEventListener('click', () => {
     // Disable the buttons
     btnUpdateNow.style.display = 'none';
     btnUpdateLater.style.display = 'none';
+    updateOptions.style.display = 'none';
 
     updateStatus.textContent = `Downloading update...`;
     progressLoader.style.visibility = 'visible';
@@ -89,6 +114,33 @@ btnRestartLater.addEventListener('click', () => {
     btnRestartLater.disabled = true;
 });
 
+// Open the client right away, the update installs when HighLite quits
+btnBackground.addEventListener('click', () => {
+    window.electron.ipcRenderer.send('background-update', offeredVersion);
+    btnBackground.disabled = true;
+    btnSkip.disabled = true;
+    btnUpdateNow.disabled = true;
+    btnUpdateLater.disabled = true;
+});
+
+// Remembered across launches, the next newer version is offered again
+btnSkip.addEventListener('click', () => {
+    window.electron.ipcRenderer.send('skip-update', offeredVersion);
+    btnBackground.disabled = true;
+    btnSkip.disabled = true;
+    btnUpdateNow.disabled = true;
+    btnUpdateLater.disabled = true;
+});
+
+// Switching to background updates in the settings window takes over the update on offer
+window.settings.onChange('Application', 'Update Mode', value => {
+    // Only while the choice is still open, not once a download started
+    const choosing = updateOptions.style.display === 'flex' && !btnBackground.disabled;
+    if (value === 'background' && offeredVersion && choosing) {
+        btnBackground.click();
+    }
+});
+
 btnUpdateLater.addEventListener('click', () => {
     window.electron.ipcRenderer.send('delay-update');
     // Disable the buttons